@@ -1,7 +1,10 @@
 // controllers/auth.controller.js
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import * as clientesModel from '../models/clientes.model.js';
+import { notificarBienvenida } from '../services/notificaciones.service.js';
+import * as sesionesService from '../services/sesiones.service.js';
+import { validarRegistro, validarLogin } from '../validators/auth.validator.js';
+import { responderError } from '../utils/errores.js';
 
 /**
  * ==========================================
@@ -11,52 +14,83 @@ import * as clientesModel from '../models/clientes.model.js';
  * Funciones para autenticación de usuarios
  * - Registro de usuarios
  * - Login de usuarios
+ * - Renovar la sesión (refresh token) y cerrarla
+ *
+ * Registro, login y refresh devuelven dos tokens: 'token' (access token,
+ * vida corta) y 'refresh_token' (ver services/sesiones.service.js)
  */
 
+/**
+ * Respuesta cuando el email ya tiene cuenta
+ */
+function responderEmailRegistrado(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'El email ya está registrado',
+    errores: { email: 'El email ya está registrado' }
+  });
+}
+
 /**
  * Registrar nuevo usuario
  */
 export async function register(req, res) {
   try {
-    const { nombre, email, password } = req.body;
+    const { errores, datos } = validarRegistro(req.body);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de registro no válidos',
+        errores
+      });
+    }
+
+    const { nombre, email, password } = datos;
     
     console.log('📝 Registrando usuario:', email);
     
     // Verificar si el usuario ya existe
     const usuarioExistente = await clientesModel.buscarPorEmail(email);
     if (usuarioExistente) {
-      return res.status(400).json({
-        success: false,
-        message: 'El email ya está registrado'
-      });
+      return responderEmailRegistrado(res);
     }
     
     // Encriptar password
     const hashedPassword = await bcrypt.hash(password, 10);
     
     // Crear usuario
-    const nuevoUsuario = await clientesModel.crearCliente({
-      nombre,
-      email,
-      password: hashedPassword
-    });
+    let nuevoUsuario;
+    try {
+      nuevoUsuario = await clientesModel.crearCliente({
+        nombre,
+        email,
+        password: hashedPassword
+      });
+    } catch (error) {
+      // Dos registros simultáneos con el mismo email: el UNIQUE de la tabla frena al segundo
+      if (error.code === 'ER_DUP_ENTRY') {
+        return responderEmailRegistrado(res);
+      }
+      throw error;
+    }
     
-    // Generar token
-    const token = jwt.sign(
-  { cliente_id: nuevoUsuario.insertId },
-  process.env.JWT_SECRET,
-  { expiresIn: process.env.JWT_EXPIRES_IN } // opcional
-);
-
+    // Email de bienvenida (se envía en segundo plano, sin esperar)
+    notificarBienvenida(nuevoUsuario);
+    
+    // Generar tokens (access + refresh)
+    const { token, refresh_token } = await sesionesService.abrirSesion(nuevoUsuario);
     
     res.status(201).json({
       success: true,
       message: 'Usuario registrado exitosamente',
       token,
+      refresh_token,
       usuario: {
         id: nuevoUsuario.insertId,
         nombre,
-        email
+        email,
+        rol: nuevoUsuario.rol
       }
     });
     
@@ -74,7 +108,17 @@ export async function register(req, res) {
  */
 export async function login(req, res) {
   try {
-    const { email, password } = req.body;
+    const { errores, datos } = validarLogin(req.body);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de login no válidos',
+        errores
+      });
+    }
+
+    const { email, password } = datos;
     
     console.log('🔑 Intentando login:', email);
     
@@ -96,21 +140,26 @@ export async function login(req, res) {
       });
     }
     
-    const token = jwt.sign(
-      { cliente_id: usuario.id },           // 👈 usamos usuario.id
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
-
+    // Se comprueba después de la contraseña: así no se revela qué cuentas existen
+    if (!usuario.activo) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cuenta desactivada'
+      });
+    }
+    
+    const { token, refresh_token } = await sesionesService.abrirSesion(usuario);
     
     res.status(200).json({
       success: true,
       message: 'Login exitoso',
       token,
+      refresh_token,
       usuario: {
         id: usuario.id,
         nombre: usuario.nombre,
-        email: usuario.email
+        email: usuario.email,
+        rol: usuario.rol
       }
     });
     
@@ -122,3 +171,66 @@ export async function login(req, res) {
     });
   }
 }
+
+/**
+ * Renovar la sesión
+ * Body: { refresh_token }
+ * Devuelve un access token nuevo y un refresh token nuevo:
+ * el anterior ya no sirve (rotación)
+ */
+export async function refresh(req, res) {
+  try {
+    const sesion = await sesionesService.renovarSesion(req.body?.refresh_token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión renovada',
+      ...sesion
+    });
+
+  } catch (error) {
+    if (!error.status) console.error('❌ Error al renovar la sesión:', error);
+    responderError(res, error);
+  }
+}
+
+/**
+ * Cerrar sesión en este dispositivo
+ * Body: { refresh_token }
+ * No necesita access token: debe funcionar aunque ya haya caducado
+ */
+export async function logout(req, res) {
+  try {
+    await sesionesService.cerrarSesion(req.body?.refresh_token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada'
+    });
+
+  } catch (error) {
+    console.error('❌ Error al cerrar la sesión:', error);
+    responderError(res, error);
+  }
+}
+
+/**
+ * Cerrar sesión en todos los dispositivos
+ * Revoca todos los refresh tokens y invalida los access tokens ya emitidos
+ */
+export async function logoutTodos(req, res) {
+  try {
+    console.log('🚪 Cerrando todas las sesiones del cliente:', req.user.cliente_id);
+
+    await sesionesService.cerrarTodasLasSesiones(req.user.cliente_id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Se han cerrado todas las sesiones'
+    });
+
+  } catch (error) {
+    console.error('❌ Error al cerrar todas las sesiones:', error);
+    responderError(res, error);
+  }
+}
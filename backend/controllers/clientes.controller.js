@@ -0,0 +1,147 @@
+// controllers/clientes.controller.js
+import * as clientesModel from '../models/clientes.model.js';
+import { ROLES } from '../middlewares/auth.middleware.js';
+import { cerrarTodasLasSesiones } from '../services/sesiones.service.js';
+
+/**
+ * ==========================================
+ * 👥 CONTROLADOR DE CLIENTES (administración)
+ * ==========================================
+ * 
+ * - Cambiar el rol de una cuenta (solo admin)
+ * - Activar o desactivar una cuenta (solo admin)
+ * 
+ * El primer admin se crea con el script: npm run crear-admin
+ */
+
+/**
+ * Leer y comprobar el :id de la URL
+ * Devuelve el número o null si no es un entero positivo
+ */
+function leerId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Cambiar el rol de una cuenta
+ * Body: { rol: 'cliente' | 'staff' | 'admin' }
+ */
+export async function cambiarRol(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de cliente no válido'
+      });
+    }
+
+    const rol = req.body?.rol;
+
+    if (!ROLES.includes(rol)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos no válidos',
+        errores: { rol: `Debe ser uno de: ${ROLES.join(', ')}` }
+      });
+    }
+
+    // Un admin no puede quitarse el rol a sí mismo: así siempre queda al menos uno
+    if (id === req.user.cliente_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'No puedes cambiar tu propio rol'
+      });
+    }
+
+    console.log(`👥 Admin ${req.user.cliente_id} cambia el rol del cliente ${id} a: ${rol}`);
+
+    const actualizado = await clientesModel.actualizarRol(id, rol);
+
+    if (!actualizado) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Rol del cliente ${id} cambiado a '${rol}'`,
+      data: { id, rol }
+    });
+
+  } catch (error) {
+    console.error('❌ Error al cambiar el rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Activar o desactivar una cuenta
+ * Body: { activo: true | false }
+ * Al desactivarla se cierran todas sus sesiones
+ */
+export async function cambiarActivo(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de cliente no válido'
+      });
+    }
+
+    const activo = req.body?.activo;
+
+    if (typeof activo !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos no válidos',
+        errores: { activo: 'Debe ser true o false' }
+      });
+    }
+
+    if (id === req.user.cliente_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'No puedes desactivar tu propia cuenta'
+      });
+    }
+
+    console.log(`👥 Admin ${req.user.cliente_id} ${activo ? 'activa' : 'desactiva'} la cuenta ${id}`);
+
+    const actualizado = await clientesModel.actualizarActivo(id, activo);
+
+    if (!actualizado) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cliente no encontrado'
+      });
+    }
+
+    // Aunque esto fallara, verificarToken ya rechaza las cuentas desactivadas
+    if (!activo) {
+      await cerrarTodasLasSesiones(id, 'cuenta_desactivada');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: activo ? `Cuenta ${id} activada` : `Cuenta ${id} desactivada y sesiones cerradas`,
+      data: { id, activo }
+    });
+
+  } catch (error) {
+    console.error('❌ Error al cambiar el estado de la cuenta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
@@ -0,0 +1,113 @@
+// controllers/cupones.controller.js
+import * as cuponesModel from '../models/cupones.model.js';
+import * as productosModel from '../models/productos.model.js';
+import * as promocionesModel from '../models/promociones.model.js';
+import { validarPedido } from '../validators/pedidos.validator.js';
+import { comprobarCupon, calcularDescuento } from '../services/cupones.service.js';
+import { aplicarPromociones } from '../services/promociones.service.js';
+import { aCentimos } from '../utils/dinero.js';
+
+/**
+ * ==========================================
+ * 🎟️ CONTROLADOR DE CUPONES
+ * ==========================================
+ * 
+ * - Validar un cupón contra el carrito actual (requiere autenticación,
+ *   porque hay cupones con límite de usos por cliente)
+ * 
+ * Validar NO gasta el cupón: se gasta al crear el pedido, dentro de
+ * su transacción, donde se vuelven a comprobar todas las condiciones.
+ */
+
+/**
+ * Validar un cupón
+ * Body: { codigo_cupon: 'VERANO10', productos: [{ producto_id, cantidad }] }
+ */
+export async function validarCupon(req, res) {
+  try {
+    // Mismas reglas que el cuerpo de un pedido (líneas, cantidades, código)
+    const { errores, datos } = validarPedido(req.body);
+
+    if (errores || !datos.codigo_cupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del cupón no válidos',
+        errores: errores || { codigo_cupon: 'El código del cupón es obligatorio' }
+      });
+    }
+
+    const { productos, codigo_cupon } = datos;
+
+    // Precios y categorías actuales de la base de datos (nunca los del cliente)
+    const productosPorId = await productosModel.obtenerPreciosYPesos(productos.map(p => p.producto_id));
+    const erroresProductos = {};
+
+    for (const { producto_id } of productos) {
+      if (!productosPorId.has(producto_id)) {
+        const indice = req.body.productos.findIndex(p => Number(p.producto_id) === producto_id);
+        erroresProductos[`productos[${indice}].producto_id`] = `El producto ${producto_id} no existe o no está disponible`;
+      }
+    }
+
+    if (Object.keys(erroresProductos).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del cupón no válidos',
+        errores: erroresProductos
+      });
+    }
+
+    // El cupón se calcula sobre lo que queda tras las promociones automáticas
+    const promociones = aplicarPromociones(
+      await promocionesModel.listarVigentes(),
+      productos.map(({ producto_id, cantidad }) => ({
+        producto_id,
+        cantidad,
+        precio: productosPorId.get(producto_id).precio,
+        categoria: productosPorId.get(producto_id).categoria
+      }))
+    );
+    const lineas = promociones.lineas;
+
+    const cupon = await cuponesModel.obtenerPorCodigo(codigo_cupon);
+    const usosCliente = cupon
+      ? await cuponesModel.contarUsosDeCliente(cupon.id, req.user.cliente_id)
+      : 0;
+
+    const motivo = comprobarCupon(cupon, { lineas, usosCliente });
+
+    if (motivo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cupón no válido',
+        errores: { codigo_cupon: motivo }
+      });
+    }
+
+    const { descuentoCentimos } = calcularDescuento(cupon, lineas);
+    const subtotalCentimos = lineas.reduce((total, l) => total + aCentimos(l.precio) * l.cantidad, 0);
+    const restanteCentimos = subtotalCentimos - promociones.descuentoCentimos;
+
+    res.status(200).json({
+      success: true,
+      message: `Cupón ${cupon.codigo} aplicado`,
+      data: {
+        codigo_cupon: cupon.codigo,
+        tipo: cupon.tipo,
+        valor: Number(cupon.valor),
+        categorias: cupon.categorias,
+        subtotal: subtotalCentimos / 100,
+        descuento_promociones: promociones.descuentoCentimos / 100,
+        descuento: descuentoCentimos / 100,
+        subtotal_con_descuento: (restanteCentimos - descuentoCentimos) / 100
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error al validar cupón:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
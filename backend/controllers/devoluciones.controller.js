@@ -0,0 +1,170 @@
+// controllers/devoluciones.controller.js
+import * as devolucionesModel from '../models/devoluciones.model.js';
+import { validarSolicitudDevolucion, validarFiltrosDevoluciones } from '../validators/devoluciones.validator.js';
+import { plazoDias } from '../services/devoluciones.service.js';
+import { responderError } from '../utils/errores.js';
+
+/**
+ * ==========================================
+ * ↩️ CONTROLADOR DE DEVOLUCIONES (RMA)
+ * ==========================================
+ *
+ * - Solicitar la devolución de líneas de uno de mis pedidos entregados
+ * - Listar devoluciones (solo staff)
+ * - Aprobar, rechazar o marcar como recibida una devolución (solo staff)
+ *
+ * Las devoluciones de un pedido se ven en su detalle (GET /api/pedidos/:id).
+ */
+
+/**
+ * Leer y comprobar el :id de la URL
+ * Devuelve el número o null si no es un entero positivo
+ */
+function leerId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Solicitar una devolución
+ * Body: { lineas: [{ linea_id, cantidad }], motivo?: 'texto' }
+ */
+export async function solicitarDevolucion(req, res) {
+  try {
+    const id = leerId(req);
+    const cliente_id = req.user.cliente_id;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de pedido no válido'
+      });
+    }
+
+    const { errores, datos } = validarSolicitudDevolucion(req.body);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de la devolución no válidos',
+        errores
+      });
+    }
+
+    console.log(`↩️ Cliente ${cliente_id} solicita una devolución del pedido ${id}`);
+
+    const devolucion = await devolucionesModel.crear({
+      pedidoId: id,
+      clienteId: cliente_id,
+      motivo: datos.motivo,
+      lineas: datos.lineas
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Devolución #${devolucion.id} solicitada. Te avisaremos cuando la revisemos`,
+      data: { ...devolucion, plazo_dias: plazoDias() }
+    });
+
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error al solicitar devolución:', error);
+    }
+    responderError(res, error);
+  }
+}
+
+/**
+ * Listar devoluciones (staff)
+ * Parámetros de query admitidos: estado, page, limit
+ */
+export async function getDevoluciones(req, res) {
+  try {
+    const { errores, datos: filtros } = validarFiltrosDevoluciones(req.query);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de búsqueda no válidos',
+        errores
+      });
+    }
+
+    const { devoluciones, total } = await devolucionesModel.listar(filtros);
+
+    res.status(200).json({
+      success: true,
+      message: `Se encontraron ${total} devoluciones`,
+      data: devoluciones,
+      paginacion: {
+        pagina: filtros.page,
+        limite: filtros.limit,
+        total,
+        total_paginas: Math.ceil(total / filtros.limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error al obtener devoluciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Cambiar el estado de una devolución (staff)
+ * Body: { estado: 'aprobada' | 'rechazada' | 'recibida', nota?: 'texto' }
+ */
+export async function cambiarEstadoDevolucion(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de devolución no válido'
+      });
+    }
+
+    const estado = req.body?.estado;
+
+    if (typeof estado !== 'string' || !estado.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos no válidos',
+        errores: { estado: 'El nuevo estado es obligatorio' }
+      });
+    }
+
+    const nota = req.body.nota;
+
+    if (nota !== undefined && nota !== null && (typeof nota !== 'string' || nota.length > 255)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos no válidos',
+        errores: { nota: 'La nota debe ser un texto de máximo 255 caracteres' }
+      });
+    }
+
+    console.log(`🔄 Cambiando estado de la devolución ${id} a: ${estado}`);
+
+    const resultado = await devolucionesModel.actualizarEstado(id, estado.trim(), {
+      actor: { tipo: 'staff', id: req.user.cliente_id },
+      nota: nota?.trim() || null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Devolución ${id} actualizada a '${resultado.estado}'`,
+      data: resultado
+    });
+
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error al cambiar estado de la devolución:', error);
+    }
+    responderError(res, error);
+  }
+}
@@ -0,0 +1,248 @@
+// controllers/direcciones.controller.js
+import * as direccionesModel from '../models/direcciones.model.js';
+import { validarDireccion } from '../validators/direcciones.validator.js';
+
+/**
+ * ==========================================
+ * 📍 CONTROLADOR DE DIRECCIONES DE ENVÍO
+ * ==========================================
+ * 
+ * Libreta de direcciones del cliente autenticado
+ * - Listar, crear, actualizar y eliminar direcciones
+ * - Marcar una dirección como predeterminada
+ */
+
+/**
+ * Leer y comprobar el :id de la URL
+ * Devuelve el número o null si no es un entero positivo
+ */
+function leerId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Obtener mis direcciones
+ */
+export async function getDirecciones(req, res) {
+  try {
+    const cliente_id = req.user.cliente_id;
+
+    console.log('📍 Obteniendo direcciones del cliente:', cliente_id);
+
+    const direcciones = await direccionesModel.listar(cliente_id);
+
+    res.status(200).json({
+      success: true,
+      message: `Se encontraron ${direcciones.length} direcciones`,
+      data: direcciones
+    });
+
+  } catch (error) {
+    console.error('❌ Error al obtener direcciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Obtener una de mis direcciones
+ */
+export async function getDireccionPorId(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de dirección no válido'
+      });
+    }
+
+    const direccion = await direccionesModel.obtenerPorId(id, req.user.cliente_id);
+
+    if (!direccion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dirección no encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dirección encontrada',
+      data: direccion
+    });
+
+  } catch (error) {
+    console.error('❌ Error al obtener dirección:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Crear una dirección
+ */
+export async function crearDireccion(req, res) {
+  try {
+    const { errores, datos } = validarDireccion(req.body);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de dirección no válidos',
+        errores
+      });
+    }
+
+    console.log('➕ Creando dirección para cliente:', req.user.cliente_id);
+
+    const direccion = await direccionesModel.crear(req.user.cliente_id, datos);
+
+    res.status(201).json({
+      success: true,
+      message: 'Dirección creada exitosamente',
+      data: direccion
+    });
+
+  } catch (error) {
+    console.error('❌ Error al crear dirección:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Actualizar una dirección
+ */
+export async function actualizarDireccion(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de dirección no válido'
+      });
+    }
+
+    const { errores, datos } = validarDireccion(req.body);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de dirección no válidos',
+        errores
+      });
+    }
+
+    console.log('✏️ Actualizando dirección:', id);
+
+    const direccion = await direccionesModel.actualizar(id, req.user.cliente_id, datos);
+
+    if (!direccion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dirección no encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dirección actualizada exitosamente',
+      data: direccion
+    });
+
+  } catch (error) {
+    console.error('❌ Error al actualizar dirección:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Marcar una dirección como predeterminada
+ */
+export async function marcarPredeterminada(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de dirección no válido'
+      });
+    }
+
+    const direccion = await direccionesModel.marcarPredeterminada(id, req.user.cliente_id);
+
+    if (!direccion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dirección no encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dirección predeterminada actualizada',
+      data: direccion
+    });
+
+  } catch (error) {
+    console.error('❌ Error al marcar dirección predeterminada:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Eliminar una dirección
+ * Los pedidos que la usaron conservan su copia de la dirección
+ */
+export async function eliminarDireccion(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de dirección no válido'
+      });
+    }
+
+    console.log('🗑️ Eliminando dirección:', id);
+
+    const eliminada = await direccionesModel.eliminar(id, req.user.cliente_id);
+
+    if (!eliminada) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dirección no encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dirección eliminada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('❌ Error al eliminar dirección:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
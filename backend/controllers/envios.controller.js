@@ -0,0 +1,152 @@
+// controllers/envios.controller.js
+import * as enviosModel from '../models/envios.model.js';
+import * as productosModel from '../models/productos.model.js';
+import * as cuponesModel from '../models/cupones.model.js';
+import * as promocionesModel from '../models/promociones.model.js';
+import { validarPedido } from '../validators/pedidos.validator.js';
+import { cotizar } from '../services/envios.service.js';
+import { comprobarCupon, calcularDescuento } from '../services/cupones.service.js';
+import { aplicarPromociones } from '../services/promociones.service.js';
+
+/**
+ * ==========================================
+ * 🚚 CONTROLADOR DE ENVÍOS
+ * ==========================================
+ * 
+ * - Listar los métodos de envío disponibles (público)
+ * - Cotizar el envío de un carrito antes de comprar (público)
+ * 
+ * El coste que se cobra de verdad se recalcula al crear el pedido,
+ * con la misma función del servicio de envíos.
+ */
+
+/**
+ * Obtener los métodos de envío activos
+ */
+export async function getMetodos(req, res) {
+  try {
+    const metodos = await enviosModel.listarActivos();
+
+    res.status(200).json({
+      success: true,
+      message: `Se encontraron ${metodos.length} métodos de envío`,
+      data: metodos.map(metodo => ({
+        codigo: metodo.codigo,
+        nombre: metodo.nombre,
+        tipo_regla: metodo.tipo_regla,
+        precio_base: Number(metodo.precio_base),
+        umbral_gratis: metodo.umbral_gratis === null ? null : Number(metodo.umbral_gratis),
+        precio_por_kg: metodo.precio_por_kg === null ? null : Number(metodo.precio_por_kg),
+        requiere_direccion: Boolean(metodo.requiere_direccion)
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error al obtener métodos de envío:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
+/**
+ * Cotizar el envío de un carrito
+ * Body: { productos: [{ producto_id, cantidad }], metodo_envio?: 'express', codigo_cupon?: 'VERANO10' }
+ * 
+ * Sin metodo_envio devuelve la cotización de todos los métodos activos,
+ * para que el carrito pueda mostrar las opciones con su precio.
+ * Las promociones automáticas vigentes se aplican siempre; con codigo_cupon
+ * también el cupón (si no es válido se ignora: para eso está /api/cupones/validar).
+ * El envío se calcula sobre el subtotal ya descontado.
+ */
+export async function cotizarEnvio(req, res) {
+  try {
+    // Mismas reglas que el cuerpo de un pedido (líneas, cantidades, duplicados)
+    const { errores, datos } = validarPedido(req.body);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del carrito no válidos',
+        errores
+      });
+    }
+
+    const { productos, metodo_envio, codigo_cupon } = datos;
+
+    // Precios y pesos actuales de la base de datos (nunca los del cliente)
+    const productosPorId = await productosModel.obtenerPreciosYPesos(productos.map(p => p.producto_id));
+    const erroresProductos = {};
+
+    for (const { producto_id } of productos) {
+      if (!productosPorId.has(producto_id)) {
+        const indice = req.body.productos.findIndex(p => Number(p.producto_id) === producto_id);
+        erroresProductos[`productos[${indice}].producto_id`] = `El producto ${producto_id} no existe o no está disponible`;
+      }
+    }
+
+    if (Object.keys(erroresProductos).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del carrito no válidos',
+        errores: erroresProductos
+      });
+    }
+
+    let metodos;
+    if (metodo_envio) {
+      const metodo = await enviosModel.obtenerPorCodigo(metodo_envio);
+
+      if (!metodo) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos del carrito no válidos',
+          errores: { metodo_envio: `El método de envío '${metodo_envio}' no existe` }
+        });
+      }
+      metodos = [metodo];
+    } else {
+      metodos = await enviosModel.listarActivos();
+    }
+
+    const lineasCarrito = productos.map(({ producto_id, cantidad }) => ({
+      producto_id,
+      cantidad,
+      precio: productosPorId.get(producto_id).precio,
+      peso_kg: productosPorId.get(producto_id).peso_kg,
+      categoria: productosPorId.get(producto_id).categoria
+    }));
+
+    // Primero las promociones, después el cupón sobre lo que queda (igual que al comprar)
+    const promociones = aplicarPromociones(await promocionesModel.listarVigentes(), lineasCarrito);
+    const lineas = promociones.lineas;
+
+    // Ruta pública: no se conocen los usos del cliente, eso se comprueba al comprar
+    let descuentoCupon = 0;
+    if (codigo_cupon) {
+      const cupon = await cuponesModel.obtenerPorCodigo(codigo_cupon);
+      if (!comprobarCupon(cupon, { lineas, usosCliente: 0 })) {
+        descuentoCupon = calcularDescuento(cupon, lineas).descuentoCentimos;
+      }
+    }
+
+    const descuentos = { promociones: promociones.descuentoCentimos, cupon: descuentoCupon };
+
+    res.status(200).json({
+      success: true,
+      message: 'Cotización de envío calculada',
+      data: metodos.map(metodo => ({
+        ...cotizar(metodo, lineas, descuentos),
+        promociones: promociones.aplicadas
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error al cotizar envío:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
@@ -0,0 +1,65 @@
+// controllers/facturas.controller.js
+import * as facturasModel from '../models/facturas.model.js';
+import * as pedidosModel from '../models/pedidos.model.js';
+import { generarPdfFactura } from '../services/facturas.service.js';
+import { responderError } from '../utils/errores.js';
+
+/**
+ * ==========================================
+ * 🧾 CONTROLADOR DE FACTURAS
+ * ==========================================
+ *
+ * - Descargar la factura en PDF de uno de mis pedidos pagados
+ *
+ * La factura se emite (y recibe su número) la primera vez que se
+ * pide; las siguientes descargas devuelven la misma factura.
+ */
+
+/**
+ * Leer y comprobar el :id de la URL
+ * Devuelve el número o null si no es un entero positivo
+ */
+function leerId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Descargar la factura de un pedido (solo el dueño)
+ * Responde con el PDF (Content-Type: application/pdf)
+ */
+export async function descargarFactura(req, res) {
+  try {
+    const id = leerId(req);
+    const cliente_id = req.user.cliente_id;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de pedido no válido'
+      });
+    }
+
+    const factura = await facturasModel.obtenerOEmitir(id, cliente_id);
+    const pedido = await pedidosModel.obtenerPedidoPorId(id);
+    const lineas = await pedidosModel.obtenerLineasDePedido(id);
+
+    console.log(`🧾 Cliente ${cliente_id} descarga la factura ${factura.numero}`);
+
+    const pdf = generarPdfFactura({ factura, pedido, lineas });
+
+    res.status(200)
+      .set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="factura-${factura.numero}.pdf"`,
+        'Content-Length': pdf.length
+      })
+      .send(pdf);
+
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error al generar la factura:', error);
+    }
+    responderError(res, error);
+  }
+}
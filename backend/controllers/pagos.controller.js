@@ -0,0 +1,152 @@
+// controllers/pagos.controller.js
+import * as pagosModel from '../models/pagos.model.js';
+import { obtenerProveedor, buscarProveedor } from '../services/pagos.service.js';
+import { responderError } from '../utils/errores.js';
+
+/**
+ * ==========================================
+ * 💳 CONTROLADOR DE PAGOS
+ * ==========================================
+ *
+ * - Iniciar el pago de uno de mis pedidos (requiere autenticación)
+ * - Recibir los webhooks de la pasarela (público, pero firmado)
+ *
+ * FLUJO:
+ * 1. El cliente pide pagar → se crea un pago 'pendiente' y un intento
+ *    en la pasarela, que nos da una referencia
+ * 2. La pasarela cobra y nos avisa con un webhook firmado
+ * 3. El webhook confirma el pago y pasa el pedido a 'pagado'
+ *    (o marca el pago como fallido y el pedido sigue pendiente)
+ */
+
+/**
+ * Leer y comprobar el :id de la URL
+ * Devuelve el número o null si no es un entero positivo
+ */
+function leerId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Iniciar el pago de un pedido
+ * Body (opcional): { escenario: 'exito' | 'rechazo' | 'retrasado' } (solo pasarela mock)
+ */
+export async function iniciarPago(req, res) {
+  try {
+    const id = leerId(req);
+    const cliente_id = req.user.cliente_id;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de pedido no válido'
+      });
+    }
+
+    const proveedor = obtenerProveedor();
+    const escenario = req.body?.escenario;
+
+    if (escenario !== undefined && !(proveedor.escenarios || []).includes(escenario)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del pago no válidos',
+        errores: {
+          escenario: proveedor.escenarios
+            ? `El escenario debe ser uno de: ${proveedor.escenarios.join(', ')}`
+            : `La pasarela '${proveedor.nombre}' no admite escenarios`
+        }
+      });
+    }
+
+    console.log(`💳 Cliente ${cliente_id} inicia el pago del pedido ${id}`);
+
+    const { pago, creado } = await pagosModel.reservarPago(id, cliente_id, proveedor.nombre);
+
+    // Ya había un pago en curso: lo devolvemos en lugar de cobrar otra vez
+    if (!creado) {
+      return res.status(200).json({
+        success: true,
+        message: 'Este pedido ya tiene un pago en curso',
+        data: { ...pago, importe: Number(pago.importe) }
+      });
+    }
+
+    let intento;
+    try {
+      intento = await proveedor.crearIntento({
+        pagoId: pago.id,
+        pedidoId: id,
+        importe: Number(pago.importe),
+        moneda: pago.moneda,
+        opciones: { escenario }
+      });
+    } catch (error) {
+      await pagosModel.marcarFallido(pago.id, 'No se pudo contactar con la pasarela');
+      throw error;
+    }
+
+    await pagosModel.asignarReferencia(pago.id, intento.referencia);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pago iniciado. El pedido se marcará como pagado cuando la pasarela lo confirme',
+      data: {
+        ...pago,
+        importe: Number(pago.importe),
+        referencia: intento.referencia,
+        pasarela: intento.datos
+      }
+    });
+
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error al iniciar el pago:', error);
+    }
+    responderError(res, error);
+  }
+}
+
+/**
+ * Recibir un webhook de la pasarela
+ * ----------------------------------------
+ * Necesita el cuerpo EXACTO que se firmó (req.cuerpoCrudo, ver server.js):
+ * si se firmara el JSON ya parseado, cualquier diferencia de espacios
+ * haría fallar la firma.
+ *
+ * Responde 200 también a eventos duplicados o ignorados: así la
+ * pasarela deja de reintentarlos.
+ */
+export async function recibirWebhook(req, res) {
+  try {
+    const proveedor = buscarProveedor(req.params.proveedor);
+
+    if (!proveedor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Proveedor de pagos desconocido'
+      });
+    }
+
+    const evento = proveedor.verificarWebhook(
+      req.cuerpoCrudo?.toString('utf8') ?? '',
+      req.headers
+    );
+
+    const resultado = await pagosModel.procesarEvento(proveedor.nombre, evento);
+
+    console.log(`🔔 Webhook ${proveedor.nombre} ${evento.tipo} (${evento.referencia}): ${resultado.resultado}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Evento recibido',
+      data: resultado
+    });
+
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error al procesar el webhook de pago:', error);
+    }
+    responderError(res, error);
+  }
+}
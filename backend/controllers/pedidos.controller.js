@@ -1,5 +1,16 @@
 // controllers/pedidos.controller.js
 import * as pedidosModel from '../models/pedidos.model.js';
+import * as productosModel from '../models/productos.model.js';
+import * as direccionesModel from '../models/direcciones.model.js';
+import * as enviosModel from '../models/envios.model.js';
+import * as pagosModel from '../models/pagos.model.js';
+import * as devolucionesModel from '../models/devoluciones.model.js';
+import * as reembolsosModel from '../models/reembolsos.model.js';
+import { validarPedido, validarFiltrosPedidos } from '../validators/pedidos.validator.js';
+import { PRECIOS_INCLUYEN_IVA } from '../services/impuestos.service.js';
+import { notificarPedidoCreado, notificarCambioEstado } from '../services/notificaciones.service.js';
+import { responderError } from '../utils/errores.js';
+import { ROLES_PERSONAL } from '../middlewares/auth.middleware.js';
 
 /**
  * ==========================================
@@ -9,25 +20,125 @@ import * as pedidosModel from '../models/pedidos.model.js';
  * Funciones para gestión de pedidos del bazar
  * - Crear pedidos (requiere autenticación)
  * - Obtener mis pedidos (requiere autenticación)
+ * - Obtener el detalle de un pedido (dueño o staff)
+ * - Cancelar uno de mis pedidos (requiere autenticación)
+ * - Cambiar el estado de un pedido (solo staff)
  */
 
+/**
+ * Leer y comprobar el :id de la URL
+ * Devuelve el número o null si no es un entero positivo
+ */
+function leerId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Método de envío que se usa si el pedido no indica ninguno
+ */
+const METODO_ENVIO_POR_DEFECTO = 'estandar';
+
 /**
  * Crear nuevo pedido
  */
 export async function crearPedido(req, res) {
   try {
-    const { productos } = req.body;
     const cliente_id = req.user.cliente_id; // Obtener del middleware de autenticación
+
+    // 1. Validar estructura: array no vacío, cantidades enteras, fusionar duplicados
+    const { errores, datos } = validarPedido(req.body);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del pedido no válidos',
+        errores
+      });
+    }
+
+    const { productos, direccion_id, codigo_cupon } = datos;
+    const codigoEnvio = datos.metodo_envio || METODO_ENVIO_POR_DEFECTO;
+
+    // 2. Comprobar que todos los productos existen y están activos
+    const idsActivos = await productosModel.obtenerIdsActivos(productos.map(p => p.producto_id));
+    const erroresProductos = {};
+
+    for (const { producto_id } of productos) {
+      if (!idsActivos.has(producto_id)) {
+        const indice = req.body.productos.findIndex(p => Number(p.producto_id) === producto_id);
+        erroresProductos[`productos[${indice}].producto_id`] = `El producto ${producto_id} no existe o no está disponible`;
+      }
+    }
+
+    if (Object.keys(erroresProductos).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del pedido no válidos',
+        errores: erroresProductos
+      });
+    }
+
+    // 3. Comprobar el método de envío
+    const metodo_envio = await enviosModel.obtenerPorCodigo(codigoEnvio);
+
+    if (!metodo_envio) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del pedido no válidos',
+        errores: { metodo_envio: `El método de envío '${codigoEnvio}' no existe` }
+      });
+    }
+
+    // 4. Resolver la dirección de envío (la indicada o la predeterminada)
+    // La recogida en tienda no necesita dirección: se ignora aunque venga
+    let direccion_envio = null;
+
+    if (metodo_envio.requiere_direccion) {
+      const direccion = direccion_id
+        ? await direccionesModel.obtenerPorId(direccion_id, cliente_id)
+        : await direccionesModel.obtenerPredeterminada(cliente_id);
+
+      if (!direccion) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos del pedido no válidos',
+          errores: {
+            direccion_id: direccion_id
+              ? 'La dirección no existe'
+              : 'Debes indicar una dirección de envío'
+          }
+        });
+      }
+
+      // Copia de la dirección: si luego se edita, el pedido no cambia
+      direccion_envio = {
+        destinatario: direccion.destinatario,
+        direccion: direccion.direccion,
+        ciudad: direccion.ciudad,
+        codigo_postal: direccion.codigo_postal,
+        provincia: direccion.provincia,
+        pais: direccion.pais,
+        telefono: direccion.telefono
+      };
+    }
     
     console.log('🛒 Creando pedido para cliente:', cliente_id);
     console.log('📦 Productos del pedido:', productos);
     
     // Crear pedido
+    // (promociones, cupón y envío se calculan dentro de la transacción)
     const nuevoPedido = await pedidosModel.crear({
       cliente_id,
-      productos
+      productos,
+      direccion_envio,
+      metodo_envio,
+      codigo_cupon
     });
     
+    // Email de confirmación (se envía en segundo plano, sin esperar)
+    notificarPedidoCreado(nuevoPedido.id);
+    
     res.status(201).json({
       success: true,
       message: 'Pedido creado exitosamente',
@@ -35,50 +146,78 @@ export async function crearPedido(req, res) {
     });
     
   } catch (error) {
-    console.error('❌ Error al crear pedido:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
-      error: error.message
-    });
+    // Los errores de negocio (p. ej. 409 por falta de stock) llevan su status
+    if (!error.status) {
+      console.error('❌ Error al crear pedido:', error);
+    }
+    responderError(res, error);
   }
 }
 
 /**
  * Obtener mis pedidos
+ * Parámetros de query admitidos: estado, desde, hasta, page, limit
+ * 
+ * Siempre se hacen 3 consultas, tenga el cliente 1 pedido o 100:
+ * página de pedidos + total + líneas de todos esos pedidos.
  */
 export async function getMisPedidos(req, res) {
   try {
     const cliente_id = req.user.cliente_id;
+
+    const { errores, datos: filtros } = validarFiltrosPedidos(req.query);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de búsqueda no válidos',
+        errores
+      });
+    }
     
-    console.log('📋 Obteniendo pedidos del cliente:', cliente_id);
+    console.log('📋 Obteniendo pedidos del cliente:', cliente_id, filtros);
     
-    // 1. Obtener las cabeceras de los pedidos
-    const pedidos = await pedidosModel.obtenerPorCliente(cliente_id);
+    // 1. Obtener las cabeceras de la página pedida
+    const { pedidos, total } = await pedidosModel.buscarPedidosDeCliente(cliente_id, filtros);
     
-    // 2. Para cada pedido, obtener sus productos con detalles
-    const pedidosCompletos = [];
+    // 2. Obtener las líneas de TODOS esos pedidos en una sola consulta
+    const lineasPorPedido = await pedidosModel.obtenerLineasDePedidos(pedidos.map(p => p.id));
     
-    for (const pedido of pedidos) {
-      // Obtener los productos de este pedido específico
-      const productos = await pedidosModel.obtenerLineasDePedido(pedido.id);
-      
-      // Combinar la información del pedido con sus productos
-      pedidosCompletos.push({
-        id: pedido.id,
-        cliente_id: pedido.cliente_id,
-        estado: pedido.estado,
-        fecha: pedido.fecha,
-        productos: productos // Array de productos con nombres, precios y cantidades
-      });
-    }
+    // 3. Combinar la información de cada pedido con sus productos
+    const pedidosCompletos = pedidos.map(pedido => ({
+      id: pedido.id,
+      cliente_id: pedido.cliente_id,
+      estado: pedido.estado,
+      subtotal: Number(pedido.subtotal),
+      metodo_envio: pedido.metodo_envio,
+      coste_envio: Number(pedido.coste_envio),
+      descuento_promociones: Number(pedido.descuento_promociones),
+      cupon_codigo: pedido.cupon_codigo,
+      descuento: Number(pedido.descuento),
+      total: Number(pedido.total), // Total guardado al crear el pedido
+      base_imponible: Number(pedido.base_imponible),
+      cuota_iva: Number(pedido.cuota_iva),
+      desglose_iva: pedido.desglose_iva || [],
+      precios_incluyen_iva: PRECIOS_INCLUYEN_IVA,
+      motivo_cancelacion: pedido.motivo_cancelacion,
+      estado_devolucion: pedido.estado_devolucion,
+      direccion_envio: pedido.direccion_envio,
+      fecha: pedido.fecha,
+      productos: lineasPorPedido.get(pedido.id) || [] // Productos con nombres, precios guardados y cantidades
+    }));
     
-    console.log(`📦 Se encontraron ${pedidosCompletos.length} pedidos con ${pedidosCompletos.reduce((total, p) => total + p.productos.length, 0)} productos en total`);
+    console.log(`📦 Se encontraron ${total} pedidos (página ${filtros.page})`);
     
     res.status(200).json({
       success: true,
-      message: `Se encontraron ${pedidosCompletos.length} pedidos`,
-      data: pedidosCompletos
+      message: `Se encontraron ${total} pedidos`,
+      data: pedidosCompletos,
+      paginacion: {
+        pagina: filtros.page,
+        limite: filtros.limit,
+        total,
+        total_paginas: Math.ceil(total / filtros.limit)
+      }
     });
     
   } catch (error) {
@@ -89,3 +228,186 @@ export async function getMisPedidos(req, res) {
     });
   }
 }
+
+/**
+ * Cambiar el estado de un pedido (staff)
+ * Body: { estado: 'pagado' | 'enviado' | 'entregado' | 'cancelado', nota?: 'texto' }
+ */
+export async function cambiarEstadoPedido(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de pedido no válido'
+      });
+    }
+
+    const estado = req.body?.estado;
+
+    if (typeof estado !== 'string' || !estado.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos no válidos',
+        errores: { estado: 'El nuevo estado es obligatorio' }
+      });
+    }
+
+    const nota = req.body.nota;
+
+    if (nota !== undefined && nota !== null && (typeof nota !== 'string' || nota.length > 255)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos no válidos',
+        errores: { nota: 'La nota debe ser un texto de máximo 255 caracteres' }
+      });
+    }
+
+    console.log(`🔄 Cambiando estado del pedido ${id} a: ${estado}`);
+
+    const resultado = await pedidosModel.actualizarEstado(id, estado.trim(), {
+      actor: { tipo: 'staff', id: req.user.cliente_id },
+      motivo: estado.trim() === 'cancelado' ? nota?.trim() || null : null,
+      nota: nota?.trim() || null
+    });
+
+    notificarCambioEstado(id, resultado.estado);
+
+    res.status(200).json({
+      success: true,
+      message: `Pedido ${id} actualizado a '${resultado.estado}'`,
+      data: resultado
+    });
+
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error al cambiar estado del pedido:', error);
+    }
+    responderError(res, error);
+  }
+}
+
+/**
+ * Obtener el detalle de un pedido
+ * - Un cliente solo ve sus propios pedidos (404 para los demás)
+ * - El personal (staff o admin) puede ver cualquier pedido
+ */
+export async function getPedidoPorId(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de pedido no válido'
+      });
+    }
+
+    console.log('🔍 Obteniendo pedido:', id);
+
+    const pedido = await pedidosModel.obtenerPedidoPorId(id);
+    const esStaff = ROLES_PERSONAL.includes(req.user.rol);
+
+    // Respondemos 404 también si no es suyo: así no revelamos qué IDs existen
+    if (!pedido || (!esStaff && pedido.cliente_id !== req.user.cliente_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    const productos = await pedidosModel.obtenerLineasDePedido(id);
+    const historial = await pedidosModel.obtenerHistorial(id);
+    const pagos = (await pagosModel.listarDePedido(id))
+      .map(pago => ({ ...pago, importe: Number(pago.importe) }));
+    const devoluciones = await devolucionesModel.listarDePedido(id);
+    const reembolsos = await reembolsosModel.listarDePedido(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pedido encontrado',
+      data: {
+        id: pedido.id,
+        cliente_id: pedido.cliente_id,
+        estado: pedido.estado,
+        subtotal: Number(pedido.subtotal),
+        metodo_envio: pedido.metodo_envio,
+        coste_envio: Number(pedido.coste_envio),
+        descuento_promociones: Number(pedido.descuento_promociones),
+        cupon_codigo: pedido.cupon_codigo,
+        descuento: Number(pedido.descuento),
+        total: Number(pedido.total),
+        base_imponible: Number(pedido.base_imponible),
+        cuota_iva: Number(pedido.cuota_iva),
+        desglose_iva: pedido.desglose_iva || [],
+        precios_incluyen_iva: PRECIOS_INCLUYEN_IVA,
+        total_productos: productos.reduce((total, p) => total + p.cantidad, 0),
+        motivo_cancelacion: pedido.motivo_cancelacion,
+        estado_devolucion: pedido.estado_devolucion,
+        direccion_envio: pedido.direccion_envio,
+        fecha: pedido.fecha,
+        productos,
+        historial,
+        pagos,
+        devoluciones,
+        reembolsos
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error al obtener pedido:', error);
+    responderError(res, error);
+  }
+}
+
+/**
+ * Cancelar uno de mis pedidos
+ * Body opcional: { motivo: 'texto' }
+ * Solo el dueño del pedido y solo si está 'pendiente' o 'pagado'
+ */
+export async function cancelarMiPedido(req, res) {
+  try {
+    const id = leerId(req);
+    const cliente_id = req.user.cliente_id;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de pedido no válido'
+      });
+    }
+
+    const motivo = req.body?.motivo;
+
+    if (motivo !== undefined && motivo !== null && (typeof motivo !== 'string' || motivo.length > 255)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos no válidos',
+        errores: { motivo: 'El motivo debe ser un texto de máximo 255 caracteres' }
+      });
+    }
+
+    console.log(`🚫 Cliente ${cliente_id} cancela el pedido ${id}`);
+
+    const resultado = await pedidosModel.actualizarEstado(id, 'cancelado', {
+      clienteId: cliente_id,
+      motivo: motivo?.trim() || null,
+      actor: { tipo: 'cliente', id: cliente_id }
+    });
+
+    notificarCambioEstado(id, 'cancelado');
+
+    res.status(200).json({
+      success: true,
+      message: `Pedido ${id} cancelado`,
+      data: resultado
+    });
+
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Error al cancelar pedido:', error);
+    }
+    responderError(res, error);
+  }
+}
@@ -1,5 +1,8 @@
 // controllers/productos.controller.js
 import * as productosModel from '../models/productos.model.js';
+import * as impuestosModel from '../models/impuestos.model.js';
+import { conIva, tipoDeCategoria, PRECIOS_INCLUYEN_IVA } from '../services/impuestos.service.js';
+import { validarProducto, validarFiltrosCatalogo } from '../validators/productos.validator.js';
 
 /**
  * ==========================================
@@ -7,23 +10,53 @@ import * as productosModel from '../models/productos.model.js';
  * ==========================================
  * 
  * Funciones para gestión de productos del bazar
- * - Obtener todos los productos
+ * - Obtener productos con búsqueda, filtros, orden y paginación
+ * - Obtener categorías disponibles
  * - Obtener producto por ID
+ * - Crear, actualizar y desactivar productos (solo staff)
  */
 
 /**
- * Obtener todos los productos
+ * Leer y comprobar el :id de la URL
+ * Devuelve el número o null si no es un entero positivo
+ */
+function leerId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Obtener productos
+ * Parámetros de query admitidos:
+ * q, categoria, precio_min, precio_max, en_stock, sort, orden, page, limit
  */
 export async function getProductos(req, res) {
   try {
-    console.log('📦 Obteniendo productos...');
+    const { errores, datos: filtros } = validarFiltrosCatalogo(req.query);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de búsqueda no válidos',
+        errores
+      });
+    }
+
+    console.log('📦 Obteniendo productos...', filtros);
     
-    const productos = await productosModel.obtenerTodos();
+    const { productos, total } = await productosModel.buscar(filtros);
+    const tiposIva = await impuestosModel.obtenerTiposIva();
     
     res.status(200).json({
       success: true,
-      message: `Se encontraron ${productos.length} productos`,
-      data: productos
+      message: `Se encontraron ${total} productos`,
+      data: productos.map(producto => conIva(producto, tiposIva)),
+      paginacion: {
+        pagina: filtros.page,
+        limite: filtros.limit,
+        total,
+        total_paginas: Math.ceil(total / filtros.limit)
+      }
     });
     
   } catch (error) {
@@ -35,3 +68,204 @@ export async function getProductos(req, res) {
     });
   }
 }
+
+/**
+ * Obtener categorías con su número de productos
+ */
+export async function getCategorias(req, res) {
+  try {
+    console.log('🏷️ Obteniendo categorías...');
+
+    const categorias = await productosModel.obtenerCategorias();
+    const tiposIva = await impuestosModel.obtenerTiposIva();
+
+    res.status(200).json({
+      success: true,
+      message: `Se encontraron ${categorias.length} categorías`,
+      data: categorias.map(c => ({
+        ...c,
+        tipo_iva: tipoDeCategoria(tiposIva, c.categoria),
+        precios_incluyen_iva: PRECIOS_INCLUYEN_IVA
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error al obtener categorías:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener producto por ID
+ */
+export async function getProductoPorId(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de producto no válido'
+      });
+    }
+
+    console.log('🔍 Obteniendo producto:', id);
+
+    const producto = await productosModel.obtenerPorId(id);
+
+    if (!producto) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const tiposIva = await impuestosModel.obtenerTiposIva();
+
+    res.status(200).json({
+      success: true,
+      message: 'Producto encontrado',
+      data: conIva(producto, tiposIva)
+    });
+
+  } catch (error) {
+    console.error('❌ Error al obtener producto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Crear producto (staff)
+ */
+export async function crearProducto(req, res) {
+  try {
+    const { errores, datos } = validarProducto(req.body);
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de producto no válidos',
+        errores
+      });
+    }
+
+    console.log('➕ Creando producto:', datos.nombre);
+
+    const producto = await productosModel.crear(datos);
+
+    res.status(201).json({
+      success: true,
+      message: 'Producto creado exitosamente',
+      data: producto
+    });
+
+  } catch (error) {
+    console.error('❌ Error al crear producto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Actualizar producto (staff)
+ * - PUT: reemplazo completo, todos los campos obligatorios
+ * - PATCH: actualización parcial, solo los campos enviados
+ */
+export async function actualizarProducto(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de producto no válido'
+      });
+    }
+
+    const { errores, datos } = validarProducto(req.body, { parcial: req.method === 'PATCH' });
+
+    if (errores) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de producto no válidos',
+        errores
+      });
+    }
+
+    console.log('✏️ Actualizando producto:', id);
+
+    const producto = await productosModel.actualizar(id, datos);
+
+    if (!producto) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Producto actualizado exitosamente',
+      data: producto
+    });
+
+  } catch (error) {
+    console.error('❌ Error al actualizar producto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Eliminar (desactivar) producto (staff)
+ */
+export async function eliminarProducto(req, res) {
+  try {
+    const id = leerId(req);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de producto no válido'
+      });
+    }
+
+    console.log('🗑️ Desactivando producto:', id);
+
+    const eliminado = await productosModel.eliminar(id);
+
+    if (!eliminado) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Producto desactivado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('❌ Error al eliminar producto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+}
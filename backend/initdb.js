@@ -8,6 +8,9 @@ async function crearBBDD() {
       nombre VARCHAR(100) NOT NULL,
       email VARCHAR(100) NOT NULL UNIQUE,
       password VARCHAR(255) NOT NULL,
+      rol ENUM('cliente', 'staff', 'admin') NOT NULL DEFAULT 'cliente',
+      activo BOOLEAN NOT NULL DEFAULT TRUE,
+      version_sesion INT NOT NULL DEFAULT 0,
       creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
   `);
@@ -20,6 +23,7 @@ async function crearBBDD() {
       descripcion TEXT,
       precio DECIMAL(10,2) NOT NULL,
       stock INT DEFAULT 0,
+      peso_kg DECIMAL(6,3) NOT NULL DEFAULT 0,
       categoria VARCHAR(50) NOT NULL,
       imagen_url VARCHAR(500),
       activo BOOLEAN DEFAULT TRUE,
@@ -27,13 +31,114 @@ async function crearBBDD() {
     )
   `);
 
+  // TABLA TIPOS DE IVA POR CATEGORÍA
+  // Las categorías sin fila usan el tipo general (21 %)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS tipos_iva (
+      categoria VARCHAR(50) PRIMARY KEY,
+      tipo DECIMAL(5,2) NOT NULL
+    )
+  `);
+
+  // TABLA DIRECCIONES DE ENVÍO
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS direcciones (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cliente_id INT NOT NULL,
+      destinatario VARCHAR(100) NOT NULL,
+      direccion VARCHAR(200) NOT NULL,
+      ciudad VARCHAR(100) NOT NULL,
+      codigo_postal VARCHAR(10) NOT NULL,
+      provincia VARCHAR(100),
+      pais VARCHAR(60) NOT NULL DEFAULT 'España',
+      telefono VARCHAR(20),
+      predeterminada BOOLEAN DEFAULT FALSE,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA MÉTODOS DE ENVÍO
+  // tipo_regla:
+  // - 'tarifa_plana': siempre precio_base
+  // - 'gratis_desde': precio_base, gratis si el subtotal llega a umbral_gratis
+  // - 'por_peso': precio_base + precio_por_kg × kilos del pedido (redondeados hacia arriba)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS metodos_envio (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      codigo VARCHAR(30) NOT NULL UNIQUE,
+      nombre VARCHAR(100) NOT NULL,
+      tipo_regla ENUM('tarifa_plana', 'gratis_desde', 'por_peso') NOT NULL,
+      precio_base DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      umbral_gratis DECIMAL(10,2),
+      precio_por_kg DECIMAL(10,2),
+      requiere_direccion BOOLEAN NOT NULL DEFAULT TRUE,
+      activo BOOLEAN DEFAULT TRUE
+    )
+  `);
+
+  // TABLA CUPONES DE DESCUENTO
+  // tipo: 'porcentaje' (valor = %) o 'importe' (valor = euros)
+  // Las columnas opcionales a NULL significan "sin límite"
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS cupones (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      codigo VARCHAR(30) NOT NULL UNIQUE,
+      tipo ENUM('porcentaje', 'importe') NOT NULL,
+      valor DECIMAL(10,2) NOT NULL,
+      subtotal_minimo DECIMAL(10,2),
+      valido_desde DATETIME,
+      valido_hasta DATETIME,
+      usos_maximos INT,
+      usos_por_cliente INT,
+      categorias JSON,
+      usos INT NOT NULL DEFAULT 0,
+      activo BOOLEAN DEFAULT TRUE,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // TABLA PROMOCIONES AUTOMÁTICAS (se aplican sin código)
+  // parametros según el tipo:
+  // - 'lleva_x_paga_y': { "categoria": "Libros", "lleva": 3, "paga": 2 }
+  // - 'porcentaje_categoria': { "categoria": "Electrónica", "porcentaje": 10 }
+  // - 'regalo': { "producto_id": 6, "regalo_id": 7, "cantidad": 1 }
+  // prioridad: menor = se aplica antes
+  // acumulable: FALSE = las líneas que rebaja no reciben más promociones
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS promociones (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      nombre VARCHAR(100) NOT NULL,
+      tipo ENUM('lleva_x_paga_y', 'porcentaje_categoria', 'regalo') NOT NULL,
+      parametros JSON NOT NULL,
+      prioridad INT NOT NULL DEFAULT 100,
+      acumulable BOOLEAN NOT NULL DEFAULT FALSE,
+      valido_desde DATETIME,
+      valido_hasta DATETIME,
+      activo BOOLEAN DEFAULT TRUE,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   // TABLA PEDIDOS
   await pool.query(`
     CREATE TABLE IF NOT EXISTS pedidos (
       id INT AUTO_INCREMENT PRIMARY KEY,
       cliente_id INT NOT NULL,
-      estado ENUM('pendiente', 'pagado', 'enviado', 'entregado') DEFAULT 'pendiente',
+      estado ENUM('pendiente', 'pagado', 'enviado', 'entregado', 'cancelado') DEFAULT 'pendiente',
+      subtotal DECIMAL(10,2) DEFAULT 0.00,
+      metodo_envio VARCHAR(30),
+      coste_envio DECIMAL(10,2) DEFAULT 0.00,
+      descuento_promociones DECIMAL(10,2) DEFAULT 0.00,
+      cupon_codigo VARCHAR(30),
+      descuento DECIMAL(10,2) DEFAULT 0.00,
       total DECIMAL(10,2) DEFAULT 0.00,
+      base_imponible DECIMAL(10,2) DEFAULT 0.00,
+      cuota_iva DECIMAL(10,2) DEFAULT 0.00,
+      desglose_iva JSON,
+      motivo_cancelacion VARCHAR(255),
+      estado_devolucion ENUM('parcial', 'total'),
+      direccion_envio JSON,
       fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE CASCADE
     )
@@ -47,52 +152,426 @@ async function crearBBDD() {
       producto_id INT NOT NULL,
       cantidad INT DEFAULT 1,
       precio_unitario DECIMAL(10,2) NOT NULL,
+      descuento DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      promociones JSON,
+      tipo_iva DECIMAL(5,2) NOT NULL DEFAULT 21.00,
+      base_imponible DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      cuota_iva DECIMAL(10,2) NOT NULL DEFAULT 0.00,
       FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE,
       FOREIGN KEY (producto_id) REFERENCES productos(id) ON DELETE CASCADE
     )
   `);
 
+  // TABLA USOS DE CUPONES (una fila por pedido con cupón)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS cupones_usos (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cupon_id INT NOT NULL,
+      cliente_id INT NOT NULL,
+      pedido_id INT NOT NULL UNIQUE,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (cupon_id) REFERENCES cupones(id) ON DELETE CASCADE,
+      FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE CASCADE,
+      FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA HISTORIAL DE ESTADOS DE PEDIDOS (auditoría)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pedidos_historial (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      pedido_id INT NOT NULL,
+      estado_anterior VARCHAR(20),
+      estado_nuevo VARCHAR(20) NOT NULL,
+      actor_tipo ENUM('cliente', 'staff', 'sistema') NOT NULL DEFAULT 'sistema',
+      actor_id INT,
+      nota VARCHAR(255),
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA PAGOS (un intento de cobro por fila, con la referencia de la pasarela)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pagos (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      pedido_id INT NOT NULL,
+      proveedor VARCHAR(30) NOT NULL,
+      referencia VARCHAR(100),
+      importe DECIMAL(10,2) NOT NULL,
+      moneda CHAR(3) NOT NULL DEFAULT 'EUR',
+      estado ENUM('pendiente', 'confirmado', 'fallido') NOT NULL DEFAULT 'pendiente',
+      motivo_fallo VARCHAR(255),
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      actualizado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE (proveedor, referencia),
+      FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA EVENTOS DE PAGO (webhooks ya procesados: un reintento no cobra dos veces)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pagos_eventos (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      proveedor VARCHAR(30) NOT NULL,
+      id_evento VARCHAR(100) NOT NULL,
+      tipo VARCHAR(50) NOT NULL,
+      referencia VARCHAR(100) NOT NULL,
+      datos JSON,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (proveedor, id_evento)
+    )
+  `);
+
+  // TABLA SERIES DE FACTURAS (último número usado cada año)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS facturas_series (
+      anio INT PRIMARY KEY,
+      ultimo_numero INT NOT NULL DEFAULT 0
+    )
+  `);
+
+  // TABLA FACTURAS (una por pedido; numeración correlativa sin huecos)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS facturas (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      numero VARCHAR(20) NOT NULL UNIQUE,
+      anio INT NOT NULL,
+      secuencia INT NOT NULL,
+      pedido_id INT NOT NULL UNIQUE,
+      cliente JSON NOT NULL,
+      emitida_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (anio, secuencia),
+      FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA DEVOLUCIONES (RMA: solicitud de devolución de un pedido entregado)
+  // estado: 'solicitada' → 'aprobada' → 'recibida'  (o 'rechazada')
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS devoluciones (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      pedido_id INT NOT NULL,
+      cliente_id INT NOT NULL,
+      estado ENUM('solicitada', 'aprobada', 'rechazada', 'recibida') NOT NULL DEFAULT 'solicitada',
+      motivo VARCHAR(255),
+      importe DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      actualizado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE,
+      FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA LÍNEAS DE DEVOLUCIÓN (qué unidades de qué línea del pedido se devuelven)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS devoluciones_lineas (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      devolucion_id INT NOT NULL,
+      pedido_producto_id INT NOT NULL,
+      cantidad INT NOT NULL,
+      importe DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+      FOREIGN KEY (devolucion_id) REFERENCES devoluciones(id) ON DELETE CASCADE,
+      FOREIGN KEY (pedido_producto_id) REFERENCES pedidos_productos(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA HISTORIAL DE DEVOLUCIONES (auditoría, igual que pedidos_historial)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS devoluciones_historial (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      devolucion_id INT NOT NULL,
+      estado_anterior VARCHAR(20),
+      estado_nuevo VARCHAR(20) NOT NULL,
+      actor_tipo ENUM('cliente', 'staff', 'sistema') NOT NULL DEFAULT 'sistema',
+      actor_id INT,
+      nota VARCHAR(255),
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (devolucion_id) REFERENCES devoluciones(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA REEMBOLSOS (dinero a devolver: devolución recibida, pedido pagado cancelado o pago tardío)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS reembolsos (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      devolucion_id INT NULL UNIQUE,
+      pago_id INT NULL UNIQUE,
+      pedido_id INT NOT NULL,
+      importe DECIMAL(10,2) NOT NULL,
+      motivo ENUM('devolucion', 'cancelacion', 'pago_tardio') NOT NULL DEFAULT 'devolucion',
+      estado ENUM('pendiente', 'completado') NOT NULL DEFAULT 'pendiente',
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (devolucion_id) REFERENCES devoluciones(id) ON DELETE CASCADE,
+      FOREIGN KEY (pago_id) REFERENCES pagos(id) ON DELETE CASCADE,
+      FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA BANDEJA DE SALIDA DE EMAILS (se envían en segundo plano, con reintentos)
+  // estado: 'pendiente' → 'enviando' → 'enviado'  (o 'fallido' tras agotar los intentos)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS emails_salida (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      destinatario VARCHAR(100) NOT NULL,
+      plantilla VARCHAR(50) NOT NULL,
+      asunto VARCHAR(200) NOT NULL,
+      html MEDIUMTEXT NOT NULL,
+      texto MEDIUMTEXT NOT NULL,
+      estado ENUM('pendiente', 'enviando', 'enviado', 'fallido') NOT NULL DEFAULT 'pendiente',
+      intentos INT NOT NULL DEFAULT 0,
+      ultimo_error VARCHAR(500),
+      proximo_intento TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      enviado_en TIMESTAMP NULL,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      actualizado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX (estado, proximo_intento)
+    )
+  `);
+
+  // TABLA REFRESH TOKENS (sesiones abiertas; se guarda el hash, nunca el token)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cliente_id INT NOT NULL,
+      familia CHAR(36) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expira_en DATETIME NOT NULL,
+      usado_en DATETIME NULL,
+      revocado_en DATETIME NULL,
+      motivo_revocacion ENUM('logout', 'logout_todos', 'reutilizado', 'cuenta_desactivada') NULL,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_refresh_tokens_familia (familia),
+      FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE CASCADE
+    )
+  `);
+
+  // TABLA CLAVES DE IDEMPOTENCIA (evita pedidos duplicados por reintentos)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS idempotencia (
+      cliente_id INT NOT NULL,
+      clave VARCHAR(100) NOT NULL,
+      hash_peticion CHAR(64) NOT NULL,
+      estado_http INT,
+      respuesta JSON,
+      creado_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (cliente_id, clave),
+      FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE CASCADE
+    )
+  `);
+
   console.log("✅ Base de datos creada correctamente");
 }
 
+// ==============================================
+// ACTUALIZAR UNA BASE DE DATOS YA CREADA
+// ==============================================
+// CREATE TABLE IF NOT EXISTS no toca las tablas que ya existen: una base
+// de datos creada con una versión anterior de este archivo no tendría las
+// columnas nuevas ("Unknown column ..."). Cada cambio comprueba antes en
+// information_schema si ya está hecho, así que se puede ejecutar las veces
+// que haga falta.
+
+/**
+ * Datos de una columna (o undefined si no existe)
+ */
+async function leerColumna(tabla, columna) {
+  const [rows] = await pool.query(
+    `SELECT COLUMN_TYPE AS tipo, IS_NULLABLE AS nulable
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [tabla, columna]
+  );
+  return rows[0];
+}
+
+/**
+ * Añadir una columna si todavía no existe
+ * - definicion: lo que va detrás de ADD COLUMN (nombre, tipo y, si hace
+ *   falta, más cláusulas del ALTER como su FOREIGN KEY)
+ * - Devuelve true si la ha añadido ahora
+ */
+async function anadirColumna(tabla, columna, definicion) {
+  if (await leerColumna(tabla, columna)) return false;
+  await pool.query(`ALTER TABLE ${tabla} ADD COLUMN ${definicion}`);
+  console.log(`🔧 ${tabla}.${columna} añadida`);
+  return true;
+}
+
+/**
+ * Añadir un valor a una columna ENUM si todavía no lo admite
+ * - definicion: la definición completa de la columna, ya con el valor nuevo
+ */
+async function ampliarEnum(tabla, columna, valor, definicion) {
+  const actual = await leerColumna(tabla, columna);
+  if (!actual || actual.tipo.includes(`'${valor}'`)) return;
+  await pool.query(`ALTER TABLE ${tabla} MODIFY ${definicion}`);
+  console.log(`🔧 ${tabla}.${columna} admite '${valor}'`);
+}
+
+async function actualizarBBDD() {
+  // CLIENTES: roles, desactivar cuentas y cerrar todas las sesiones
+  await anadirColumna('clientes', 'rol', "rol ENUM('cliente', 'staff', 'admin') NOT NULL DEFAULT 'cliente' AFTER password");
+  await ampliarEnum('clientes', 'rol', 'admin', "rol ENUM('cliente', 'staff', 'admin') NOT NULL DEFAULT 'cliente'");
+  await anadirColumna('clientes', 'activo', 'activo BOOLEAN NOT NULL DEFAULT TRUE AFTER rol');
+  await anadirColumna('clientes', 'version_sesion', 'version_sesion INT NOT NULL DEFAULT 0 AFTER activo');
+
+  // PRODUCTOS: peso para el envío por kilos
+  await anadirColumna('productos', 'peso_kg', 'peso_kg DECIMAL(6,3) NOT NULL DEFAULT 0 AFTER stock');
+
+  // PEDIDOS: cancelación, totales desglosados, dirección y devoluciones
+  await ampliarEnum('pedidos', 'estado', 'cancelado', "estado ENUM('pendiente', 'pagado', 'enviado', 'entregado', 'cancelado') DEFAULT 'pendiente'");
+  if (await anadirColumna('pedidos', 'subtotal', 'subtotal DECIMAL(10,2) DEFAULT 0.00 AFTER estado')) {
+    // Los pedidos antiguos solo guardaban el total: sin envío ni descuentos,
+    // su subtotal es el total
+    await pool.query('UPDATE pedidos SET subtotal = total');
+  }
+  await anadirColumna('pedidos', 'metodo_envio', 'metodo_envio VARCHAR(30) AFTER subtotal');
+  await anadirColumna('pedidos', 'coste_envio', 'coste_envio DECIMAL(10,2) DEFAULT 0.00 AFTER metodo_envio');
+  await anadirColumna('pedidos', 'descuento_promociones', 'descuento_promociones DECIMAL(10,2) DEFAULT 0.00 AFTER coste_envio');
+  await anadirColumna('pedidos', 'cupon_codigo', 'cupon_codigo VARCHAR(30) AFTER descuento_promociones');
+  await anadirColumna('pedidos', 'descuento', 'descuento DECIMAL(10,2) DEFAULT 0.00 AFTER cupon_codigo');
+  const pedidosSinIva = await anadirColumna('pedidos', 'base_imponible', 'base_imponible DECIMAL(10,2) DEFAULT 0.00 AFTER total');
+  await anadirColumna('pedidos', 'cuota_iva', 'cuota_iva DECIMAL(10,2) DEFAULT 0.00 AFTER base_imponible');
+  await anadirColumna('pedidos', 'desglose_iva', 'desglose_iva JSON AFTER cuota_iva');
+  if (pedidosSinIva) {
+    // Los pedidos antiguos no guardaban el IVA: se desglosa al tipo general (21 %)
+    await pool.query(`
+      UPDATE pedidos SET base_imponible = ROUND(total / 1.21, 2), cuota_iva = total - ROUND(total / 1.21, 2),
+        desglose_iva = JSON_ARRAY(JSON_OBJECT('tipo', 21, 'base_imponible', ROUND(total / 1.21, 2), 'cuota_iva', total - ROUND(total / 1.21, 2)))
+    `);
+  }
+  await anadirColumna('pedidos', 'motivo_cancelacion', 'motivo_cancelacion VARCHAR(255) AFTER desglose_iva');
+  await anadirColumna('pedidos', 'estado_devolucion', "estado_devolucion ENUM('parcial', 'total') AFTER motivo_cancelacion");
+  await anadirColumna('pedidos', 'direccion_envio', 'direccion_envio JSON AFTER estado_devolucion');
+
+  // DETALLE DE PEDIDOS: descuentos e IVA por línea
+  await anadirColumna('pedidos_productos', 'descuento', 'descuento DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER precio_unitario');
+  await anadirColumna('pedidos_productos', 'promociones', 'promociones JSON AFTER descuento');
+  const lineasSinIva = await anadirColumna('pedidos_productos', 'tipo_iva', 'tipo_iva DECIMAL(5,2) NOT NULL DEFAULT 21.00 AFTER promociones');
+  await anadirColumna('pedidos_productos', 'base_imponible', 'base_imponible DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER tipo_iva');
+  await anadirColumna('pedidos_productos', 'cuota_iva', 'cuota_iva DECIMAL(10,2) NOT NULL DEFAULT 0.00 AFTER base_imponible');
+  if (lineasSinIva) {
+    await pool.query(`
+      UPDATE pedidos_productos SET base_imponible = ROUND(precio_unitario * cantidad / 1.21, 2),
+        cuota_iva = precio_unitario * cantidad - ROUND(precio_unitario * cantidad / 1.21, 2)
+    `);
+  }
+
+  // REEMBOLSOS: también de pedidos pagados cancelados y de pagos tardíos
+  const devolucion = await leerColumna('reembolsos', 'devolucion_id');
+  if (devolucion && devolucion.nulable === 'NO') {
+    await pool.query('ALTER TABLE reembolsos MODIFY devolucion_id INT NULL');
+    console.log('🔧 reembolsos.devolucion_id admite NULL');
+  }
+  await anadirColumna('reembolsos', 'pago_id',
+    'pago_id INT NULL UNIQUE AFTER devolucion_id, ADD FOREIGN KEY (pago_id) REFERENCES pagos(id) ON DELETE CASCADE');
+  await anadirColumna('reembolsos', 'motivo', "motivo ENUM('devolucion', 'cancelacion', 'pago_tardio') NOT NULL DEFAULT 'devolucion' AFTER importe");
+
+  console.log("✅ Base de datos actualizada");
+}
+
 async function insertarDatosEjemplo() {
+  // En una base de datos que ya tiene productos no se repiten los de ejemplo
+  const [[{ total }]] = await pool.query('SELECT COUNT(*) AS total FROM productos');
+  if (total > 0) {
+    console.log("ℹ️ Ya hay datos: no se insertan los de ejemplo");
+    return;
+  }
+
   try {
     // PRODUCTOS DE EJEMPLO (solo 3 categorías)
     await pool.query(`
-      INSERT INTO productos (nombre, descripcion, precio, stock, categoria, imagen_url) VALUES
-      ('Camiseta Básica', 'Camiseta de algodón cómoda', 19.99, 50, 'Ropa', 'https://via.placeholder.com/300x300/4CAF50/FFFFFF?text=Camiseta'),
-      ('Pantalón Vaquero', 'Vaqueros clásicos azules', 49.99, 30, 'Ropa', 'https://via.placeholder.com/300x300/2196F3/FFFFFF?text=Pantalon'),
-      ('Zapatillas Sport', 'Zapatillas cómodas para deporte', 79.99, 25, 'Ropa', 'https://via.placeholder.com/300x300/FF9800/FFFFFF?text=Zapatillas'),
-      ('El Quijote', 'Clásico de la literatura española', 12.50, 20, 'Libros', 'https://via.placeholder.com/300x300/9C27B0/FFFFFF?text=Libro'),
-      ('Guía JavaScript', 'Manual para programadores', 35.99, 15, 'Libros', 'https://via.placeholder.com/300x300/3F51B5/FFFFFF?text=JS+Book'),
-      ('Smartphone Basic', 'Teléfono inteligente sencillo', 199.99, 10, 'Electrónica', 'https://via.placeholder.com/300x300/F44336/FFFFFF?text=Phone'),
-      ('Auriculares', 'Auriculares con buen sonido', 29.99, 40, 'Electrónica', 'https://via.placeholder.com/300x300/795548/FFFFFF?text=Audio')
+      INSERT INTO productos (nombre, descripcion, precio, stock, peso_kg, categoria, imagen_url) VALUES
+      ('Camiseta Básica', 'Camiseta de algodón cómoda', 19.99, 50, 0.200, 'Ropa', 'https://via.placeholder.com/300x300/4CAF50/FFFFFF?text=Camiseta'),
+      ('Pantalón Vaquero', 'Vaqueros clásicos azules', 49.99, 30, 0.600, 'Ropa', 'https://via.placeholder.com/300x300/2196F3/FFFFFF?text=Pantalon'),
+      ('Zapatillas Sport', 'Zapatillas cómodas para deporte', 79.99, 25, 0.900, 'Ropa', 'https://via.placeholder.com/300x300/FF9800/FFFFFF?text=Zapatillas'),
+      ('El Quijote', 'Clásico de la literatura española', 12.50, 20, 0.800, 'Libros', 'https://via.placeholder.com/300x300/9C27B0/FFFFFF?text=Libro'),
+      ('Guía JavaScript', 'Manual para programadores', 35.99, 15, 0.700, 'Libros', 'https://via.placeholder.com/300x300/3F51B5/FFFFFF?text=JS+Book'),
+      ('Smartphone Basic', 'Teléfono inteligente sencillo', 199.99, 10, 0.350, 'Electrónica', 'https://via.placeholder.com/300x300/F44336/FFFFFF?text=Phone'),
+      ('Auriculares', 'Auriculares con buen sonido', 29.99, 40, 0.250, 'Electrónica', 'https://via.placeholder.com/300x300/795548/FFFFFF?text=Audio')
+    `);
+
+    // TIPOS DE IVA (los libros tienen el tipo superreducido)
+    await pool.query(`
+      INSERT INTO tipos_iva (categoria, tipo) VALUES
+      ('Libros', 4.00),
+      ('Ropa', 21.00),
+      ('Electrónica', 21.00)
+    `);
+
+    // MÉTODOS DE ENVÍO
+    await pool.query(`
+      INSERT INTO metodos_envio (codigo, nombre, tipo_regla, precio_base, umbral_gratis, precio_por_kg, requiere_direccion) VALUES
+      ('estandar', 'Envío estándar (3-5 días)', 'gratis_desde', 4.95, 50.00, NULL, TRUE),
+      ('express', 'Envío exprés (24 h)', 'por_peso', 6.95, NULL, 1.50, TRUE),
+      ('recogida', 'Recogida en tienda', 'tarifa_plana', 0.00, NULL, NULL, FALSE)
+    `);
+
+    // CUPONES DE EJEMPLO
+    await pool.query(`
+      INSERT INTO cupones (codigo, tipo, valor, subtotal_minimo, valido_desde, valido_hasta, usos_maximos, usos_por_cliente, categorias) VALUES
+      ('BIENVENIDA10', 'porcentaje', 10.00, NULL, NULL, NULL, NULL, 1, NULL),
+      ('LIBROS5', 'importe', 5.00, 20.00, NULL, NULL, 100, NULL, '["Libros"]'),
+      ('VERANO20', 'porcentaje', 20.00, 50.00, '2025-06-21 00:00:00', '2025-09-22 23:59:59', 500, 1, NULL)
+    `);
+
+    // PROMOCIONES DE EJEMPLO
+    await pool.query(`
+      INSERT INTO promociones (nombre, tipo, parametros, prioridad, acumulable, valido_desde, valido_hasta) VALUES
+      ('Auriculares gratis con tu Smartphone', 'regalo', '{"producto_id": 6, "regalo_id": 7, "cantidad": 1}', 10, FALSE, NULL, NULL),
+      ('3x2 en Libros', 'lleva_x_paga_y', '{"categoria": "Libros", "lleva": 3, "paga": 2}', 20, FALSE, NULL, NULL),
+      ('10% en Electrónica este fin de semana', 'porcentaje_categoria', '{"categoria": "Electrónica", "porcentaje": 10}', 30, FALSE, '2026-10-24 00:00:00', '2026-10-25 23:59:59')
     `);
 
     // USUARIOS DE PRUEBA (password '123456' hasheada)
     await pool.query(`
-      INSERT INTO clientes (nombre, email, password) VALUES
-      ('Juan Pérez', 'test@example.com', '$2a$10$N9qo8uLOickgx2ZMRZoMye.JfVK7fCQpNpCPq9QdoW6lQk1K6kMSO'),
-      ('Ana García', 'ana@example.com', '$2a$10$N9qo8uLOickgx2ZMRZoMye.JfVK7fCQpNpCPq9QdoW6lQk1K6kMSO'),
-      ('Carlos López', 'carlos@example.com', '$2a$10$N9qo8uLOickgx2ZMRZoMye.JfVK7fCQpNpCPq9QdoW6lQk1K6kMSO')
+      INSERT INTO clientes (nombre, email, password, rol) VALUES
+      ('Juan Pérez', 'test@example.com', '$2a$10$N9qo8uLOickgx2ZMRZoMye.JfVK7fCQpNpCPq9QdoW6lQk1K6kMSO', 'cliente'),
+      ('Ana García', 'ana@example.com', '$2a$10$N9qo8uLOickgx2ZMRZoMye.JfVK7fCQpNpCPq9QdoW6lQk1K6kMSO', 'cliente'),
+      ('Carlos López', 'carlos@example.com', '$2a$10$N9qo8uLOickgx2ZMRZoMye.JfVK7fCQpNpCPq9QdoW6lQk1K6kMSO', 'cliente'),
+      ('Equipo Bazar', 'staff@example.com', '$2a$10$N9qo8uLOickgx2ZMRZoMye.JfVK7fCQpNpCPq9QdoW6lQk1K6kMSO', 'staff')
+    `);
+
+    // DIRECCIONES DE EJEMPLO
+    await pool.query(`
+      INSERT INTO direcciones (cliente_id, destinatario, direccion, ciudad, codigo_postal, provincia, telefono, predeterminada) VALUES
+      (1, 'Juan Pérez', 'Calle Mayor 1, 2º A', 'Madrid', '28013', 'Madrid', '600111222', TRUE),
+      (2, 'Ana García', 'Avenida del Puerto 25', 'Valencia', '46021', 'Valencia', '600333444', TRUE)
     `);
 
     // PEDIDOS DE EJEMPLO
     await pool.query(`
-      INSERT INTO pedidos (cliente_id, estado, total) VALUES
-      (1, 'pendiente', 69.98),
-      (2, 'enviado', 45.48),
-      (1, 'entregado', 25.99)
+      INSERT INTO pedidos (cliente_id, estado, subtotal, metodo_envio, coste_envio, total, base_imponible, cuota_iva, desglose_iva) VALUES
+      (1, 'pendiente', 239.97, 'estandar', 0.00, 239.97, 198.32, 41.65,
+        '[{"tipo": 21, "base_imponible": 198.32, "cuota_iva": 41.65}]'),
+      (2, 'enviado', 48.49, 'estandar', 4.95, 53.44, 50.72, 2.72,
+        '[{"tipo": 21, "base_imponible": 4.09, "cuota_iva": 0.86}, {"tipo": 4, "base_imponible": 46.63, "cuota_iva": 1.86}]'),
+      (1, 'entregado', 79.99, 'recogida', 0.00, 79.99, 66.11, 13.88,
+        '[{"tipo": 21, "base_imponible": 66.11, "cuota_iva": 13.88}]')
     `);
 
     // DETALLE DE PEDIDOS
     await pool.query(`
-      INSERT INTO pedidos_productos (pedido_id, producto_id, cantidad, precio_unitario) VALUES
-      (1, 1, 2, 19.99),
-      (1, 6, 1, 199.99),
-      (2, 4, 1, 12.50),
-      (2, 5, 1, 35.99),
-      (3, 3, 1, 79.99)
+      INSERT INTO pedidos_productos (pedido_id, producto_id, cantidad, precio_unitario, tipo_iva, base_imponible, cuota_iva) VALUES
+      (1, 1, 2, 19.99, 21.00, 33.04, 6.94),
+      (1, 6, 1, 199.99, 21.00, 165.28, 34.71),
+      (2, 4, 1, 12.50, 4.00, 12.02, 0.48),
+      (2, 5, 1, 35.99, 4.00, 34.61, 1.38),
+      (3, 3, 1, 79.99, 21.00, 66.11, 13.88)
+    `);
+
+    // HISTORIAL DE ESTADOS DE LOS PEDIDOS DE EJEMPLO
+    await pool.query(`
+      INSERT INTO pedidos_historial (pedido_id, estado_anterior, estado_nuevo, actor_tipo, actor_id, nota) VALUES
+      (1, NULL, 'pendiente', 'cliente', 1, 'Pedido creado'),
+      (2, NULL, 'pendiente', 'cliente', 2, 'Pedido creado'),
+      (2, 'pendiente', 'pagado', 'sistema', NULL, NULL),
+      (2, 'pagado', 'enviado', 'staff', 4, NULL),
+      (3, NULL, 'pendiente', 'cliente', 1, 'Pedido creado'),
+      (3, 'pendiente', 'pagado', 'sistema', NULL, NULL),
+      (3, 'pagado', 'enviado', 'staff', 4, NULL),
+      (3, 'enviado', 'entregado', 'staff', 4, NULL)
     `);
 
     console.log("✅ Datos de ejemplo insertados correctamente");
@@ -104,5 +583,6 @@ async function insertarDatosEjemplo() {
 // Ejecutar todo
 (async () => {
   await crearBBDD();
+  await actualizarBBDD();
   await insertarDatosEjemplo();
 })();
@@ -1,5 +1,6 @@
 // backend-bazar/middlewares/auth.middleware.js
 import jwt from "jsonwebtoken";
+import * as clientesModel from "../models/clientes.model.js";
 
 /**
  * ==========================================
@@ -16,8 +17,10 @@ import jwt from "jsonwebtoken";
  * 2. Para acceder a rutas protegidas, incluye el token en la cabecera:
  *    Authorization: Bearer <token>
  * 3. Este middleware verifica que el token sea válido
- * 4. Si es válido, extrae los datos del usuario y continúa
- * 5. Si no es válido, devuelve error 401 (No autorizado)
+ * 4. Comprueba en la base de datos que la cuenta sigue existiendo,
+ *    está activa y no ha cerrado todas sus sesiones
+ * 5. Si todo es correcto, extrae los datos del usuario y continúa
+ * 6. Si no, devuelve error 401 (No autorizado)
  * 
  * USO:
  * import { verificarToken } from '../middlewares/auth.middleware.js';
@@ -40,16 +43,19 @@ import jwt from "jsonwebtoken";
  * ESTRUCTURA DE req.user (después de verificación exitosa):
  * {
  *   id: number,        // ID del usuario en la base de datos
- *   email: string,     // Email del usuario
- *   nombre: string     // Nombre del usuario
+ *   email: string,     // Email del usuario (leído de la base de datos)
+ *   nombre: string,    // Nombre del usuario (leído de la base de datos)
+ *   rol: string        // 'cliente', 'staff' o 'admin' (leído de la base de datos)
  * }
  * 
  * ERRORES POSIBLES:
  * - 401: Falta cabecera Authorization
  * - 401: Formato de token no válido (debe ser "Bearer <token>")
  * - 401: Token JWT no válido o expirado
+ * - 401: La cuenta ya no existe o está desactivada
+ * - 401: Sesión cerrada (se cerraron todas las sesiones después de emitir el token)
  */
-export function verificarToken(req, res, next) {
+export async function verificarToken(req, res, next) {
   // ==========================================
   // PASO 1: Extraer token de la cabecera
   // ==========================================
@@ -84,31 +90,11 @@ export function verificarToken(req, res, next) {
   // PASO 3: Verificar y decodificar el token
   // ==========================================
   
+  let decoded;
+
   try {
     // Verificar el token con la clave secreta del entorno
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // ==========================================
-    // PASO 4: Preparar datos del usuario
-    // ==========================================
-    
-    // Guardar los datos del usuario decodificado en req.user
-    // Estos datos estarán disponibles en todos los controladores
-    // que usen este middleware
-    req.user = {
-      cliente_id: decoded.cliente_id, // ID del cliente en la base de datos
-      id: decoded.cliente_id,         // Alias para compatibilidad
-      email: decoded.email,           // Email del usuario (si está en el token)
-      nombre: decoded.nombre          // Nombre del usuario (si está en el token)
-    };
-
-    // ==========================================
-    // PASO 5: Continuar con el siguiente middleware/controlador
-    // ==========================================
-    
-    // El token es válido, continuar con la siguiente función
-    next();
-
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     // ==========================================
     // MANEJO DE ERRORES DE JWT
@@ -132,6 +118,113 @@ export function verificarToken(req, res, next) {
       detalle: "Por favor, inicia sesión nuevamente"
     });
   }
+
+  // ==========================================
+  // PASO 4: Comprobar la cuenta en la base de datos
+  // ==========================================
+  
+  // Un JWT firmado sigue siendo válido hasta que caduca, aunque la cuenta
+  // se haya borrado o desactivado. Por eso se consulta en cada petición.
+  let cuenta;
+
+  try {
+    cuenta = await clientesModel.obtenerEstadoSesion(decoded.cliente_id);
+  } catch (error) {
+    console.error("Error al comprobar la cuenta del token:", error);
+    return res.status(500).json({
+      mensaje: "Error interno del servidor",
+      detalle: "No se pudo comprobar la sesión"
+    });
+  }
+
+  if (!cuenta || !cuenta.activo) {
+    return res.status(401).json({
+      mensaje: cuenta ? "Cuenta desactivada" : "La cuenta ya no existe",
+      detalle: "Este token ya no es válido"
+    });
+  }
+
+  // Tras "cerrar sesión en todos los dispositivos" la versión sube
+  // y los tokens emitidos antes dejan de valer
+  if ((decoded.ver ?? 0) !== cuenta.version_sesion) {
+    return res.status(401).json({
+      mensaje: "Sesión cerrada",
+      detalle: "Por favor, inicia sesión nuevamente"
+    });
+  }
+
+  // ==========================================
+  // PASO 5: Preparar datos del usuario
+  // ==========================================
+  
+  // Guardar los datos del usuario en req.user
+  // Estos datos estarán disponibles en todos los controladores
+  // que usen este middleware
+  req.user = {
+    cliente_id: cuenta.id,    // ID del cliente en la base de datos
+    id: cuenta.id,            // Alias para compatibilidad
+    email: cuenta.email,      // Email del usuario (leído de la base de datos)
+    nombre: cuenta.nombre,    // Nombre del usuario (leído de la base de datos)
+    rol: cuenta.rol           // Rol actual: un cambio de rol se aplica al momento
+  };
+
+  // ==========================================
+  // PASO 6: Continuar con el siguiente middleware/controlador
+  // ==========================================
+  
+  // El token es válido, continuar con la siguiente función
+  next();
+}
+
+/**
+ * Roles de las cuentas (columna clientes.rol)
+ * - cliente: compra y gestiona sus propios pedidos
+ * - staff: personal de la tienda (catálogo, pedidos, devoluciones)
+ * - admin: todo lo del staff y además gestiona los roles de las cuentas
+ */
+export const ROLES = ["cliente", "staff", "admin"];
+
+/**
+ * Roles que cuentan como personal de la tienda
+ */
+export const ROLES_PERSONAL = ["staff", "admin"];
+
+/**
+ * Middleware para restringir una ruta a ciertos roles
+ * ==========================================
+ * 
+ * Devuelve un middleware. Debe ir SIEMPRE después de verificarToken,
+ * porque usa req.user.
+ * 
+ * USO:
+ * router.patch('/:id/rol', verificarToken, requireRole('admin'), controlador);
+ * router.post('/', verificarToken, requireRole('staff', 'admin'), controlador);
+ * 
+ * ERRORES POSIBLES:
+ * - 401: No hay usuario autenticado (falta verificarToken antes)
+ * - 403: El usuario está autenticado pero su rol no tiene permiso.
+ *   401 significa "no sé quién eres"; 403, "sé quién eres y no puedes".
+ * 
+ * @param {...string} rolesPermitidos - Roles que pueden continuar
+ */
+export function requireRole(...rolesPermitidos) {
+  return function comprobarRol(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({
+        mensaje: "No autenticado",
+        detalle: "Por favor, inicia sesión"
+      });
+    }
+
+    if (!rolesPermitidos.includes(req.user.rol)) {
+      return res.status(403).json({
+        mensaje: "Acceso denegado",
+        detalle: `Esta operación requiere uno de estos roles: ${rolesPermitidos.join(", ")}`
+      });
+    }
+
+    next();
+  };
 }
 
 /**
@@ -0,0 +1,105 @@
+// middlewares/idempotencia.middleware.js
+import crypto from "crypto";
+import * as idempotenciaModel from "../models/idempotencia.model.js";
+
+/**
+ * ==========================================
+ * MIDDLEWARE DE IDEMPOTENCIA
+ * ==========================================
+ * 
+ * PROPÓSITO:
+ * Evita crear dos veces el mismo recurso cuando una petición POST se
+ * repite (doble clic en "Crear Pedido", reintento automático de red...).
+ * 
+ * FLUJO:
+ * 1. El frontend genera una clave única por intento de compra y la envía:
+ *    Idempotency-Key: 3f1c9a2e-...
+ * 2. Primera vez que llega la clave → se reserva y la petición sigue.
+ *    Al terminar se guarda la respuesta (status + JSON).
+ * 3. Llega otra vez la misma clave con el MISMO cuerpo
+ *    → se devuelve la respuesta guardada, sin ejecutar nada.
+ * 4. Llega la misma clave con OTRO cuerpo → 409 Conflict.
+ * 5. Llega mientras la primera todavía se procesa → 409 Conflict.
+ * 
+ * Sin cabecera Idempotency-Key la petición funciona como siempre.
+ * Las claves son por cliente: debe ir SIEMPRE después de verificarToken.
+ * 
+ * USO:
+ * router.post('/', verificarToken, idempotencia, controlador);
+ */
+
+/**
+ * Huella de la petición: SHA-256 del cuerpo JSON
+ */
+function calcularHash(body) {
+  return crypto.createHash("sha256").update(JSON.stringify(body ?? null)).digest("hex");
+}
+
+export async function idempotencia(req, res, next) {
+  const clave = req.get("Idempotency-Key");
+
+  if (clave === undefined) {
+    return next();
+  }
+
+  if (!clave.trim() || clave.length > 100) {
+    return res.status(400).json({
+      success: false,
+      message: "Cabecera Idempotency-Key no válida",
+      errores: { "Idempotency-Key": "Debe tener entre 1 y 100 caracteres" }
+    });
+  }
+
+  const clienteId = req.user.cliente_id;
+  const hash = calcularHash(req.body);
+
+  try {
+    const reservada = await idempotenciaModel.reservarClave(clienteId, clave, hash);
+
+    if (!reservada) {
+      const guardada = await idempotenciaModel.obtenerClave(clienteId, clave);
+
+      if (!guardada || guardada.hash_peticion !== hash) {
+        return res.status(409).json({
+          success: false,
+          message: "La clave Idempotency-Key ya se usó con datos diferentes"
+        });
+      }
+
+      if (guardada.estado_http === null) {
+        return res.status(409).json({
+          success: false,
+          message: "Ya hay una petición en curso con esta clave Idempotency-Key"
+        });
+      }
+
+      // Repetición: devolvemos exactamente la respuesta original
+      console.log(`🔁 Repetición detectada (Idempotency-Key: ${clave})`);
+      res.set("Idempotent-Replayed", "true");
+      const respuesta = typeof guardada.respuesta === "string"
+        ? JSON.parse(guardada.respuesta)
+        : guardada.respuesta;
+      return res.status(guardada.estado_http).json(respuesta);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Interceptar res.json para guardar la respuesta cuando el controlador conteste
+  const jsonOriginal = res.json.bind(res);
+
+  res.json = (cuerpo) => {
+    const guardado = res.statusCode >= 500
+      // Error del servidor: liberamos la clave para permitir reintentar
+      ? idempotenciaModel.liberarClave(clienteId, clave)
+      : idempotenciaModel.guardarRespuesta(clienteId, clave, res.statusCode, cuerpo);
+
+    guardado.catch(error => {
+      console.error("❌ Error al guardar la clave de idempotencia:", error);
+    });
+
+    return jsonOriginal(cuerpo);
+  };
+
+  next();
+}
@@ -8,13 +8,17 @@ import pool from '../config/db.js';
  * ------------------------
  * - Recibe un email.
  * - Lanza una consulta SELECT con un placeholder (?).
+ * - No distingue mayúsculas: el email llega normalizado (validators/auth.validator.js)
+ *   y la collation de la columna (utf8mb4, *_ci) ya compara sin distinguirlas,
+ *   así que 'Test@Example.com' encuentra a 'test@example.com'.
+ * - Usa el índice UNIQUE de email: como mucho hay una fila.
  * - Devuelve el primer registro que coincida (o undefined si no hay resultados).
  */
 export async function buscarPorEmail(email) {
   // Ejecutamos la consulta de forma parametrizada:
   // El ? se sustituye por el valor de [email] que le vendrá del frontend.
   const [rows] = await pool.query(
-    'SELECT id, nombre, email, password, creado_en FROM clientes WHERE email = ? ',
+    'SELECT id, nombre, email, password, rol, activo, version_sesion, creado_en FROM clientes WHERE email = ?',
     [email]
   );
 
@@ -43,6 +47,70 @@ export async function crearCliente({ nombre, email, password }) {
     insertId: result.insertId,
     id: result.insertId,
     nombre,
-    email
+    email,
+    rol: 'cliente' // Rol por defecto de la columna
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Obtener un cliente por su id
+ * ----------------------------
+ * - No devuelve la contraseña (solo datos para mostrar o notificar).
+ */
+export async function obtenerPorId(id) {
+  const [rows] = await pool.query(
+    'SELECT id, nombre, email, rol, creado_en FROM clientes WHERE id = ?',
+    [id]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Cambiar el rol de un cliente
+ * ----------------------------
+ * - Devuelve true si el cliente existía y false si no.
+ * - Se aplica en la siguiente petición: verificarToken lee el rol
+ *   de la base de datos, no del JWT.
+ */
+export async function actualizarRol(id, rol) {
+  const [result] = await pool.query(
+    'UPDATE clientes SET rol = ? WHERE id = ?',
+    [rol, id]
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Datos que verificarToken comprueba en cada petición
+ * ----------------------------------------------------
+ * - activo: una cuenta desactivada no puede usar sus tokens
+ * - version_sesion: sube al cerrar todas las sesiones; los access
+ *   tokens firmados con una versión anterior dejan de valer
+ * - nombre y email: para req.user (el token solo lleva id, rol y versión)
+ * - Devuelve undefined si la cuenta ya no existe.
+ */
+export async function obtenerEstadoSesion(id) {
+  const [rows] = await pool.query(
+    'SELECT id, nombre, email, rol, activo, version_sesion FROM clientes WHERE id = ?',
+    [id]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Activar o desactivar una cuenta
+ * -------------------------------
+ * - Devuelve true si el cliente existía y false si no.
+ * - Una cuenta desactivada no puede hacer login ni usar sus tokens.
+ */
+export async function actualizarActivo(id, activo) {
+  const [result] = await pool.query(
+    'UPDATE clientes SET activo = ? WHERE id = ?',
+    [activo, id]
+  );
+
+  return result.affectedRows > 0;
+}
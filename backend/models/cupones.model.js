@@ -0,0 +1,82 @@
+// models/cupones.model.js
+import pool from '../config/db.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: CUPONES DE DESCUENTO
+ * ==========================================
+ * 
+ * TABLA 'cupones':
+ *    - codigo (único, en mayúsculas: 'VERANO10')
+ *    - tipo: 'porcentaje' | 'importe' y su valor
+ *    - subtotal_minimo (opcional)
+ *    - valido_desde / valido_hasta (opcionales)
+ *    - usos_maximos (global) y usos_por_cliente (opcionales)
+ *    - categorias (JSON opcional: solo descuenta productos de esas categorías)
+ *    - usos (contador de pedidos que lo han usado)
+ * 
+ * TABLA 'cupones_usos': una fila por pedido que usa un cupón.
+ * Sirve para contar los usos de cada cliente y para liberarlos
+ * si el pedido se cancela.
+ * 
+ * Las reglas (fechas, límites, cálculo del descuento) están en
+ * services/cupones.service.js
+ */
+
+const COLUMNAS = `id, codigo, tipo, valor, subtotal_minimo, valido_desde, valido_hasta,
+  usos_maximos, usos_por_cliente, categorias, usos, activo`;
+
+/**
+ * Obtener un cupón por su código
+ * @param {string} codigo - Código en mayúsculas
+ * @param {Object} [opciones]
+ *   @param {Object} [opciones.conexion=pool] - Conexión a usar (para transacciones)
+ *   @param {boolean} [opciones.bloquear=false] - SELECT ... FOR UPDATE: así dos
+ *     pedidos simultáneos no pueden gastar el último uso del cupón
+ */
+export async function obtenerPorCodigo(codigo, { conexion = pool, bloquear = false } = {}) {
+  const [rows] = await conexion.query(
+    `SELECT ${COLUMNAS} FROM cupones WHERE codigo = ?${bloquear ? ' FOR UPDATE' : ''}`,
+    [codigo]
+  );
+  return rows[0];
+}
+
+/**
+ * Contar cuántos pedidos ha hecho un cliente con un cupón
+ */
+export async function contarUsosDeCliente(cuponId, clienteId, conexion = pool) {
+  const [[{ usos }]] = await conexion.query(
+    'SELECT COUNT(*) AS usos FROM cupones_usos WHERE cupon_id = ? AND cliente_id = ?',
+    [cuponId, clienteId]
+  );
+  return usos;
+}
+
+/**
+ * Registrar el uso de un cupón en un pedido
+ * Suma 1 al contador global y guarda la fila de cupones_usos.
+ */
+export async function registrarUso({ cuponId, clienteId, pedidoId }, conexion = pool) {
+  await conexion.query('UPDATE cupones SET usos = usos + 1 WHERE id = ?', [cuponId]);
+  await conexion.query(
+    'INSERT INTO cupones_usos (cupon_id, cliente_id, pedido_id) VALUES (?, ?, ?)',
+    [cuponId, clienteId, pedidoId]
+  );
+}
+
+/**
+ * Liberar el cupón de un pedido (al cancelarlo)
+ * Si el pedido no usó cupón no hace nada.
+ */
+export async function liberarUsoDePedido(pedidoId, conexion = pool) {
+  const [rows] = await conexion.query(
+    'SELECT id, cupon_id FROM cupones_usos WHERE pedido_id = ?',
+    [pedidoId]
+  );
+
+  for (const uso of rows) {
+    await conexion.query('UPDATE cupones SET usos = GREATEST(usos - 1, 0) WHERE id = ?', [uso.cupon_id]);
+    await conexion.query('DELETE FROM cupones_usos WHERE id = ?', [uso.id]);
+  }
+}
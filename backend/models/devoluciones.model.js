@@ -0,0 +1,426 @@
+// models/devoluciones.model.js
+import pool from '../config/db.js';
+import { crearError } from '../utils/errores.js';
+import {
+  dentroDePlazo,
+  plazoDias,
+  importeADevolver,
+  estadoDevolucionPedido,
+  TRANSICIONES_DEVOLUCION,
+  ESTADOS_DEVOLUCION
+} from '../services/devoluciones.service.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: DEVOLUCIONES (RMA)
+ * ==========================================
+ *
+ * TABLA 'devoluciones': una solicitud de devolución de un pedido.
+ * TABLA 'devoluciones_lineas': unidades de cada línea del pedido que se devuelven.
+ * TABLA 'devoluciones_historial': cada cambio de estado (auditoría).
+ * TABLA 'reembolsos': dinero a devolver cuando la mercancía llega a la tienda.
+ *
+ * Las reglas (plazo, transiciones, importes) están en
+ * services/devoluciones.service.js
+ *
+ * Todas las operaciones que cambian algo bloquean primero el PEDIDO
+ * (SELECT ... FOR UPDATE). Así dos solicitudes simultáneas no pueden
+ * devolver más unidades de las compradas.
+ */
+
+/**
+ * Sumar cantidades por línea del pedido: Map pedido_producto_id → unidades
+ * @param {Array<string>} estados - Solo cuentan las devoluciones en estos estados
+ * @param {number} [excluirId] - Devolución que no se cuenta
+ */
+async function unidadesPorLinea(conexion, pedidoId, estados, excluirId = 0) {
+  const [rows] = await conexion.query(
+    `SELECT dl.pedido_producto_id, SUM(dl.cantidad) AS unidades
+     FROM devoluciones_lineas dl
+     JOIN devoluciones d ON d.id = dl.devolucion_id
+     WHERE d.pedido_id = ? AND d.estado IN (?) AND d.id <> ?
+     GROUP BY dl.pedido_producto_id`,
+    [pedidoId, estados, excluirId]
+  );
+  return new Map(rows.map(r => [r.pedido_producto_id, Number(r.unidades)]));
+}
+
+async function registrarHistorial(
+  { devolucionId, estadoAnterior = null, estadoNuevo, actor, nota = null },
+  conexion
+) {
+  await conexion.query(
+    `INSERT INTO devoluciones_historial (devolucion_id, estado_anterior, estado_nuevo, actor_tipo, actor_id, nota)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [devolucionId, estadoAnterior, estadoNuevo, actor.tipo, actor.id ?? null, nota]
+  );
+}
+
+/**
+ * Solicitar una devolución
+ * ----------------------------------------
+ * 1. Bloquear el pedido: debe ser del cliente (404) y estar 'entregado' (409)
+ * 2. Comprobar el plazo desde la entrega (409)
+ * 3. Comprobar que las líneas son del pedido (400) y que quedan
+ *    unidades sin devolver (409). Cuentan las devoluciones no rechazadas.
+ * 4. Guardar la devolución, sus líneas (con el importe estimado) y el historial
+ *
+ * @param {Object} datos
+ *   @param {number} datos.pedidoId
+ *   @param {number} datos.clienteId
+ *   @param {string|null} datos.motivo
+ *   @param {Array} datos.lineas - [{ linea_id, cantidad }] ya validadas
+ * @returns {Object} { id, pedido_id, estado, motivo, importe, lineas }
+ */
+export async function crear({ pedidoId, clienteId, motivo, lineas }) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    const [pedidos] = await conexion.query(
+      'SELECT id, cliente_id, estado, fecha FROM pedidos WHERE id = ? FOR UPDATE',
+      [pedidoId]
+    );
+    const pedido = pedidos[0];
+
+    if (!pedido || pedido.cliente_id !== clienteId) {
+      throw crearError(404, 'Pedido no encontrado');
+    }
+
+    if (pedido.estado !== 'entregado') {
+      throw crearError(409, `Solo se pueden devolver pedidos entregados (estado actual: '${pedido.estado}')`, {
+        estado_actual: pedido.estado
+      });
+    }
+
+    // Fecha de entrega: el último paso a 'entregado' del historial
+    const [[{ entregado_en }]] = await conexion.query(
+      `SELECT MAX(creado_en) AS entregado_en FROM pedidos_historial
+       WHERE pedido_id = ? AND estado_nuevo = 'entregado'`,
+      [pedidoId]
+    );
+
+    if (!dentroDePlazo(entregado_en || pedido.fecha)) {
+      throw crearError(409, `El plazo de devolución (${plazoDias()} días desde la entrega) ha terminado`);
+    }
+
+    const [lineasPedido] = await conexion.query(
+      `SELECT id, producto_id, cantidad, precio_unitario, descuento
+       FROM pedidos_productos WHERE pedido_id = ?`,
+      [pedidoId]
+    );
+    const lineasPorId = new Map(lineasPedido.map(l => [l.id, l]));
+
+    const ajenas = lineas.filter(l => !lineasPorId.has(l.linea_id));
+    if (ajenas.length > 0) {
+      throw crearError(400, 'Datos de la devolución no válidos', {
+        errores: { lineas: `Estas líneas no pertenecen al pedido: ${ajenas.map(l => l.linea_id).join(', ')}` }
+      });
+    }
+
+    const comprometidas = await unidadesPorLinea(conexion, pedidoId, ['solicitada', 'aprobada', 'recibida']);
+
+    const sinUnidades = lineas
+      .map(({ linea_id, cantidad }) => ({
+        linea_id,
+        solicitadas: cantidad,
+        disponibles: lineasPorId.get(linea_id).cantidad - (comprometidas.get(linea_id) || 0)
+      }))
+      .filter(l => l.solicitadas > l.disponibles);
+
+    if (sinUnidades.length > 0) {
+      throw crearError(409, 'No quedan tantas unidades por devolver', { lineas: sinUnidades });
+    }
+
+    // Importe estimado (se recalcula al recibir la mercancía)
+    const lineasDevolucion = lineas.map(({ linea_id, cantidad }) => ({
+      linea_id,
+      cantidad,
+      importeCentimos: importeADevolver(lineasPorId.get(linea_id), comprometidas.get(linea_id) || 0, cantidad)
+    }));
+    const importeCentimos = lineasDevolucion.reduce((total, l) => total + l.importeCentimos, 0);
+
+    const [resultado] = await conexion.query(
+      'INSERT INTO devoluciones (pedido_id, cliente_id, motivo, importe) VALUES (?, ?, ?, ?)',
+      [pedidoId, clienteId, motivo, importeCentimos / 100]
+    );
+    const devolucionId = resultado.insertId;
+
+    for (const linea of lineasDevolucion) {
+      await conexion.query(
+        'INSERT INTO devoluciones_lineas (devolucion_id, pedido_producto_id, cantidad, importe) VALUES (?, ?, ?, ?)',
+        [devolucionId, linea.linea_id, linea.cantidad, linea.importeCentimos / 100]
+      );
+    }
+
+    await registrarHistorial({
+      devolucionId,
+      estadoNuevo: 'solicitada',
+      actor: { tipo: 'cliente', id: clienteId },
+      nota: motivo
+    }, conexion);
+
+    await conexion.commit();
+
+    return {
+      id: devolucionId,
+      pedido_id: pedidoId,
+      estado: 'solicitada',
+      motivo,
+      importe: importeCentimos / 100,
+      lineas: lineasDevolucion.map(l => ({
+        linea_id: l.linea_id,
+        cantidad: l.cantidad,
+        importe: l.importeCentimos / 100
+      }))
+    };
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
+
+/**
+ * Cambiar el estado de una devolución (staff)
+ * ----------------------------------------
+ * Respeta TRANSICIONES_DEVOLUCION. Al pasar a 'recibida':
+ * - las unidades vuelven al stock
+ * - se recalcula el importe con lo ya reembolsado del pedido
+ * - se crea el reembolso (pendiente de pago)
+ * - el pedido queda con estado_devolucion 'parcial' o 'total'
+ *
+ * @param {number} id - ID de la devolución
+ * @param {string} nuevoEstado - 'aprobada' | 'rechazada' | 'recibida'
+ * @param {Object} opciones
+ *   @param {Object} opciones.actor - { tipo, id }
+ *   @param {string} [opciones.nota]
+ * @returns {Object} { id, pedido_id, estado_anterior, estado, importe, reembolso }
+ */
+export async function actualizarEstado(id, nuevoEstado, { actor, nota = null }) {
+  if (!ESTADOS_DEVOLUCION.includes(nuevoEstado)) {
+    throw crearError(400, `Estado no válido: ${nuevoEstado}`, { estados_validos: ESTADOS_DEVOLUCION });
+  }
+
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    // Primero el pedido y después la devolución: mismo orden de bloqueo que crear()
+    const [[referencia]] = await conexion.query(
+      'SELECT pedido_id FROM devoluciones WHERE id = ?',
+      [id]
+    );
+
+    if (!referencia) {
+      throw crearError(404, 'Devolución no encontrada');
+    }
+
+    const pedidoId = referencia.pedido_id;
+
+    await conexion.query('SELECT id FROM pedidos WHERE id = ? FOR UPDATE', [pedidoId]);
+
+    const [[devolucion]] = await conexion.query(
+      'SELECT id, pedido_id, estado, importe FROM devoluciones WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    const permitidos = TRANSICIONES_DEVOLUCION[devolucion.estado];
+
+    if (!permitidos.includes(nuevoEstado)) {
+      throw crearError(
+        409,
+        `No se puede pasar una devolución de '${devolucion.estado}' a '${nuevoEstado}'`,
+        { estado_actual: devolucion.estado, transiciones_permitidas: permitidos }
+      );
+    }
+
+    await conexion.query(
+      'UPDATE devoluciones SET estado = ? WHERE id = ?',
+      [nuevoEstado, id]
+    );
+
+    let importe = Number(devolucion.importe);
+    let reembolso = null;
+
+    if (nuevoEstado === 'recibida') {
+      const [lineas] = await conexion.query(
+        `SELECT dl.id, dl.pedido_producto_id, dl.cantidad AS devueltas,
+                pp.producto_id, pp.cantidad, pp.precio_unitario, pp.descuento
+         FROM devoluciones_lineas dl
+         JOIN pedidos_productos pp ON pp.id = dl.pedido_producto_id
+         WHERE dl.devolucion_id = ?`,
+        [id]
+      );
+
+      // Unidades ya reembolsadas en devoluciones anteriores del pedido
+      const recibidas = await unidadesPorLinea(conexion, pedidoId, ['recibida'], id);
+      let importeCentimos = 0;
+
+      for (const linea of lineas) {
+        const importeLinea = importeADevolver(linea, recibidas.get(linea.pedido_producto_id) || 0, linea.devueltas);
+        importeCentimos += importeLinea;
+
+        await conexion.query(
+          'UPDATE devoluciones_lineas SET importe = ? WHERE id = ?',
+          [importeLinea / 100, linea.id]
+        );
+        await conexion.query(
+          'UPDATE productos SET stock = stock + ? WHERE id = ?',
+          [linea.devueltas, linea.producto_id]
+        );
+      }
+
+      importe = importeCentimos / 100;
+
+      await conexion.query(
+        'UPDATE devoluciones SET importe = ? WHERE id = ?',
+        [importe, id]
+      );
+
+      const [resultado] = await conexion.query(
+        'INSERT INTO reembolsos (devolucion_id, pedido_id, importe) VALUES (?, ?, ?)',
+        [id, pedidoId, importe]
+      );
+      reembolso = { id: resultado.insertId, importe, estado: 'pendiente' };
+
+      // ¿Se ha devuelto todo el pedido o solo una parte?
+      const [lineasPedido] = await conexion.query(
+        'SELECT id, cantidad FROM pedidos_productos WHERE pedido_id = ?',
+        [pedidoId]
+      );
+      const devueltasPorLinea = await unidadesPorLinea(conexion, pedidoId, ['recibida']);
+
+      await conexion.query(
+        'UPDATE pedidos SET estado_devolucion = ? WHERE id = ?',
+        [
+          estadoDevolucionPedido(lineasPedido.map(l => ({
+            cantidad: l.cantidad,
+            devueltas: devueltasPorLinea.get(l.id) || 0
+          }))),
+          pedidoId
+        ]
+      );
+    }
+
+    await registrarHistorial({
+      devolucionId: id,
+      estadoAnterior: devolucion.estado,
+      estadoNuevo: nuevoEstado,
+      actor,
+      nota
+    }, conexion);
+
+    await conexion.commit();
+
+    return {
+      id,
+      pedido_id: pedidoId,
+      estado_anterior: devolucion.estado,
+      estado: nuevoEstado,
+      importe,
+      reembolso
+    };
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
+
+/**
+ * Añadir líneas, historial y reembolso a una lista de devoluciones
+ * (3 consultas en total, sea cual sea el número de devoluciones)
+ */
+async function completarDevoluciones(devoluciones) {
+  if (devoluciones.length === 0) {
+    return [];
+  }
+
+  const ids = devoluciones.map(d => d.id);
+
+  const [lineas] = await pool.query(
+    `SELECT dl.devolucion_id, dl.pedido_producto_id AS linea_id, dl.cantidad, dl.importe,
+            pr.id AS producto_id, pr.nombre AS producto_nombre
+     FROM devoluciones_lineas dl
+     JOIN pedidos_productos pp ON pp.id = dl.pedido_producto_id
+     JOIN productos pr ON pr.id = pp.producto_id
+     WHERE dl.devolucion_id IN (?)
+     ORDER BY dl.id`,
+    [ids]
+  );
+
+  const [historial] = await pool.query(
+    `SELECT devolucion_id, estado_anterior, estado_nuevo, actor_tipo, actor_id, nota, creado_en AS fecha
+     FROM devoluciones_historial
+     WHERE devolucion_id IN (?)
+     ORDER BY creado_en ASC, id ASC`,
+    [ids]
+  );
+
+  const [reembolsos] = await pool.query(
+    'SELECT id, devolucion_id, importe, estado, creado_en FROM reembolsos WHERE devolucion_id IN (?)',
+    [ids]
+  );
+
+  return devoluciones.map(devolucion => {
+    const reembolso = reembolsos.find(r => r.devolucion_id === devolucion.id);
+
+    return {
+      ...devolucion,
+      importe: Number(devolucion.importe),
+      lineas: lineas
+        .filter(l => l.devolucion_id === devolucion.id)
+        .map(({ devolucion_id, ...linea }) => ({ ...linea, importe: Number(linea.importe) })),
+      historial: historial
+        .filter(h => h.devolucion_id === devolucion.id)
+        .map(({ devolucion_id, ...cambio }) => cambio),
+      reembolso: reembolso
+        ? { id: reembolso.id, importe: Number(reembolso.importe), estado: reembolso.estado, fecha: reembolso.creado_en }
+        : null
+    };
+  });
+}
+
+const COLUMNAS = 'id, pedido_id, cliente_id, estado, motivo, importe, creado_en, actualizado_en';
+
+/**
+ * Devoluciones de un pedido, con sus líneas, historial y reembolso
+ */
+export async function listarDePedido(pedidoId) {
+  const [rows] = await pool.query(
+    `SELECT ${COLUMNAS} FROM devoluciones WHERE pedido_id = ? ORDER BY id`,
+    [pedidoId]
+  );
+  return completarDevoluciones(rows);
+}
+
+/**
+ * Listado paginado de devoluciones (staff)
+ * @param {Object} filtros - { estado?, page, limit } ya validados
+ * @returns {Object} { devoluciones: [...], total }
+ */
+export async function listar({ estado, page = 1, limit = 20 } = {}) {
+  const where = estado ? 'WHERE estado = ?' : '';
+  const valores = estado ? [estado] : [];
+
+  const [rows] = await pool.query(
+    `SELECT ${COLUMNAS} FROM devoluciones ${where}
+     ORDER BY creado_en DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...valores, limit, (page - 1) * limit]
+  );
+
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM devoluciones ${where}`,
+    valores
+  );
+
+  return { devoluciones: await completarDevoluciones(rows), total };
+}
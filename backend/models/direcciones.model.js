@@ -0,0 +1,208 @@
+// models/direcciones.model.js
+import pool from '../config/db.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: DIRECCIONES DE ENVÍO
+ * ==========================================
+ * 
+ * Libreta de direcciones de cada cliente.
+ * 
+ * TABLA 'direcciones':
+ *    - id, cliente_id
+ *    - destinatario, direccion, ciudad, codigo_postal, provincia, pais, telefono
+ *    - predeterminada (BOOLEAN: como mucho una por cliente)
+ *    - creado_en
+ * 
+ * Todas las funciones reciben el cliente_id: un cliente nunca puede
+ * leer ni modificar direcciones de otro.
+ * 
+ * Los pedidos NO apuntan a esta tabla: guardan una copia de la dirección
+ * (pedidos.direccion_envio), así editar o borrar una dirección no
+ * cambia los pedidos ya hechos.
+ */
+
+const COLUMNAS = `id, cliente_id, destinatario, direccion, ciudad, codigo_postal,
+  provincia, pais, telefono, predeterminada, creado_en`;
+
+const CAMPOS_EDITABLES = ['destinatario', 'direccion', 'ciudad', 'codigo_postal', 'provincia', 'pais', 'telefono'];
+
+/**
+ * Listar las direcciones de un cliente
+ * La predeterminada primero, después las más recientes
+ */
+export async function listar(clienteId) {
+  const [rows] = await pool.query(
+    `SELECT ${COLUMNAS}
+     FROM direcciones
+     WHERE cliente_id = ?
+     ORDER BY predeterminada DESC, creado_en DESC, id DESC`,
+    [clienteId]
+  );
+  return rows;
+}
+
+/**
+ * Obtener una dirección del cliente (undefined si no existe o es de otro)
+ */
+export async function obtenerPorId(id, clienteId) {
+  const [rows] = await pool.query(
+    `SELECT ${COLUMNAS} FROM direcciones WHERE id = ? AND cliente_id = ?`,
+    [id, clienteId]
+  );
+  return rows[0];
+}
+
+/**
+ * Obtener la dirección predeterminada del cliente (undefined si no tiene)
+ */
+export async function obtenerPredeterminada(clienteId) {
+  const [rows] = await pool.query(
+    `SELECT ${COLUMNAS} FROM direcciones WHERE cliente_id = ? AND predeterminada = 1`,
+    [clienteId]
+  );
+  return rows[0];
+}
+
+/**
+ * Crear una dirección
+ * - La primera dirección del cliente es siempre la predeterminada.
+ * - Si se marca como predeterminada, se desmarca la anterior.
+ */
+export async function crear(clienteId, datos) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    const [[{ total }]] = await conexion.query(
+      'SELECT COUNT(*) AS total FROM direcciones WHERE cliente_id = ? FOR UPDATE',
+      [clienteId]
+    );
+    const predeterminada = total === 0 || datos.predeterminada === true;
+
+    if (predeterminada) {
+      await conexion.query(
+        'UPDATE direcciones SET predeterminada = 0 WHERE cliente_id = ?',
+        [clienteId]
+      );
+    }
+
+    const [result] = await conexion.query(
+      `INSERT INTO direcciones
+        (cliente_id, destinatario, direccion, ciudad, codigo_postal, provincia, pais, telefono, predeterminada)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        clienteId, datos.destinatario, datos.direccion, datos.ciudad, datos.codigo_postal,
+        datos.provincia || null, datos.pais, datos.telefono || null, predeterminada
+      ]
+    );
+
+    await conexion.commit();
+    return obtenerPorId(result.insertId, clienteId);
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
+
+/**
+ * Actualizar una dirección (reemplazo completo de sus campos)
+ * Devuelve la dirección actualizada o undefined si no existe
+ */
+export async function actualizar(id, clienteId, datos) {
+  const asignaciones = CAMPOS_EDITABLES.map(campo => `${campo} = ?`).join(', ');
+  const valores = CAMPOS_EDITABLES.map(campo => datos[campo] ?? null);
+
+  const [result] = await pool.query(
+    `UPDATE direcciones SET ${asignaciones} WHERE id = ? AND cliente_id = ?`,
+    [...valores, id, clienteId]
+  );
+  if (result.affectedRows === 0) return undefined;
+
+  if (datos.predeterminada === true) {
+    return marcarPredeterminada(id, clienteId);
+  }
+  return obtenerPorId(id, clienteId);
+}
+
+/**
+ * Marcar una dirección como predeterminada (y desmarcar las demás)
+ * Devuelve la dirección o undefined si no existe
+ */
+export async function marcarPredeterminada(id, clienteId) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    const [rows] = await conexion.query(
+      'SELECT id FROM direcciones WHERE id = ? AND cliente_id = ? FOR UPDATE',
+      [id, clienteId]
+    );
+    if (rows.length === 0) {
+      await conexion.rollback();
+      return undefined;
+    }
+
+    await conexion.query(
+      'UPDATE direcciones SET predeterminada = (id = ?) WHERE cliente_id = ?',
+      [id, clienteId]
+    );
+
+    await conexion.commit();
+    return obtenerPorId(id, clienteId);
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
+
+/**
+ * Eliminar una dirección
+ * Si era la predeterminada, pasa a serlo la más reciente de las que quedan.
+ * Devuelve true si existía.
+ */
+export async function eliminar(id, clienteId) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    const [rows] = await conexion.query(
+      'SELECT predeterminada FROM direcciones WHERE id = ? AND cliente_id = ? FOR UPDATE',
+      [id, clienteId]
+    );
+    if (rows.length === 0) {
+      await conexion.rollback();
+      return false;
+    }
+
+    await conexion.query('DELETE FROM direcciones WHERE id = ?', [id]);
+
+    if (rows[0].predeterminada) {
+      await conexion.query(
+        `UPDATE direcciones SET predeterminada = 1
+         WHERE cliente_id = ?
+         ORDER BY creado_en DESC, id DESC
+         LIMIT 1`,
+        [clienteId]
+      );
+    }
+
+    await conexion.commit();
+    return true;
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
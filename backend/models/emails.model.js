@@ -0,0 +1,127 @@
+// models/emails.model.js
+import pool from '../config/db.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: BANDEJA DE SALIDA DE EMAILS
+ * ==========================================
+ *
+ * TABLA 'emails_salida': cada email que hay que enviar, ya renderizado
+ * (asunto, HTML y texto). Las peticiones HTTP solo INSERTAN aquí; el
+ * envío real lo hace services/emails.service.js en segundo plano.
+ * Así un servidor de correo caído nunca hace fallar una petición.
+ *
+ * CICLO DE VIDA:
+ *   pendiente ──→ enviando ──→ enviado
+ *       ↑             │
+ *       └─ reintento ─┴──→ fallido (tras agotar los intentos)
+ */
+
+/**
+ * Minutos tras los que un email en 'enviando' se da por abandonado
+ * (p. ej. el servidor se reinició a mitad de envío) y se vuelve a intentar
+ */
+const MINUTOS_ENVIO_ABANDONADO = 10;
+
+/**
+ * Añadir un email a la bandeja de salida
+ * @param {Object} email - { destinatario, plantilla, asunto, html, texto }
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
+ * @returns {number} ID del email
+ */
+export async function encolar({ destinatario, plantilla, asunto, html, texto }, conexion = pool) {
+  const [resultado] = await conexion.query(
+    `INSERT INTO emails_salida (destinatario, plantilla, asunto, html, texto)
+     VALUES (?, ?, ?, ?, ?)`,
+    [destinatario, plantilla, asunto, html, texto]
+  );
+  return resultado.insertId;
+}
+
+/**
+ * Reservar los siguientes emails a enviar
+ * ----------------------------------------
+ * Los marca como 'enviando' y suma un intento dentro de una transacción.
+ * FOR UPDATE SKIP LOCKED: si hay varios procesos del backend, cada uno
+ * se salta las filas que otro ya está reservando (nunca se envía dos veces).
+ *
+ * @param {number} limite - Máximo de emails a reservar
+ * @returns {Array} Emails reservados (con su número de intento)
+ */
+export async function reservarPendientes(limite) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    const [rows] = await conexion.query(
+      `SELECT id FROM emails_salida
+       WHERE (estado = 'pendiente' AND proximo_intento <= NOW())
+          OR (estado = 'enviando' AND actualizado_en < NOW() - INTERVAL ? MINUTE)
+       ORDER BY id
+       LIMIT ?
+       FOR UPDATE SKIP LOCKED`,
+      [MINUTOS_ENVIO_ABANDONADO, limite]
+    );
+
+    if (rows.length === 0) {
+      await conexion.commit();
+      return [];
+    }
+
+    const ids = rows.map(r => r.id);
+
+    await conexion.query(
+      "UPDATE emails_salida SET estado = 'enviando', intentos = intentos + 1 WHERE id IN (?)",
+      [ids]
+    );
+
+    const [emails] = await conexion.query(
+      `SELECT id, destinatario, plantilla, asunto, html, texto, intentos
+       FROM emails_salida WHERE id IN (?) ORDER BY id`,
+      [ids]
+    );
+
+    await conexion.commit();
+    return emails;
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
+
+/**
+ * Marcar un email como enviado
+ */
+export async function marcarEnviado(id) {
+  await pool.query(
+    "UPDATE emails_salida SET estado = 'enviado', enviado_en = NOW(), ultimo_error = NULL WHERE id = ?",
+    [id]
+  );
+}
+
+/**
+ * Registrar un envío fallido
+ * @param {number} id
+ * @param {string} error - Mensaje del error (se recorta a 500 caracteres)
+ * @param {number|null} reintentarEnSegundos - null = no reintentar más ('fallido')
+ */
+export async function registrarFallo(id, error, reintentarEnSegundos) {
+  if (reintentarEnSegundos === null) {
+    await pool.query(
+      "UPDATE emails_salida SET estado = 'fallido', ultimo_error = ? WHERE id = ?",
+      [String(error).slice(0, 500), id]
+    );
+    return;
+  }
+
+  await pool.query(
+    `UPDATE emails_salida
+     SET estado = 'pendiente', ultimo_error = ?, proximo_intento = NOW() + INTERVAL ? SECOND
+     WHERE id = ?`,
+    [String(error).slice(0, 500), reintentarEnSegundos, id]
+  );
+}
@@ -0,0 +1,43 @@
+// models/envios.model.js
+import pool from '../config/db.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: MÉTODOS DE ENVÍO
+ * ==========================================
+ * 
+ * TABLA 'metodos_envio':
+ *    - codigo (único: 'estandar', 'express', 'recogida'...)
+ *    - nombre visible para el cliente
+ *    - tipo_regla: 'tarifa_plana' | 'gratis_desde' | 'por_peso'
+ *    - precio_base, umbral_gratis, precio_por_kg
+ *    - requiere_direccion (la recogida en tienda no la necesita)
+ *    - activo
+ * 
+ * El cálculo del coste está en services/envios.service.js
+ */
+
+const COLUMNAS = `id, codigo, nombre, tipo_regla, precio_base, umbral_gratis,
+  precio_por_kg, requiere_direccion`;
+
+/**
+ * Listar los métodos de envío activos
+ */
+export async function listarActivos() {
+  const [rows] = await pool.query(
+    `SELECT ${COLUMNAS} FROM metodos_envio WHERE activo = 1 ORDER BY precio_base ASC, id ASC`
+  );
+  return rows;
+}
+
+/**
+ * Obtener un método de envío activo por su código
+ * Devuelve undefined si no existe o está desactivado
+ */
+export async function obtenerPorCodigo(codigo) {
+  const [rows] = await pool.query(
+    `SELECT ${COLUMNAS} FROM metodos_envio WHERE codigo = ? AND activo = 1`,
+    [codigo]
+  );
+  return rows[0];
+}
@@ -0,0 +1,125 @@
+// models/facturas.model.js
+import pool from '../config/db.js';
+import { crearError } from '../utils/errores.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: FACTURAS
+ * ==========================================
+ *
+ * TABLA 'facturas': una por pedido, se emite la primera vez que el
+ * cliente la descarga. Después se reutiliza siempre la misma.
+ *    - numero: 'F2026-000001' (serie = año, secuencia correlativa)
+ *    - cliente: copia (JSON) de los datos del cliente al emitirla;
+ *      si el cliente cambia su nombre, la factura no cambia
+ *
+ * TABLA 'facturas_series': último número usado en cada año.
+ * Se bloquea con SELECT ... FOR UPDATE: dos facturas emitidas a la
+ * vez nunca reciben el mismo número ni dejan huecos.
+ */
+
+/**
+ * Estados en los que el pedido ya está cobrado y se puede facturar
+ */
+export const ESTADOS_FACTURABLES = ['pagado', 'enviado', 'entregado'];
+
+const COLUMNAS = 'id, numero, anio, secuencia, pedido_id, cliente, emitida_en';
+
+/**
+ * Formato del número de factura: F<año>-<secuencia con 6 cifras>
+ */
+export function formatearNumero(anio, secuencia) {
+  return `F${anio}-${String(secuencia).padStart(6, '0')}`;
+}
+
+/**
+ * Obtener (o emitir, si aún no existe) la factura de un pedido
+ * ----------------------------------------
+ * 1. Bloquear el pedido y comprobar que es del cliente (404 si no)
+ * 2. Si ya tiene factura, devolverla
+ * 3. Comprobar que está pagado (409 si no)
+ * 4. Reservar el siguiente número de la serie del año
+ * 5. Guardar la factura con los datos actuales del cliente
+ *
+ * @param {number} pedidoId
+ * @param {number} clienteId
+ * @returns {Object} Fila de la factura
+ */
+export async function obtenerOEmitir(pedidoId, clienteId) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    const [pedidos] = await conexion.query(
+      'SELECT id, cliente_id, estado, direccion_envio FROM pedidos WHERE id = ? FOR UPDATE',
+      [pedidoId]
+    );
+    const pedido = pedidos[0];
+
+    if (!pedido || pedido.cliente_id !== clienteId) {
+      throw crearError(404, 'Pedido no encontrado');
+    }
+
+    const [existentes] = await conexion.query(
+      `SELECT ${COLUMNAS} FROM facturas WHERE pedido_id = ?`,
+      [pedidoId]
+    );
+
+    if (existentes[0]) {
+      await conexion.commit();
+      return existentes[0];
+    }
+
+    if (!ESTADOS_FACTURABLES.includes(pedido.estado)) {
+      throw crearError(409, `Solo se pueden facturar pedidos pagados (estado actual: '${pedido.estado}')`, {
+        estado_actual: pedido.estado
+      });
+    }
+
+    // Siguiente número de la serie (la fila del año se crea la primera vez)
+    const anio = new Date().getFullYear();
+    await conexion.query(
+      'INSERT IGNORE INTO facturas_series (anio, ultimo_numero) VALUES (?, 0)',
+      [anio]
+    );
+    const [[serie]] = await conexion.query(
+      'SELECT ultimo_numero FROM facturas_series WHERE anio = ? FOR UPDATE',
+      [anio]
+    );
+    const secuencia = serie.ultimo_numero + 1;
+    await conexion.query(
+      'UPDATE facturas_series SET ultimo_numero = ? WHERE anio = ?',
+      [secuencia, anio]
+    );
+
+    const [[cliente]] = await conexion.query(
+      'SELECT nombre, email FROM clientes WHERE id = ?',
+      [clienteId]
+    );
+    const datosCliente = {
+      nombre: cliente.nombre,
+      email: cliente.email,
+      direccion: pedido.direccion_envio || null
+    };
+
+    const [resultado] = await conexion.query(
+      'INSERT INTO facturas (numero, anio, secuencia, pedido_id, cliente) VALUES (?, ?, ?, ?, ?)',
+      [formatearNumero(anio, secuencia), anio, secuencia, pedidoId, JSON.stringify(datosCliente)]
+    );
+
+    const [filas] = await conexion.query(
+      `SELECT ${COLUMNAS} FROM facturas WHERE id = ?`,
+      [resultado.insertId]
+    );
+
+    await conexion.commit();
+    return filas[0];
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
@@ -0,0 +1,85 @@
+// models/idempotencia.model.js
+import pool from '../config/db.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: CLAVES DE IDEMPOTENCIA
+ * ==========================================
+ * 
+ * Guarda, por cliente y clave (cabecera Idempotency-Key), la huella
+ * de la petición y la respuesta que se le dio. Si la misma petición
+ * llega otra vez (doble clic, reintento de red...) se devuelve la
+ * respuesta guardada en lugar de volver a ejecutarla.
+ * 
+ * TABLA 'idempotencia':
+ *    - cliente_id + clave (PRIMARY KEY)
+ *    - hash_peticion (SHA-256 del cuerpo)
+ *    - estado_http / respuesta (NULL mientras la petición está en curso)
+ *    - creado_en
+ * 
+ * Las claves caducan a las 24 horas.
+ */
+
+const HORAS_CADUCIDAD = 24;
+
+/**
+ * Reservar una clave para una petición nueva
+ * -------------------------------------------
+ * - Borra antes la clave si ya había caducado.
+ * - Devuelve true si se ha reservado (es la primera vez que llega).
+ * - Devuelve false si la clave ya existía (la PRIMARY KEY lo impide).
+ */
+export async function reservarClave(clienteId, clave, hashPeticion) {
+  await pool.query(
+    `DELETE FROM idempotencia
+     WHERE cliente_id = ? AND clave = ? AND creado_en < NOW() - INTERVAL ${HORAS_CADUCIDAD} HOUR`,
+    [clienteId, clave]
+  );
+
+  try {
+    await pool.query(
+      'INSERT INTO idempotencia (cliente_id, clave, hash_peticion) VALUES (?, ?, ?)',
+      [clienteId, clave, hashPeticion]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return false;
+    throw error;
+  }
+}
+
+/**
+ * Obtener una clave guardada
+ * Devuelve { hash_peticion, estado_http, respuesta } o undefined
+ */
+export async function obtenerClave(clienteId, clave) {
+  const [rows] = await pool.query(
+    `SELECT hash_peticion, estado_http, respuesta
+     FROM idempotencia
+     WHERE cliente_id = ? AND clave = ?`,
+    [clienteId, clave]
+  );
+  return rows[0];
+}
+
+/**
+ * Guardar la respuesta final de una petición
+ */
+export async function guardarRespuesta(clienteId, clave, estadoHttp, respuesta) {
+  await pool.query(
+    `UPDATE idempotencia SET estado_http = ?, respuesta = ?
+     WHERE cliente_id = ? AND clave = ?`,
+    [estadoHttp, JSON.stringify(respuesta), clienteId, clave]
+  );
+}
+
+/**
+ * Liberar una clave (la petición falló por un error del servidor
+ * y el cliente debe poder reintentarla con la misma clave)
+ */
+export async function liberarClave(clienteId, clave) {
+  await pool.query(
+    'DELETE FROM idempotencia WHERE cliente_id = ? AND clave = ?',
+    [clienteId, clave]
+  );
+}
@@ -0,0 +1,25 @@
+// models/impuestos.model.js
+import pool from '../config/db.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: TIPOS DE IVA
+ * ==========================================
+ * 
+ * TABLA 'tipos_iva':
+ *    - categoria (PRIMARY KEY, mismo texto que productos.categoria)
+ *    - tipo (DECIMAL: porcentaje, ej. 21.00 o 4.00)
+ * 
+ * Para cambiar el IVA de una categoría basta con editar su fila.
+ * Las categorías sin fila usan el tipo general (ver impuestos.service.js).
+ */
+
+/**
+ * Obtener los tipos de IVA configurados
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
+ * @returns {Map} categoria → tipo (número)
+ */
+export async function obtenerTiposIva(conexion = pool) {
+  const [rows] = await conexion.query('SELECT categoria, tipo FROM tipos_iva');
+  return new Map(rows.map(row => [row.categoria, Number(row.tipo)]));
+}
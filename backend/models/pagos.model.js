@@ -0,0 +1,260 @@
+// models/pagos.model.js
+import pool from '../config/db.js';
+import * as pedidosModel from './pedidos.model.js';
+import * as reembolsosModel from './reembolsos.model.js';
+import { crearError } from '../utils/errores.js';
+import { aCentimos } from '../utils/dinero.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: PAGOS
+ * ==========================================
+ *
+ * TABLA 'pagos': un intento de cobro de un pedido.
+ *    - proveedor + referencia: identifican el pago en la pasarela
+ *    - estado: 'pendiente' → 'confirmado' | 'fallido'
+ *      (un pendiente sin respuesta de la pasarela caduca y pasa a 'fallido')
+ *
+ * TABLA 'pagos_eventos': cada webhook ya procesado.
+ *    (proveedor, id_evento) es UNIQUE: si la pasarela reenvía el mismo
+ *    aviso, el INSERT falla y sabemos que ya lo habíamos atendido.
+ *
+ * El pedido solo pasa a 'pagado' cuando llega el webhook de
+ * confirmación, nunca porque el navegador diga que ha pagado.
+ */
+
+const COLUMNAS = `id, pedido_id, proveedor, referencia, importe, moneda, estado,
+  motivo_fallo, creado_en, actualizado_en`;
+
+/**
+ * Motivo con el que se marca un pago pendiente que ha caducado
+ */
+const MOTIVO_CADUCADO = 'Caducado: la pasarela no respondió a tiempo';
+
+/**
+ * Minutos que un pago puede seguir 'pendiente' (variable PAGOS_CADUCIDAD_MINUTOS,
+ * por defecto 15). Pasado ese tiempo se da por perdido (p. ej. el servidor se
+ * reinició antes de que llegara el webhook) y el cliente puede volver a pagar.
+ */
+function minutosCaducidad() {
+  const minutos = Number(process.env.PAGOS_CADUCIDAD_MINUTOS);
+  return Number.isInteger(minutos) && minutos > 0 ? minutos : 15;
+}
+
+/**
+ * Reservar el pago de un pedido
+ * ----------------------------------------
+ * Bloquea el pedido, comprueba que es del cliente y que está pendiente.
+ * Si ya hay un pago pendiente lo devuelve (no se cobra dos veces);
+ * si no, crea uno nuevo por el total del pedido.
+ * Los pagos pendientes más antiguos que la caducidad se marcan antes
+ * como 'fallidos': si su webhook no llegó nunca, no bloquean el pedido.
+ *
+ * @param {number} pedidoId
+ * @param {number} clienteId
+ * @param {string} proveedor - Nombre del proveedor de pagos
+ * @returns {Object} { pago, creado } - creado=false si ya existía
+ */
+export async function reservarPago(pedidoId, clienteId, proveedor) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    const [pedidos] = await conexion.query(
+      'SELECT id, cliente_id, estado, total FROM pedidos WHERE id = ? FOR UPDATE',
+      [pedidoId]
+    );
+    const pedido = pedidos[0];
+
+    if (!pedido || pedido.cliente_id !== clienteId) {
+      throw crearError(404, 'Pedido no encontrado');
+    }
+
+    if (pedido.estado !== 'pendiente') {
+      throw crearError(409, `Solo se pueden pagar pedidos pendientes (estado actual: '${pedido.estado}')`, {
+        estado_actual: pedido.estado
+      });
+    }
+
+    await conexion.query(
+      `UPDATE pagos SET estado = 'fallido', motivo_fallo = ?
+       WHERE pedido_id = ? AND estado = 'pendiente' AND creado_en < NOW() - INTERVAL ? MINUTE`,
+      [MOTIVO_CADUCADO, pedidoId, minutosCaducidad()]
+    );
+
+    const [pendientes] = await conexion.query(
+      `SELECT ${COLUMNAS} FROM pagos WHERE pedido_id = ? AND estado = 'pendiente' LIMIT 1`,
+      [pedidoId]
+    );
+
+    if (pendientes[0]) {
+      await conexion.commit();
+      return { pago: pendientes[0], creado: false };
+    }
+
+    const [resultado] = await conexion.query(
+      'INSERT INTO pagos (pedido_id, proveedor, importe) VALUES (?, ?, ?)',
+      [pedidoId, proveedor, pedido.total]
+    );
+
+    const [filas] = await conexion.query(
+      `SELECT ${COLUMNAS} FROM pagos WHERE id = ?`,
+      [resultado.insertId]
+    );
+
+    await conexion.commit();
+    return { pago: filas[0], creado: true };
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
+
+/**
+ * Guardar la referencia que ha dado la pasarela a un pago
+ */
+export async function asignarReferencia(pagoId, referencia) {
+  await pool.query(
+    'UPDATE pagos SET referencia = ? WHERE id = ?',
+    [referencia, pagoId]
+  );
+}
+
+/**
+ * Marcar como fallido un pago que no se pudo ni crear en la pasarela
+ */
+export async function marcarFallido(pagoId, motivo) {
+  await pool.query(
+    "UPDATE pagos SET estado = 'fallido', motivo_fallo = ? WHERE id = ? AND estado = 'pendiente'",
+    [motivo, pagoId]
+  );
+}
+
+/**
+ * Procesar un evento de la pasarela (webhook)
+ * ----------------------------------------
+ * Todo en una transacción:
+ * 1. Guardar el evento (si ya existía → duplicado, no se hace nada)
+ * 2. Bloquear el pago por su referencia
+ * 3. Confirmado → pago 'confirmado' y pedido 'pagado'
+ *    Fallido → pago 'fallido' (el pedido sigue pendiente y se puede reintentar)
+ *
+ * Una confirmación por un importe o una moneda distintos de los del pago
+ * NO paga el pedido: el pago pasa a 'fallido' con el motivo y queda para
+ * revisión manual (el evento completo está en pagos_eventos).
+ *
+ * Si el pedido se canceló mientras se cobraba (o ya estaba pagado), el
+ * pago queda confirmado, el pedido no cambia y se registra su reembolso
+ * en la misma transacción.
+ *
+ * @param {string} proveedor
+ * @param {Object} evento - { id_evento, tipo, referencia, importe, moneda, motivo }
+ * @returns {Object} { resultado: 'procesado' | 'duplicado' | 'ignorado' | 'requiere_reembolso' | 'importe_incorrecto', pago_id }
+ */
+export async function procesarEvento(proveedor, evento) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    try {
+      await conexion.query(
+        'INSERT INTO pagos_eventos (proveedor, id_evento, tipo, referencia, datos) VALUES (?, ?, ?, ?, ?)',
+        [proveedor, evento.id_evento, evento.tipo, evento.referencia, JSON.stringify(evento)]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        await conexion.rollback();
+        return { resultado: 'duplicado' };
+      }
+      throw error;
+    }
+
+    const [pagos] = await conexion.query(
+      'SELECT id, pedido_id, importe, moneda, estado, motivo_fallo FROM pagos WHERE proveedor = ? AND referencia = ? FOR UPDATE',
+      [proveedor, evento.referencia]
+    );
+    const pago = pagos[0];
+
+    if (!pago) {
+      throw crearError(404, 'Pago no encontrado');
+    }
+
+    // Un pago que dimos por caducado puede confirmarse al final:
+    // el dinero se ha cobrado, así que se procesa como si siguiera pendiente
+    const confirmaCaducado = pago.estado === 'fallido'
+      && pago.motivo_fallo === MOTIVO_CADUCADO
+      && evento.tipo === 'pago.confirmado';
+
+    // Un pago ya resuelto no cambia (p. ej. un "fallido" tardío tras confirmarse)
+    if (pago.estado !== 'pendiente' && !confirmaCaducado) {
+      await conexion.commit();
+      return { resultado: 'ignorado', pago_id: pago.id };
+    }
+
+    let resultado = 'procesado';
+
+    const importeCorrecto = aCentimos(evento.importe) === aCentimos(pago.importe)
+      && String(evento.moneda ?? '').toUpperCase() === pago.moneda;
+
+    if (evento.tipo === 'pago.confirmado' && !importeCorrecto) {
+      resultado = 'importe_incorrecto';
+      await conexion.query(
+        "UPDATE pagos SET estado = 'fallido', motivo_fallo = ? WHERE id = ?",
+        [`Importe no coincide: cobrado ${evento.importe ?? '?'} ${evento.moneda ?? '?'}, esperado ${pago.importe} ${pago.moneda}`, pago.id]
+      );
+      console.warn(`⚠️ Pago ${pago.id} del pedido ${pago.pedido_id} confirmado por un importe distinto: requiere revisión manual`);
+    } else if (evento.tipo === 'pago.confirmado') {
+      await conexion.query(
+        "UPDATE pagos SET estado = 'confirmado', motivo_fallo = NULL WHERE id = ?",
+        [pago.id]
+      );
+
+      try {
+        await pedidosModel.actualizarEstado(pago.pedido_id, 'pagado', {
+          actor: { tipo: 'sistema', id: null },
+          nota: `Pago ${proveedor} ${evento.referencia} confirmado`
+        }, conexion);
+      } catch (error) {
+        if (error.status !== 409) throw error;
+        resultado = 'requiere_reembolso';
+        await reembolsosModel.crearDePago({
+          pedidoId: pago.pedido_id,
+          pagoId: pago.id,
+          importe: pago.importe,
+          motivo: 'pago_tardio'
+        }, conexion);
+        console.warn(`⚠️ Pago ${pago.id} confirmado para el pedido ${pago.pedido_id}, que ya no está pendiente: reembolso registrado`);
+      }
+    } else {
+      await conexion.query(
+        "UPDATE pagos SET estado = 'fallido', motivo_fallo = ? WHERE id = ?",
+        [evento.motivo, pago.id]
+      );
+    }
+
+    await conexion.commit();
+    return { resultado, pago_id: pago.id };
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
+
+/**
+ * Pagos de un pedido (del más reciente al más antiguo)
+ */
+export async function listarDePedido(pedidoId) {
+  const [rows] = await pool.query(
+    `SELECT ${COLUMNAS} FROM pagos WHERE pedido_id = ? ORDER BY id DESC`,
+    [pedidoId]
+  );
+  return rows;
+}
@@ -1,6 +1,16 @@
 
 // backend-bazar/models/pedidos.model.js
 import pool from "../config/db.js";
+import { crearError } from "../utils/errores.js";
+import { aCentimos } from "../utils/dinero.js";
+import { resumirLineas, calcularCosteEnvio } from "../services/envios.service.js";
+import { PRECIOS_INCLUYEN_IVA, tipoDeCategoria, desglosarPedido } from "../services/impuestos.service.js";
+import { comprobarCupon, calcularDescuento } from "../services/cupones.service.js";
+import { aplicarPromociones } from "../services/promociones.service.js";
+import { obtenerTiposIva } from "./impuestos.model.js";
+import * as cuponesModel from "./cupones.model.js";
+import * as promocionesModel from "./promociones.model.js";
+import * as reembolsosModel from "./reembolsos.model.js";
 
 /**
  * ==========================================
@@ -16,6 +26,17 @@ import pool from "../config/db.js";
  *    - id (PRIMARY KEY, AUTO_INCREMENT)
  *    - cliente_id (FOREIGN KEY a tabla clientes)
  *    - estado (VARCHAR: 'pendiente', 'pagado', 'enviado', 'entregado', 'cancelado')
+ *    - subtotal (DECIMAL: suma de las líneas)
+ *    - metodo_envio (VARCHAR: código del método elegido, ej. 'estandar')
+ *    - coste_envio (DECIMAL: calculado en el servidor al crear el pedido)
+ *    - descuento_promociones (DECIMAL: rebaja de las promociones automáticas)
+ *    - cupon_codigo y descuento (DECIMAL: rebaja del cupón, si se usó)
+ *    - total (DECIMAL: subtotal - descuento_promociones - descuento + coste_envio)
+ *    - base_imponible, cuota_iva (DECIMAL: IVA del pedido, envío incluido)
+ *    - desglose_iva (JSON: [{ tipo, base_imponible, cuota_iva }] por tipo de IVA)
+ *    - motivo_cancelacion (VARCHAR, solo si el pedido se canceló)
+ *    - estado_devolucion ('parcial' | 'total', solo si se han recibido devoluciones)
+ *    - direccion_envio (JSON: copia de la dirección elegida al comprar)
  *    - fecha (TIMESTAMP, DEFAULT CURRENT_TIMESTAMP)
  * 
  * 2. TABLA 'pedidos_productos' (líneas de pedido):
@@ -23,9 +44,29 @@ import pool from "../config/db.js";
  *    - pedido_id (FOREIGN KEY a tabla pedidos)
  *    - producto_id (FOREIGN KEY a tabla productos)
  *    - cantidad (INT)
+ *    - precio_unitario (DECIMAL: precio del producto en el momento de la compra)
+ *    - descuento (DECIMAL: rebaja total de la línea, promociones + cupón)
+ *    - promociones (JSON: [{ promocion_id, nombre, descuento }] aplicadas a la línea)
+ *    - tipo_iva, base_imponible, cuota_iva (IVA de la línea al comprar, ya descontada)
+ * 
+ * Los pedidos guardan sus propios precios e impuestos: si luego cambia
+ * el precio o el IVA de un producto, los pedidos antiguos conservan
+ * su importe original. Los precios incluyen IVA.
+ * 
+ * 3. TABLA 'pedidos_historial' (auditoría de estados):
+ *    - pedido_id, estado_anterior, estado_nuevo
+ *    - actor_tipo ('cliente', 'staff', 'sistema') y actor_id
+ *    - nota (opcional) y creado_en
+ *    Se escribe una fila al crear el pedido y en cada cambio de estado.
  * 
  * Esta estructura permite un pedido con múltiples productos
  * y diferentes cantidades para cada producto.
+ * 
+ * TRANSACCIONES:
+ * Las funciones que escriben aceptan un último parámetro opcional
+ * "conexion". Por defecto usan el pool, pero crear() les pasa una
+ * conexión con una transacción abierta para que todo el pedido
+ * se guarde o se deshaga de una vez.
  */
 
 /**
@@ -39,6 +80,8 @@ import pool from "../config/db.js";
  * 
  * PARÁMETROS:
  * @param {number} clienteId - ID del cliente autenticado
+ * @param {Object} [direccionEnvio] - Copia de la dirección de envío
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
  * 
  * RETORNA:
  * @returns {Object} - Objeto con información del pedido creado:
@@ -50,12 +93,12 @@ import pool from "../config/db.js";
  * const pedido = await crearPedido(123);
  * // Resultado: { id: 456, cliente_id: 123, estado: "pendiente" }
  */
-export async function crearPedido(clienteId) {
+export async function crearPedido(clienteId, direccionEnvio = null, conexion = pool) {
   // Ejecutar INSERT en la tabla pedidos
   // MySQL asignará automáticamente el ID y la fecha actual
-  const [result] = await pool.query(
-    "INSERT INTO pedidos (cliente_id) VALUES (?)",
-    [clienteId]
+  const [result] = await conexion.query(
+    "INSERT INTO pedidos (cliente_id, direccion_envio) VALUES (?, ?)",
+    [clienteId, direccionEnvio ? JSON.stringify(direccionEnvio) : null]
   );
 
   // Devolver la información del pedido creado
@@ -80,6 +123,13 @@ export async function crearPedido(clienteId) {
  *   @param {number} datos.pedidoId - ID del pedido al que agregar el producto
  *   @param {number} datos.productoId - ID del producto a agregar
  *   @param {number} datos.cantidad - Cantidad del producto a agregar
+ *   @param {number} datos.precioUnitario - Precio del producto en este momento
+ *   @param {number} [datos.descuento] - Descuento total de la línea (promociones + cupón)
+ *   @param {Array} [datos.promociones] - Promociones aplicadas a la línea
+ *   @param {number} [datos.tipoIva] - Porcentaje de IVA aplicado
+ *   @param {number} [datos.baseImponible] - Importe de la línea sin IVA
+ *   @param {number} [datos.cuotaIva] - IVA de la línea
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
  * 
  * RETORNA:
  * @returns {Object} - Información de la línea de pedido creada:
@@ -87,27 +137,43 @@ export async function crearPedido(clienteId) {
  *   - pedido_id: ID del pedido
  *   - producto_id: ID del producto
  *   - cantidad: Cantidad del producto
+ *   - precio_unitario: Precio guardado en la línea
  * 
  * EJEMPLO DE USO:
  * const linea = await agregarProductoAPedido({
  *   pedidoId: 456,
  *   productoId: 789,
- *   cantidad: 2
+ *   cantidad: 2,
+ *   precioUnitario: 19.99
  * });
  */
-export async function agregarProductoAPedido({ pedidoId, productoId, cantidad }) {
+export async function agregarProductoAPedido(
+  {
+    pedidoId, productoId, cantidad, precioUnitario,
+    descuento = 0, promociones = [], tipoIva = 21, baseImponible = 0, cuotaIva = 0
+  },
+  conexion = pool
+) {
   // Insertar línea de pedido en la tabla pedidos_productos
-  const [result] = await pool.query(
-    "INSERT INTO pedidos_productos (pedido_id, producto_id, cantidad) VALUES (?, ?, ?)",
-    [pedidoId, productoId, cantidad]
+  const [result] = await conexion.query(
+    `INSERT INTO pedidos_productos
+       (pedido_id, producto_id, cantidad, precio_unitario, descuento, promociones, tipo_iva, base_imponible, cuota_iva)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [pedidoId, productoId, cantidad, precioUnitario, descuento, JSON.stringify(promociones), tipoIva, baseImponible, cuotaIva]
   );
 
   // Devolver información de la línea de pedido creada
   return {
-    id: result.insertId,     // ID de la línea de pedido
-    pedido_id: pedidoId,     // ID del pedido padre
-    producto_id: productoId, // ID del producto agregado
-    cantidad,                // Cantidad del producto
+    id: result.insertId,              // ID de la línea de pedido
+    pedido_id: pedidoId,              // ID del pedido padre
+    producto_id: productoId,          // ID del producto agregado
+    cantidad,                         // Cantidad del producto
+    precio_unitario: precioUnitario,  // Precio en el momento de la compra
+    descuento,
+    promociones,
+    tipo_iva: tipoIva,
+    base_imponible: baseImponible,
+    cuota_iva: cuotaIva,
   };
 }
 
@@ -127,6 +193,12 @@ export async function agregarProductoAPedido({ pedidoId, productoId, cantidad })
  *   - id: ID del pedido
  *   - cliente_id: ID del cliente que creó el pedido
  *   - estado: Estado actual del pedido
+ *   - subtotal, metodo_envio, coste_envio: Importes guardados al crear el pedido
+ *   - descuento_promociones: Rebaja de las promociones automáticas
+ *   - cupon_codigo, descuento: Cupón aplicado (o null y 0)
+ *   - total: Importe total (subtotal - descuentos + envío)
+ *   - base_imponible, cuota_iva, desglose_iva: IVA incluido en el total
+ *   - estado_devolucion: 'parcial' | 'total' | null (ver devoluciones.model.js)
  *   - fecha: Fecha y hora de creación del pedido
  * 
  * EJEMPLO DE USO:
@@ -137,7 +209,9 @@ export async function agregarProductoAPedido({ pedidoId, productoId, cantidad })
  */
 export async function obtenerPedidoPorId(id) {
   const [rows] = await pool.query(
-    `SELECT p.id, p.cliente_id, p.estado, p.fecha
+    `SELECT p.id, p.cliente_id, p.estado, p.subtotal, p.metodo_envio, p.coste_envio,
+            p.descuento_promociones, p.cupon_codigo, p.descuento, p.total,
+            p.base_imponible, p.cuota_iva, p.desglose_iva, p.motivo_cancelacion, p.estado_devolucion, p.direccion_envio, p.fecha
      FROM pedidos p
      WHERE p.id = ?`,
     [id]
@@ -154,7 +228,8 @@ export async function obtenerPedidoPorId(id) {
  * PROPÓSITO:
  * Devuelve todas las líneas (productos) de un pedido específico.
  * Hace JOIN entre pedidos_productos y productos para obtener
- * información completa de cada producto en el pedido.
+ * el nombre y la imagen de cada producto. El precio NO se toma de
+ * productos sino de la propia línea (precio_unitario guardado).
  * 
  * PARÁMETROS:
  * @param {number} idPedido - ID del pedido del que obtener las líneas
@@ -165,7 +240,11 @@ export async function obtenerPedidoPorId(id) {
  *   - cantidad: Cantidad del producto en esta línea
  *   - producto_id: ID del producto
  *   - producto_nombre: Nombre del producto
- *   - producto_precio: Precio unitario del producto
+ *   - precio_unitario: Precio unitario en el momento de la compra
+ *   - subtotal: precio_unitario × cantidad (IVA incluido)
+ *   - descuento: rebaja total de la línea (promociones + cupón)
+ *   - promociones: promociones aplicadas a la línea
+ *   - tipo_iva, base_imponible, cuota_iva: IVA de la línea
  *   - producto_imagen: URL de la imagen del producto
  * 
  * EJEMPLO DE USO:
@@ -182,7 +261,13 @@ export async function obtenerLineasDePedido(idPedido) {
         pp.cantidad,
         pr.id AS producto_id,
         pr.nombre AS producto_nombre,
-        pr.precio AS producto_precio,
+        pp.precio_unitario,
+        pp.precio_unitario * pp.cantidad AS subtotal,
+        pp.descuento,
+        pp.promociones,
+        pp.tipo_iva,
+        pp.base_imponible,
+        pp.cuota_iva,
         pr.imagen_url AS producto_imagen
       FROM pedidos_productos pp
       JOIN productos pr ON pp.producto_id = pr.id
@@ -193,6 +278,120 @@ export async function obtenerLineasDePedido(idPedido) {
   return rows;
 }
 
+/**
+ * Obtener las líneas de VARIOS pedidos en una sola consulta
+ * ==========================================
+ * 
+ * PROPÓSITO:
+ * Igual que obtenerLineasDePedido() pero para una lista de pedidos.
+ * Evita el problema "N+1": en lugar de una consulta por pedido,
+ * traemos todas las líneas de golpe y las agrupamos en JavaScript.
+ * 
+ * PARÁMETROS:
+ * @param {Array<number>} idsPedidos - IDs de los pedidos
+ * 
+ * RETORNA:
+ * @returns {Map} - Map pedido_id → array de líneas (mismo formato
+ *   que obtenerLineasDePedido). Los pedidos sin líneas no aparecen.
+ */
+export async function obtenerLineasDePedidos(idsPedidos) {
+  const lineasPorPedido = new Map();
+
+  if (idsPedidos.length === 0) {
+    return lineasPorPedido;
+  }
+
+  const [rows] = await pool.query(
+    `SELECT 
+        pp.pedido_id,
+        pp.id,
+        pp.cantidad,
+        pr.id AS producto_id,
+        pr.nombre AS producto_nombre,
+        pp.precio_unitario,
+        pp.precio_unitario * pp.cantidad AS subtotal,
+        pp.descuento,
+        pp.promociones,
+        pp.tipo_iva,
+        pp.base_imponible,
+        pp.cuota_iva,
+        pr.imagen_url AS producto_imagen
+      FROM pedidos_productos pp
+      JOIN productos pr ON pp.producto_id = pr.id
+      WHERE pp.pedido_id IN (?)
+      ORDER BY pp.pedido_id, pp.id`,
+    [idsPedidos]
+  );
+
+  for (const { pedido_id, ...linea } of rows) {
+    if (!lineasPorPedido.has(pedido_id)) {
+      lineasPorPedido.set(pedido_id, []);
+    }
+    lineasPorPedido.get(pedido_id).push(linea);
+  }
+
+  return lineasPorPedido;
+}
+
+/**
+ * Buscar pedidos de un cliente con filtros y paginación
+ * ==========================================
+ * 
+ * PROPÓSITO:
+ * Versión paginada de obtenerPedidosDeCliente() para el historial.
+ * Devuelve la página pedida y el total de pedidos que cumplen los filtros.
+ * 
+ * PARÁMETROS:
+ * @param {number} clienteId - ID del cliente
+ * @param {Object} filtros - Filtros ya validados (ver validarFiltrosPedidos)
+ *   @param {string} [filtros.estado] - Solo pedidos en este estado
+ *   @param {string} [filtros.desde] - Fecha 'YYYY-MM-DD' (inclusive)
+ *   @param {string} [filtros.hasta] - Fecha 'YYYY-MM-DD' (inclusive)
+ *   @param {number} filtros.page - Página (desde 1)
+ *   @param {number} filtros.limit - Pedidos por página
+ * 
+ * RETORNA:
+ * @returns {Object} - { pedidos: [...], total: 42 }
+ */
+export async function buscarPedidosDeCliente(clienteId, { estado, desde, hasta, page = 1, limit = 10 } = {}) {
+  const condiciones = ["cliente_id = ?"];
+  const valores = [clienteId];
+
+  if (estado) {
+    condiciones.push("estado = ?");
+    valores.push(estado);
+  }
+  if (desde) {
+    condiciones.push("fecha >= ?");
+    valores.push(desde);
+  }
+  if (hasta) {
+    // "hasta" incluye todo ese día
+    condiciones.push("fecha < DATE_ADD(?, INTERVAL 1 DAY)");
+    valores.push(hasta);
+  }
+
+  const where = condiciones.join(" AND ");
+
+  const [rows] = await pool.query(
+    `SELECT id, cliente_id, estado, subtotal, metodo_envio, coste_envio,
+            descuento_promociones, cupon_codigo, descuento, total,
+            base_imponible, cuota_iva, desglose_iva, motivo_cancelacion, estado_devolucion, direccion_envio, fecha
+     FROM pedidos
+     WHERE ${where}
+     ORDER BY fecha DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...valores, limit, (page - 1) * limit]
+  );
+
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM pedidos WHERE ${where}`,
+    valores
+  );
+
+  return { pedidos: rows, total };
+}
+
 /**
  * Obtener todos los pedidos de un cliente
  * ==========================================
@@ -210,6 +409,7 @@ export async function obtenerLineasDePedido(idPedido) {
  *   - id: ID del pedido
  *   - cliente_id: ID del cliente
  *   - estado: Estado actual del pedido
+ *   - total: Importe total del pedido
  *   - fecha: Fecha y hora de creación
  * 
  * EJEMPLO DE USO:
@@ -221,7 +421,7 @@ export async function obtenerLineasDePedido(idPedido) {
  */
 export async function obtenerPedidosDeCliente(clienteId) {
   const [rows] = await pool.query(
-    `SELECT id, cliente_id, estado, fecha
+    `SELECT id, cliente_id, estado, total, motivo_cancelacion, fecha
      FROM pedidos
      WHERE cliente_id = ?
      ORDER BY fecha DESC`,
@@ -232,14 +432,126 @@ export async function obtenerPedidosDeCliente(clienteId) {
 }
 
 /**
- * Actualizar el estado de un pedido
+ * Transiciones de estado permitidas
+ * ==========================================
+ * 
+ * CICLO DE VIDA DE UN PEDIDO:
+ * 
+ *   pendiente ──→ pagado ──→ enviado ──→ entregado
+ *       │            │
+ *       └────────────┴──→ cancelado
+ * 
+ * Cada clave es el estado actual y su valor la lista de estados
+ * a los que se puede pasar. 'entregado' y 'cancelado' son finales.
+ */
+export const TRANSICIONES = {
+  pendiente: ["pagado", "cancelado"],
+  pagado: ["enviado", "cancelado"],
+  enviado: ["entregado"],
+  entregado: [],
+  cancelado: [],
+};
+
+export const ESTADOS = Object.keys(TRANSICIONES);
+
+/**
+ * Registrar un cambio de estado en el historial
  * ==========================================
  * 
  * PROPÓSITO:
- * Permite actualizar el estado del pedido a medida que progresa
- * en su ciclo de vida (pendiente → pagado → enviado → entregado).
+ * Inserta una fila en pedidos_historial. Se llama dentro de la misma
+ * transacción que cambia el estado, así nunca hay un cambio sin su
+ * registro (ni un registro sin su cambio).
+ * 
+ * PARÁMETROS:
+ * @param {Object} datos
+ *   @param {number} datos.pedidoId - ID del pedido
+ *   @param {string|null} datos.estadoAnterior - null al crear el pedido
+ *   @param {string} datos.estadoNuevo - Estado que se aplica
+ *   @param {Object} [datos.actor] - Quién hace el cambio: { tipo, id }
+ *     tipo: 'cliente' | 'staff' | 'sistema' (por defecto 'sistema')
+ *   @param {string} [datos.nota] - Comentario opcional
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
+ */
+export async function registrarHistorial(
+  { pedidoId, estadoAnterior = null, estadoNuevo, actor = { tipo: "sistema", id: null }, nota = null },
+  conexion = pool
+) {
+  await conexion.query(
+    `INSERT INTO pedidos_historial (pedido_id, estado_anterior, estado_nuevo, actor_tipo, actor_id, nota)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [pedidoId, estadoAnterior, estadoNuevo, actor.tipo, actor.id ?? null, nota]
+  );
+}
+
+/**
+ * Obtener el historial de estados de un pedido
+ * ==========================================
+ * 
+ * PROPÓSITO:
+ * Devuelve los cambios de estado en orden cronológico, listo para
+ * dibujar una línea de tiempo de seguimiento.
+ * 
+ * PARÁMETROS:
+ * @param {number} idPedido - ID del pedido
+ * 
+ * RETORNA:
+ * @returns {Array} - [{ estado_anterior, estado_nuevo, actor_tipo, actor_id, nota, fecha }]
+ */
+export async function obtenerHistorial(idPedido) {
+  const [rows] = await pool.query(
+    `SELECT estado_anterior, estado_nuevo, actor_tipo, actor_id, nota, creado_en AS fecha
+     FROM pedidos_historial
+     WHERE pedido_id = ?
+     ORDER BY creado_en ASC, id ASC`,
+    [idPedido]
+  );
+
+  return rows;
+}
+
+/**
+ * Devolver al stock las unidades de un pedido
+ * ==========================================
+ * 
+ * PROPÓSITO:
+ * Suma a cada producto la cantidad de su línea en el pedido.
+ * Se usa al cancelar un pedido.
+ * 
+ * PARÁMETROS:
+ * @param {number} idPedido - ID del pedido
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
+ */
+export async function restaurarStock(idPedido, conexion = pool) {
+  await conexion.query(
+    `UPDATE productos pr
+     JOIN pedidos_productos pp ON pp.producto_id = pr.id
+     SET pr.stock = pr.stock + pp.cantidad
+     WHERE pp.pedido_id = ?`,
+    [idPedido]
+  );
+}
+
+/**
+ * Actualizar el estado de un pedido
+ * ==========================================
  * 
- * ESTADOS TÍPICOS:
+ * PROPÓSITO:
+ * Hace avanzar el pedido en su ciclo de vida respetando
+ * las transiciones definidas en TRANSICIONES.
+ * Si el nuevo estado es "cancelado", devuelve el stock de sus productos
+ * y libera el uso del cupón (si lo tenía). Si además ya estaba pagado,
+ * registra el reembolso de lo cobrado.
+ * Cada cambio queda registrado en pedidos_historial.
+ * 
+ * Todo ocurre en una transacción y con la fila del pedido bloqueada
+ * (SELECT ... FOR UPDATE), así dos cambios simultáneos no pueden
+ * cancelar dos veces el mismo pedido ni devolver el stock dos veces.
+ * Si se pasa una conexión con una transacción ya abierta (por ejemplo
+ * al confirmar un pago), el cambio forma parte de esa transacción y
+ * el COMMIT/ROLLBACK lo hace quien la abrió.
+ * 
+ * ESTADOS:
  * - "pendiente": Pedido creado pero no pagado
  * - "pagado": Pago confirmado
  * - "enviado": Pedido en camino al cliente
@@ -249,28 +561,211 @@ export async function obtenerPedidosDeCliente(clienteId) {
  * PARÁMETROS:
  * @param {number} idPedido - ID del pedido a actualizar
  * @param {string} nuevoEstado - Nuevo estado para el pedido
+ * @param {Object} [opciones]
+ *   @param {number} [opciones.clienteId] - Si se indica, el pedido debe ser
+ *     de este cliente (si no, se responde 404 como si no existiera)
+ *   @param {string} [opciones.motivo] - Motivo de la cancelación
+ *   @param {Object} [opciones.actor] - Quién hace el cambio: { tipo, id }
+ *     (por defecto el 'sistema')
+ *   @param {string} [opciones.nota] - Nota para el historial
+ *     (por defecto el motivo)
+ * @param {Object} [conexionExterna] - Conexión con transacción abierta
  * 
  * RETORNA:
  * @returns {Object} - Confirmación del cambio:
  *   - id: ID del pedido actualizado
+ *   - estado_anterior: Estado que tenía el pedido
  *   - estado: Nuevo estado aplicado
  * 
+ * ERRORES (crearError):
+ * - 400 si el estado no existe
+ * - 404 si el pedido no existe (o no es del cliente indicado)
+ * - 409 si la transición no está permitida
+ * 
  * EJEMPLO DE USO:
  * const resultado = await actualizarEstado(456, "pagado");
- * // Resultado: { id: 456, estado: "pagado" }
+ * // Resultado: { id: 456, estado_anterior: "pendiente", estado: "pagado" }
+ */
+export async function actualizarEstado(
+  idPedido,
+  nuevoEstado,
+  { clienteId, motivo = null, actor = { tipo: "sistema", id: null }, nota = motivo } = {},
+  conexionExterna = null
+) {
+  if (!ESTADOS.includes(nuevoEstado)) {
+    throw crearError(400, `Estado no válido: ${nuevoEstado}`, { estados_validos: ESTADOS });
+  }
+
+  // Sin conexión externa abrimos (y cerramos) nuestra propia transacción
+  const conexion = conexionExterna || await pool.getConnection();
+
+  try {
+    if (!conexionExterna) await conexion.beginTransaction();
+
+    // Bloquear la fila del pedido hasta terminar
+    const [rows] = await conexion.query(
+      "SELECT id, cliente_id, estado, total FROM pedidos WHERE id = ? FOR UPDATE",
+      [idPedido]
+    );
+    const pedido = rows[0];
+
+    // Un cliente no debe saber si existen pedidos de otros clientes
+    if (!pedido || (clienteId !== undefined && pedido.cliente_id !== clienteId)) {
+      throw crearError(404, "Pedido no encontrado");
+    }
+
+    const permitidos = TRANSICIONES[pedido.estado];
+
+    if (!permitidos.includes(nuevoEstado)) {
+      throw crearError(
+        409,
+        `No se puede pasar un pedido de '${pedido.estado}' a '${nuevoEstado}'`,
+        { estado_actual: pedido.estado, transiciones_permitidas: permitidos }
+      );
+    }
+
+    await conexion.query(
+      "UPDATE pedidos SET estado = ? WHERE id = ?",
+      [nuevoEstado, idPedido]
+    );
+
+    // Al cancelar, guardamos el motivo, las unidades vuelven a estar a la venta
+    // y el cupón se puede volver a usar
+    if (nuevoEstado === "cancelado") {
+      await conexion.query(
+        "UPDATE pedidos SET motivo_cancelacion = ? WHERE id = ?",
+        [motivo, idPedido]
+      );
+      await restaurarStock(idPedido, conexion);
+      await cuponesModel.liberarUsoDePedido(idPedido, conexion);
+
+      // Ya se había cobrado: hay que devolver el dinero
+      if (pedido.estado === "pagado") {
+        await reembolsosModel.crearDeCancelacion(pedido, conexion);
+      }
+    }
+
+    await registrarHistorial({
+      pedidoId: idPedido,
+      estadoAnterior: pedido.estado,
+      estadoNuevo: nuevoEstado,
+      actor,
+      nota
+    }, conexion);
+
+    if (!conexionExterna) await conexion.commit();
+
+    // Devolver confirmación del cambio
+    return {
+      id: idPedido,
+      estado_anterior: pedido.estado,
+      estado: nuevoEstado
+    };
+
+  } catch (error) {
+    if (!conexionExterna) await conexion.rollback();
+    throw error;
+  } finally {
+    if (!conexionExterna) conexion.release();
+  }
+}
+
+/**
+ * Bloquear los productos del pedido y comprobar su stock
+ * ==========================================
+ * 
+ * PROPÓSITO:
+ * Lee los productos con SELECT ... FOR UPDATE dentro de la transacción.
+ * Las filas quedan bloqueadas hasta el COMMIT/ROLLBACK, así dos pedidos
+ * simultáneos no pueden vender las mismas unidades.
+ * Devuelve un Map id → producto (con su precio, peso y categoría actuales).
+ * Se bloquean en orden de ID para evitar interbloqueos entre pedidos.
+ * 
+ * PARÁMETROS:
+ * @param {Object} conexion - Conexión con transacción abierta
+ * @param {Array} productos - [{ producto_id, cantidad }]
+ * 
+ * ERRORES:
+ * - 409 si algún producto no existe, está desactivado o no tiene stock
+ *   suficiente. La respuesta incluye la lista de productos que fallan.
  */
-export async function actualizarEstado(idPedido, nuevoEstado) {
-  // Actualizar el estado en la base de datos
-  await pool.query(
-    "UPDATE pedidos SET estado = ? WHERE id = ?",
-    [nuevoEstado, idPedido]
+async function bloquearYComprobarStock(conexion, productos) {
+  // Sumar cantidades por producto (por si viene repetido)
+  const solicitados = new Map();
+  for (const { producto_id, cantidad } of productos) {
+    solicitados.set(producto_id, (solicitados.get(producto_id) || 0) + cantidad);
+  }
+
+  if (solicitados.size === 0) {
+    return new Map();
+  }
+
+  const [filas] = await conexion.query(
+    `SELECT id, nombre, precio, stock, peso_kg, categoria
+     FROM productos
+     WHERE id IN (?) AND activo = 1
+     ORDER BY id
+     FOR UPDATE`,
+    [[...solicitados.keys()]]
   );
 
-  // Devolver confirmación del cambio
-  return { 
-    id: idPedido, 
-    estado: nuevoEstado 
-  };
+  const productosPorId = new Map(filas.map(fila => [fila.id, fila]));
+  const sinStock = [];
+
+  for (const [productoId, cantidad] of solicitados) {
+    const producto = productosPorId.get(productoId);
+    const disponible = producto ? producto.stock : 0;
+
+    if (disponible < cantidad) {
+      sinStock.push({
+        producto_id: productoId,
+        nombre: producto ? producto.nombre : null,
+        solicitado: cantidad,
+        disponible
+      });
+    }
+  }
+
+  if (sinStock.length > 0) {
+    const nombres = sinStock.map(p => p.nombre || `#${p.producto_id}`).join(', ');
+    throw crearError(409, `Stock insuficiente para: ${nombres}`, { productos: sinStock });
+  }
+
+  return productosPorId;
+}
+
+/**
+ * Bloquear un cupón y calcular su descuento
+ * ==========================================
+ * 
+ * PROPÓSITO:
+ * Lee el cupón con SELECT ... FOR UPDATE dentro de la transacción del
+ * pedido. Hasta el COMMIT nadie más puede usarlo, así dos pedidos
+ * simultáneos no pueden gastar a la vez el último uso disponible.
+ * 
+ * PARÁMETROS:
+ * @param {Object} conexion - Conexión con transacción abierta
+ * @param {string} codigo - Código del cupón (en mayúsculas)
+ * @param {number} clienteId - Cliente que hace el pedido
+ * @param {Array} lineas - [{ precio, cantidad, categoria, descuento }]
+ *   (descuento = lo ya rebajado por las promociones)
+ * 
+ * RETORNA:
+ * @returns {Object} { cupon, descuentoCentimos, porLinea }
+ * 
+ * ERRORES:
+ * - 400 si el cupón no existe o no cumple sus condiciones
+ */
+async function bloquearYAplicarCupon(conexion, codigo, clienteId, lineas) {
+  const cupon = await cuponesModel.obtenerPorCodigo(codigo, { conexion, bloquear: true });
+  const usosCliente = cupon ? await cuponesModel.contarUsosDeCliente(cupon.id, clienteId, conexion) : 0;
+
+  const motivo = comprobarCupon(cupon, { lineas, usosCliente });
+  if (motivo) {
+    throw crearError(400, "Cupón no válido", { errores: { codigo_cupon: motivo } });
+  }
+
+  return { cupon, ...calcularDescuento(cupon, lineas) };
 }
 
 /**
@@ -279,9 +774,15 @@ export async function actualizarEstado(idPedido, nuevoEstado) {
  * 
  * PROPÓSITO:
  * Crea un pedido completo con sus productos en una sola operación.
- * Esta función maneja la transacción completa:
- * 1. Crear la cabecera del pedido
- * 2. Agregar todos los productos al pedido
+ * Todo ocurre dentro de una TRANSACCIÓN sobre una única conexión:
+ * 1. Bloquear los productos y comprobar el stock
+ * 2. Aplicar las promociones automáticas y el cupón (si hay) y calcular
+ *    subtotal, descuentos, envío e IVA con los precios ya bloqueados
+ * 3. Crear la cabecera del pedido con sus importes
+ * 4. Agregar todos los productos al pedido con su precio e IVA actuales
+ *    y descontar el stock de cada producto
+ * 5. Registrar el uso del cupón y el estado inicial en el historial
+ * Si cualquier paso falla se hace ROLLBACK y no queda nada a medias.
  * 
  * PARÁMETROS:
  * @param {Object} datos - Datos del pedido
@@ -289,9 +790,17 @@ export async function actualizarEstado(idPedido, nuevoEstado) {
  *   @param {Array} datos.productos - Array de productos
  *     @param {number} datos.productos[].producto_id - ID del producto
  *     @param {number} datos.productos[].cantidad - Cantidad del producto
+ *   @param {Object} [datos.direccion_envio] - Copia de la dirección de envío
+ *   @param {Object} datos.metodo_envio - Fila de metodos_envio elegida
+ *     (el coste se calcula aquí, con los precios y pesos bloqueados)
+ *   @param {string} [datos.codigo_cupon] - Cupón de descuento
  * 
  * RETORNA:
- * @returns {Object} - Pedido creado con sus productos
+ * @returns {Object} - Pedido creado con sus productos e importes
+ * 
+ * ERRORES:
+ * - 409 (crearError) si no hay stock suficiente de algún producto
+ * - 400 (crearError) si el cupón no se puede usar
  * 
  * EJEMPLO DE USO:
  * const pedido = await crear({
@@ -299,41 +808,146 @@ export async function actualizarEstado(idPedido, nuevoEstado) {
  *   productos: [
  *     { producto_id: 1, cantidad: 2 },
  *     { producto_id: 3, cantidad: 1 }
- *   ]
+ *   ],
+ *   metodo_envio: await enviosModel.obtenerPorCodigo("estandar")
  * });
  */
-export async function crear({ cliente_id, productos = [] }) {
+export async function crear({ cliente_id, productos = [], direccion_envio = null, metodo_envio, codigo_cupon = null }) {
+  // Pedimos una conexión propia al pool: la transacción vive en ella
+  const conexion = await pool.getConnection();
+
   try {
-    // Paso 1: Crear la cabecera del pedido
-    const pedido = await crearPedido(cliente_id);
+    await conexion.beginTransaction();
+
+    // Paso 1: Bloquear productos y comprobar stock
+    const productosPorId = await bloquearYComprobarStock(conexion, productos);
+
+    // Paso 2: Calcular importes (en céntimos para evitar errores de redondeo)
+    const tiposIva = await obtenerTiposIva(conexion);
+    const lineasCarrito = productos.map(({ producto_id, cantidad }) => {
+      const { precio, peso_kg, categoria } = productosPorId.get(producto_id);
+      return {
+        producto_id, cantidad, categoria, peso_kg,
+        precio: Number(precio),
+        tipo_iva: tipoDeCategoria(tiposIva, categoria)
+      };
+    });
+
+    // Primero las promociones automáticas, después el cupón sobre lo que queda
+    const promociones = aplicarPromociones(await promocionesModel.listarVigentes(conexion), lineasCarrito);
+    const lineas = promociones.lineas;
+
+    let cupon = null;
+    let descuentoCentimos = 0;
+    if (codigo_cupon) {
+      const aplicado = await bloquearYAplicarCupon(conexion, codigo_cupon, cliente_id, lineas);
+      cupon = aplicado.cupon;
+      descuentoCentimos = aplicado.descuentoCentimos;
+      aplicado.porLinea.forEach((centimos, i) => {
+        lineas[i].descuento = (aCentimos(lineas[i].descuento) + centimos) / 100;
+      });
+    }
+
+    // El envío gratis a partir de un importe se mira ya con los descuentos
+    const rebajaCentimos = promociones.descuentoCentimos + descuentoCentimos;
+    const resumen = resumirLineas(lineas);
+    const envioCentimos = calcularCosteEnvio(metodo_envio, {
+      ...resumen,
+      subtotalCentimos: resumen.subtotalCentimos - rebajaCentimos
+    });
+    const iva = desglosarPedido(lineas, envioCentimos);
+
+    const subtotal = resumen.subtotalCentimos / 100;
+    const descuentoPromociones = promociones.descuentoCentimos / 100;
+    const descuento = descuentoCentimos / 100;
+    const costeEnvio = envioCentimos / 100;
+    const total = (resumen.subtotalCentimos - rebajaCentimos + envioCentimos) / 100;
+
+    // Paso 3: Crear la cabecera del pedido y guardar sus importes
+    const pedido = await crearPedido(cliente_id, direccion_envio, conexion);
+
+    await conexion.query(
+      `UPDATE pedidos
+       SET subtotal = ?, metodo_envio = ?, coste_envio = ?, descuento_promociones = ?,
+           cupon_codigo = ?, descuento = ?, total = ?,
+           base_imponible = ?, cuota_iva = ?, desglose_iva = ?
+       WHERE id = ?`,
+      [subtotal, metodo_envio.codigo, costeEnvio, descuentoPromociones,
+        cupon ? cupon.codigo : null, descuento, total,
+        iva.base_imponible, iva.cuota_iva, JSON.stringify(iva.desglose_iva), pedido.id]
+    );
     
-    // Paso 2: Agregar productos al pedido (si hay productos)
+    // Paso 4: Agregar cada línea y descontar su stock
     const productosAgregados = [];
     
-    for (const producto of productos) {
+    for (const [i, linea] of lineas.entries()) {
       const lineaPedido = await agregarProductoAPedido({
         pedidoId: pedido.id,
-        productoId: producto.producto_id,
-        cantidad: producto.cantidad
-      });
+        productoId: linea.producto_id,
+        cantidad: linea.cantidad,
+        precioUnitario: linea.precio,
+        descuento: linea.descuento,
+        promociones: linea.promociones,
+        tipoIva: linea.tipo_iva,
+        baseImponible: iva.lineas[i].base_imponible,
+        cuotaIva: iva.lineas[i].cuota_iva
+      }, conexion);
       productosAgregados.push(lineaPedido);
+
+      await conexion.query(
+        "UPDATE productos SET stock = stock - ? WHERE id = ?",
+        [linea.cantidad, linea.producto_id]
+      );
     }
+
+    // Paso 5: Gastar el cupón y primera entrada del historial (creado por el propio cliente)
+    if (cupon) {
+      await cuponesModel.registrarUso({ cuponId: cupon.id, clienteId: cliente_id, pedidoId: pedido.id }, conexion);
+    }
+
+    await registrarHistorial({
+      pedidoId: pedido.id,
+      estadoNuevo: pedido.estado,
+      actor: { tipo: "cliente", id: cliente_id },
+      nota: "Pedido creado"
+    }, conexion);
+
+    await conexion.commit();
     
-    // Paso 3: Calcular el total de productos (suma de cantidades)
+    // Calcular el total de productos (suma de cantidades)
     const totalProductos = productos.reduce((total, producto) => total + producto.cantidad, 0);
     
-    // Paso 3: Devolver el pedido completo
+    // Devolver el pedido completo
     return {
       id: pedido.id,
       cliente_id: pedido.cliente_id,
       estado: pedido.estado,
+      direccion_envio,
       productos: productosAgregados,
+      subtotal,
+      metodo_envio: metodo_envio.codigo,
+      coste_envio: costeEnvio,
+      descuento_promociones: descuentoPromociones,
+      promociones: promociones.aplicadas,
+      cupon_codigo: cupon ? cupon.codigo : null,
+      descuento,
+      total,
+      base_imponible: iva.base_imponible,
+      cuota_iva: iva.cuota_iva,
+      desglose_iva: iva.desglose_iva,
+      precios_incluyen_iva: PRECIOS_INCLUYEN_IVA,
       total_productos: totalProductos  // Suma total de cantidades, no número de tipos
     };
     
   } catch (error) {
-    console.error('Error al crear pedido completo:', error);
+    await conexion.rollback();
+    if (!error.status) {
+      console.error('Error al crear pedido completo:', error);
+    }
     throw error;
+  } finally {
+    // Devolver SIEMPRE la conexión al pool
+    conexion.release();
   }
 }
 
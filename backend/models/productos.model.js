@@ -16,9 +16,8 @@ import pool from '../config/db.js';
  * 
  * 
  * FUNCIONES:
- * - obtenerTodos() - Lista todos los productos activos
+ * - buscar(filtros) - Búsqueda con filtros, orden y paginación
  * - obtenerPorId(id) - Obtiene un producto específico
- * - obtenerPorCategoria(categoria) - Filtra productos por categoría
  * - crear(datos) - Crea un nuevo producto
  * - actualizar(id, datos) - Actualiza un producto existente
  * - eliminar(id) - Elimina (desactiva) un producto
@@ -26,15 +25,214 @@ import pool from '../config/db.js';
  */
 
 /**
- * Obtener todos los productos activos
- * CONSULTA SIMPLE: SELECT directo sin JOINs
+ * Buscar productos activos con filtros, orden y paginación
+ * -----------------------------------------------------------
+ * Recibe los filtros ya validados (ver validarFiltrosCatalogo).
+ * Construye el WHERE solo con las condiciones presentes y
+ * devuelve la página pedida junto con el total de resultados.
+ * 
+ * Resultado: { productos: [...], total: 42 }
+ */
+export async function buscar({ q, categoria, precio_min, precio_max, en_stock, sort = 'nombre', orden = 'asc', page = 1, limit = 20 }) {
+  const condiciones = ['activo = 1'];
+  const valores = [];
+
+  if (q) {
+    // Escapamos los comodines de LIKE para buscar el texto literal
+    const patron = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+    condiciones.push('(nombre LIKE ? OR descripcion LIKE ?)');
+    valores.push(patron, patron);
+  }
+  if (categoria) {
+    condiciones.push('categoria = ?');
+    valores.push(categoria);
+  }
+  if (precio_min !== undefined) {
+    condiciones.push('precio >= ?');
+    valores.push(precio_min);
+  }
+  if (precio_max !== undefined) {
+    condiciones.push('precio <= ?');
+    valores.push(precio_max);
+  }
+  if (en_stock === true) {
+    condiciones.push('stock > 0');
+  } else if (en_stock === false) {
+    condiciones.push('stock <= 0');
+  }
+
+  const where = condiciones.join(' AND ');
+
+  // sort y orden vienen de una lista blanca en el validador, por eso
+  // se pueden interpolar. El id desempata para que la paginación sea estable.
+  const orderBy = `${sort} ${orden === 'desc' ? 'DESC' : 'ASC'}, id ASC`;
+
+  const [rows] = await pool.query(
+    `SELECT id, nombre, descripcion, precio, stock, peso_kg, categoria, imagen_url, activo, creado_en
+     FROM productos
+     WHERE ${where}
+     ORDER BY ${orderBy}
+     LIMIT ? OFFSET ?`,
+    [...valores, limit, (page - 1) * limit]
+  );
+
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM productos WHERE ${where}`,
+    valores
+  );
+
+  return { productos: rows, total };
+}
+
+/**
+ * Listar categorías únicas con el número de productos activos de cada una
+ * Resultado: [{ categoria: 'Libros', total_productos: 2 }, ...]
  */
-export async function obtenerTodos() {
+export async function obtenerCategorias() {
   const [rows] = await pool.query(
-    `SELECT id, nombre, descripcion, precio, stock, categoria, imagen_url, activo, creado_en
+    `SELECT categoria, COUNT(*) AS total_productos
      FROM productos
      WHERE activo = 1
-     ORDER BY nombre ASC`
+     GROUP BY categoria
+     ORDER BY categoria ASC`
   );
   return rows;
 }
+
+/**
+ * Obtener los IDs activos de una lista de IDs
+ * Sirve para validar pedidos antes de abrir la transacción.
+ * Devuelve un Set con los IDs que existen y están activos.
+ */
+export async function obtenerIdsActivos(ids) {
+  if (ids.length === 0) return new Set();
+
+  const [rows] = await pool.query(
+    'SELECT id FROM productos WHERE id IN (?) AND activo = 1',
+    [ids]
+  );
+  return new Set(rows.map(row => row.id));
+}
+
+/**
+ * Obtener precio, peso y categoría de una lista de productos activos
+ * Sirve para cotizar el envío o validar un cupón sin crear el pedido.
+ * Devuelve un Map id → { id, nombre, precio, peso_kg, categoria }
+ */
+export async function obtenerPreciosYPesos(ids) {
+  if (ids.length === 0) return new Map();
+
+  const [rows] = await pool.query(
+    'SELECT id, nombre, precio, peso_kg, categoria FROM productos WHERE id IN (?) AND activo = 1',
+    [ids]
+  );
+  return new Map(rows.map(row => [row.id, row]));
+}
+
+/**
+ * Umbral a partir del cual avisamos de que quedan pocas unidades
+ */
+const UMBRAL_POCAS_UNIDADES = 5;
+
+/**
+ * Calcular el estado del stock de un producto
+ * - 'agotado': stock 0
+ * - 'pocas_unidades': stock por debajo del umbral
+ * - 'disponible': stock suficiente
+ */
+export function calcularEstadoStock(stock) {
+  if (stock <= 0) return 'agotado';
+  if (stock <= UMBRAL_POCAS_UNIDADES) return 'pocas_unidades';
+  return 'disponible';
+}
+
+/**
+ * Obtener un producto activo por su ID
+ * CONSULTA SIMPLE: devuelve undefined si no existe o está desactivado
+ */
+export async function obtenerPorId(id) {
+  const [rows] = await pool.query(
+    `SELECT id, nombre, descripcion, precio, stock, peso_kg, categoria, imagen_url, activo, creado_en
+     FROM productos
+     WHERE id = ? AND activo = 1`,
+    [id]
+  );
+
+  const producto = rows[0];
+  if (!producto) return undefined;
+
+  // Campos extendidos para la vista de detalle
+  return {
+    ...producto,
+    estado_stock: calcularEstadoStock(producto.stock),
+    disponible: producto.stock > 0
+  };
+}
+
+/**
+ * Campos que se pueden escribir desde la API de gestión
+ */
+const CAMPOS_EDITABLES = ['nombre', 'descripcion', 'precio', 'stock', 'peso_kg', 'categoria', 'imagen_url', 'activo'];
+
+/**
+ * Buscar un producto por ID aunque esté desactivado
+ * Uso interno para la gestión del catálogo (staff)
+ */
+export async function buscarPorId(id) {
+  const [rows] = await pool.query(
+    `SELECT id, nombre, descripcion, precio, stock, peso_kg, categoria, imagen_url, activo, creado_en
+     FROM productos
+     WHERE id = ?`,
+    [id]
+  );
+  return rows[0];
+}
+
+/**
+ * Crear un nuevo producto
+ * Devuelve el producto recién insertado
+ */
+export async function crear({ nombre, descripcion = null, precio, stock, peso_kg = 0, categoria, imagen_url = null }) {
+  const [result] = await pool.query(
+    `INSERT INTO productos (nombre, descripcion, precio, stock, peso_kg, categoria, imagen_url)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [nombre, descripcion, precio, stock, peso_kg, categoria, imagen_url]
+  );
+  return buscarPorId(result.insertId);
+}
+
+/**
+ * Actualizar un producto existente
+ * Solo modifica los campos recibidos en "datos".
+ * Devuelve el producto actualizado o undefined si no existe.
+ */
+export async function actualizar(id, datos) {
+  const campos = CAMPOS_EDITABLES.filter(campo => datos[campo] !== undefined);
+
+  if (campos.length > 0) {
+    // Los nombres de columna salen de la lista blanca, los valores van parametrizados
+    const asignaciones = campos.map(campo => `${campo} = ?`).join(', ');
+    const valores = campos.map(campo => datos[campo]);
+
+    const [result] = await pool.query(
+      `UPDATE productos SET ${asignaciones} WHERE id = ?`,
+      [...valores, id]
+    );
+    if (result.affectedRows === 0) return undefined;
+  }
+
+  return buscarPorId(id);
+}
+
+/**
+ * Eliminar (desactivar) un producto
+ * No se borra la fila: las líneas de pedidos antiguos siguen apuntando a ella.
+ * Devuelve true si el producto existía.
+ */
+export async function eliminar(id) {
+  const [result] = await pool.query(
+    'UPDATE productos SET activo = 0 WHERE id = ?',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
@@ -0,0 +1,35 @@
+// models/promociones.model.js
+import pool from '../config/db.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: PROMOCIONES AUTOMÁTICAS
+ * ==========================================
+ * 
+ * TABLA 'promociones':
+ *    - nombre visible para el cliente ('3x2 en Libros')
+ *    - tipo: 'lleva_x_paga_y' | 'porcentaje_categoria' | 'regalo'
+ *    - parametros (JSON, depende del tipo)
+ *    - prioridad (menor = se aplica antes) y acumulable
+ *    - valido_desde / valido_hasta (opcionales)
+ *    - activo
+ * 
+ * Las reglas de cada tipo y el orden de aplicación están en
+ * services/promociones.service.js
+ */
+
+/**
+ * Listar las promociones activas y dentro de su periodo de validez
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
+ */
+export async function listarVigentes(conexion = pool) {
+  const [rows] = await conexion.query(
+    `SELECT id, nombre, tipo, parametros, prioridad, acumulable
+     FROM promociones
+     WHERE activo = 1
+       AND (valido_desde IS NULL OR valido_desde <= NOW())
+       AND (valido_hasta IS NULL OR valido_hasta >= NOW())
+     ORDER BY prioridad ASC, id ASC`
+  );
+  return rows;
+}
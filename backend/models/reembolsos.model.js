@@ -0,0 +1,78 @@
+// models/reembolsos.model.js
+import pool from '../config/db.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: REEMBOLSOS
+ * ==========================================
+ *
+ * TABLA 'reembolsos': dinero que la tienda tiene que devolver al cliente.
+ * Se crea en tres casos (columna motivo):
+ *    - 'devolucion': la tienda recibe productos devueltos (devolucion_id)
+ *    - 'cancelacion': se cancela un pedido que ya estaba pagado
+ *    - 'pago_tardio': la pasarela confirma un pago cuando el pedido ya no
+ *      está pendiente (se canceló o ya se había pagado por otra vía)
+ *
+ * Los reembolsos de un pago llevan pago_id, que es UNIQUE:
+ * un mismo cobro nunca se devuelve dos veces.
+ *
+ * Las funciones reciben la conexión de la transacción que cancela el
+ * pedido o procesa el pago: el reembolso se guarda con el cambio o no se
+ * guarda ninguno de los dos.
+ */
+
+/**
+ * Registrar el reembolso de un pago concreto
+ * @param {Object} datos - { pedidoId, pagoId, importe, motivo }
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
+ */
+export async function crearDePago({ pedidoId, pagoId, importe, motivo }, conexion = pool) {
+  await conexion.query(
+    'INSERT INTO reembolsos (pedido_id, pago_id, importe, motivo) VALUES (?, ?, ?, ?)',
+    [pedidoId, pagoId, importe, motivo]
+  );
+}
+
+/**
+ * Registrar el reembolso de un pedido pagado que se cancela
+ * ----------------------------------------
+ * - Un reembolso por cada pago confirmado del pedido
+ * - Si no hay ninguno (el staff lo marcó como pagado a mano, p. ej. por
+ *   transferencia), se reembolsa el total del pedido sin pago asociado
+ *
+ * @param {Object} pedido - { id, total }
+ * @param {Object} conexion - Conexión con transacción abierta
+ */
+export async function crearDeCancelacion(pedido, conexion) {
+  const [pagos] = await conexion.query(
+    "SELECT id, importe FROM pagos WHERE pedido_id = ? AND estado = 'confirmado'",
+    [pedido.id]
+  );
+
+  if (pagos.length === 0) {
+    await conexion.query(
+      "INSERT INTO reembolsos (pedido_id, importe, motivo) VALUES (?, ?, 'cancelacion')",
+      [pedido.id, pedido.total]
+    );
+    return;
+  }
+
+  for (const pago of pagos) {
+    await crearDePago({ pedidoId: pedido.id, pagoId: pago.id, importe: pago.importe, motivo: 'cancelacion' }, conexion);
+  }
+}
+
+/**
+ * Reembolsos de un pedido que no vienen de una devolución
+ * (los de las devoluciones se listan dentro de cada devolución)
+ */
+export async function listarDePedido(pedidoId) {
+  const [rows] = await pool.query(
+    `SELECT id, pago_id, importe, motivo, estado, creado_en
+     FROM reembolsos
+     WHERE pedido_id = ? AND devolucion_id IS NULL
+     ORDER BY id`,
+    [pedidoId]
+  );
+  return rows.map(r => ({ ...r, importe: Number(r.importe) }));
+}
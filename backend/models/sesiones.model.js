@@ -0,0 +1,190 @@
+// models/sesiones.model.js
+import pool from '../config/db.js';
+import { crearError } from '../utils/errores.js';
+
+/**
+ * ==========================================
+ * MODELO DE DATOS: SESIONES (REFRESH TOKENS)
+ * ==========================================
+ *
+ * TABLA 'refresh_tokens': cada refresh token emitido. Se guarda su hash
+ * SHA-256, nunca el token: quien lea la tabla no puede usarlos.
+ *
+ * FAMILIA: todos los tokens que nacen de un mismo login (una sesión en un
+ * dispositivo). Cada renovación marca el token como usado y crea el
+ * siguiente de la familia (rotación):
+ *
+ *   login → token A ──refresh──→ token B ──refresh──→ token C ...
+ *
+ * DETECCIÓN DE REUTILIZACIÓN: un token ya usado no debería volver a
+ * llegar nunca. Si llega, alguien tiene una copia (robo): se revoca la
+ * familia entera y tanto el ladrón como el usuario legítimo tienen que
+ * volver a hacer login.
+ *
+ * Las operaciones reciben el HASH del token; generar y hashear tokens
+ * es cosa de services/sesiones.service.js
+ */
+
+/**
+ * Guardar un refresh token nuevo
+ * @param {Object} datos - { clienteId, familia, tokenHash, dias }
+ * @param {Object} [conexion=pool] - Conexión a usar (para transacciones)
+ */
+export async function crear({ clienteId, familia, tokenHash, dias }, conexion = pool) {
+  const [resultado] = await conexion.query(
+    `INSERT INTO refresh_tokens (cliente_id, familia, token_hash, expira_en)
+     VALUES (?, ?, ?, NOW() + INTERVAL ? DAY)`,
+    [clienteId, familia, tokenHash, dias]
+  );
+  return resultado.insertId;
+}
+
+/**
+ * Revocar todos los tokens vivos de una familia
+ */
+async function revocarFamilia(familia, motivo, conexion = pool) {
+  await conexion.query(
+    `UPDATE refresh_tokens SET revocado_en = NOW(), motivo_revocacion = ?
+     WHERE familia = ? AND revocado_en IS NULL`,
+    [motivo, familia]
+  );
+}
+
+/**
+ * Rotar un refresh token
+ * ----------------------------------------
+ * Bloquea el token (FOR UPDATE): si llegan dos renovaciones con el mismo
+ * token a la vez, la segunda espera y lo encuentra ya usado.
+ *
+ * @param {string} tokenHash - Hash del token que presenta el cliente
+ * @param {string} nuevoHash - Hash del token que lo sustituye
+ * @param {number} dias - Validez del token nuevo
+ * @returns {Object} Cuenta dueña de la sesión { id, nombre, email, rol, version_sesion }
+ * @throws 401 si el token no existe, está revocado, caducado, ya se usó
+ *         o la cuenta está desactivada
+ */
+export async function rotar(tokenHash, nuevoHash, dias) {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    const [rows] = await conexion.query(
+      `SELECT rt.id, rt.cliente_id, rt.familia, rt.usado_en, rt.revocado_en,
+              rt.expira_en < NOW() AS caducado,
+              c.nombre, c.email, c.rol, c.activo, c.version_sesion
+       FROM refresh_tokens rt
+       JOIN clientes c ON c.id = rt.cliente_id
+       WHERE rt.token_hash = ?
+       FOR UPDATE`,
+      [tokenHash]
+    );
+
+    const actual = rows[0];
+
+    if (!actual) {
+      throw crearError(401, 'Sesión no válida');
+    }
+
+    // Token ya usado → copia robada o cliente con un token viejo: fuera toda la familia
+    if (actual.usado_en) {
+      await revocarFamilia(actual.familia, 'reutilizado', conexion);
+      await conexion.commit();
+      console.warn(`⚠️ Refresh token reutilizado (cliente ${actual.cliente_id}, familia ${actual.familia}): sesión revocada`);
+      throw crearError(401, 'Sesión revocada. Inicia sesión de nuevo');
+    }
+
+    if (actual.revocado_en) {
+      throw crearError(401, 'Sesión cerrada. Inicia sesión de nuevo');
+    }
+
+    if (actual.caducado) {
+      throw crearError(401, 'Sesión caducada. Inicia sesión de nuevo');
+    }
+
+    if (!actual.activo) {
+      await revocarFamilia(actual.familia, 'cuenta_desactivada', conexion);
+      await conexion.commit();
+      throw crearError(401, 'Cuenta desactivada');
+    }
+
+    await conexion.query(
+      'UPDATE refresh_tokens SET usado_en = NOW() WHERE id = ?',
+      [actual.id]
+    );
+
+    await crear({
+      clienteId: actual.cliente_id,
+      familia: actual.familia,
+      tokenHash: nuevoHash,
+      dias
+    }, conexion);
+
+    await conexion.commit();
+
+    return {
+      id: actual.cliente_id,
+      nombre: actual.nombre,
+      email: actual.email,
+      rol: actual.rol,
+      version_sesion: actual.version_sesion
+    };
+
+  } catch (error) {
+    // Si ya se hizo commit (revocación por reutilización), el rollback no deshace nada
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
+
+/**
+ * Cerrar la sesión de un token (logout en este dispositivo)
+ * - Revoca su familia entera
+ * - No falla si el token no existe o ya estaba revocado (logout idempotente)
+ */
+export async function cerrar(tokenHash) {
+  const [rows] = await pool.query(
+    'SELECT familia FROM refresh_tokens WHERE token_hash = ?',
+    [tokenHash]
+  );
+
+  if (rows.length > 0) {
+    await revocarFamilia(rows[0].familia, 'logout');
+  }
+}
+
+/**
+ * Cerrar todas las sesiones de un cliente
+ * - Revoca todos sus refresh tokens
+ * - Sube clientes.version_sesion: los access tokens ya emitidos
+ *   dejan de valer al momento (verificarToken compara la versión)
+ * @param {string} [motivo='logout_todos']
+ */
+export async function cerrarTodas(clienteId, motivo = 'logout_todos') {
+  const conexion = await pool.getConnection();
+
+  try {
+    await conexion.beginTransaction();
+
+    await conexion.query(
+      `UPDATE refresh_tokens SET revocado_en = NOW(), motivo_revocacion = ?
+       WHERE cliente_id = ? AND revocado_en IS NULL`,
+      [motivo, clienteId]
+    );
+
+    await conexion.query(
+      'UPDATE clientes SET version_sesion = version_sesion + 1 WHERE id = ?',
+      [clienteId]
+    );
+
+    await conexion.commit();
+
+  } catch (error) {
+    await conexion.rollback();
+    throw error;
+  } finally {
+    conexion.release();
+  }
+}
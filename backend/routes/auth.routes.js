@@ -1,6 +1,7 @@
 // routes/auth.routes.js
 import { Router } from 'express';
 import * as authController from '../controllers/auth.controller.js';
+import { verificarToken } from '../middlewares/auth.middleware.js';
 
 const router = Router();
 
@@ -16,4 +17,13 @@ router.post('/register', authController.register);
 // Login usuario
 router.post('/login', authController.login);
 
+// Renovar la sesión con el refresh token
+router.post('/refresh', authController.refresh);
+
+// Cerrar sesión en este dispositivo (con el refresh token)
+router.post('/logout', authController.logout);
+
+// Cerrar sesión en todos los dispositivos
+router.post('/logout-todos', verificarToken, authController.logoutTodos);
+
 export default router;
@@ -0,0 +1,21 @@
+// routes/clientes.routes.js
+import { Router } from 'express';
+import * as clientesController from '../controllers/clientes.controller.js';
+import { verificarToken, requireRole } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+/**
+ * ==========================================
+ * 👥 RUTAS DE CLIENTES (administración)
+ * ==========================================
+ * NOTA: Solo para admin
+ */
+
+// Cambiar el rol de una cuenta
+router.patch('/:id/rol', verificarToken, requireRole('admin'), clientesController.cambiarRol);
+
+// Activar o desactivar una cuenta
+router.patch('/:id/activo', verificarToken, requireRole('admin'), clientesController.cambiarActivo);
+
+export default router;
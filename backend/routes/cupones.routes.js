@@ -0,0 +1,18 @@
+// routes/cupones.routes.js
+import { Router } from 'express';
+import * as cuponesController from '../controllers/cupones.controller.js';
+import { verificarToken } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+/**
+ * ==========================================
+ * 🎟️ RUTAS DE CUPONES
+ * ==========================================
+ * NOTA: Requiere autenticación (límite de usos por cliente)
+ */
+
+// Validar un cupón contra el carrito
+router.post('/validar', verificarToken, cuponesController.validarCupon);
+
+export default router;
@@ -0,0 +1,22 @@
+// routes/devoluciones.routes.js
+import { Router } from 'express';
+import * as devolucionesController from '../controllers/devoluciones.controller.js';
+import { verificarToken, requireRole } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+/**
+ * ==========================================
+ * ↩️ RUTAS DE DEVOLUCIONES (gestión del staff)
+ * ==========================================
+ * NOTA: Todas las rutas son solo para el personal (staff o admin).
+ * Los clientes solicitan devoluciones con POST /api/pedidos/:id/devoluciones
+ */
+
+// Listar devoluciones (filtro opcional ?estado=solicitada)
+router.get('/', verificarToken, requireRole('staff', 'admin'), devolucionesController.getDevoluciones);
+
+// Aprobar, rechazar o marcar como recibida una devolución
+router.patch('/:id/estado', verificarToken, requireRole('staff', 'admin'), devolucionesController.cambiarEstadoDevolucion);
+
+export default router;
@@ -0,0 +1,34 @@
+// routes/direcciones.routes.js
+import { Router } from 'express';
+import * as direccionesController from '../controllers/direcciones.controller.js';
+import { verificarToken } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+/**
+ * ==========================================
+ * 📍 RUTAS DE DIRECCIONES DE ENVÍO
+ * ==========================================
+ * NOTA: Todas las rutas requieren autenticación
+ * y solo trabajan con las direcciones del propio cliente
+ */
+
+// Listar mis direcciones
+router.get('/', verificarToken, direccionesController.getDirecciones);
+
+// Obtener una dirección
+router.get('/:id', verificarToken, direccionesController.getDireccionPorId);
+
+// Crear dirección
+router.post('/', verificarToken, direccionesController.crearDireccion);
+
+// Actualizar dirección
+router.put('/:id', verificarToken, direccionesController.actualizarDireccion);
+
+// Marcar como predeterminada
+router.post('/:id/predeterminada', verificarToken, direccionesController.marcarPredeterminada);
+
+// Eliminar dirección
+router.delete('/:id', verificarToken, direccionesController.eliminarDireccion);
+
+export default router;
@@ -0,0 +1,20 @@
+// routes/envios.routes.js
+import { Router } from 'express';
+import * as enviosController from '../controllers/envios.controller.js';
+
+const router = Router();
+
+/**
+ * ==========================================
+ * 🚚 RUTAS DE ENVÍOS
+ * ==========================================
+ * NOTA: Son públicas, el carrito las usa antes de iniciar sesión
+ */
+
+// Listar métodos de envío activos
+router.get('/metodos', enviosController.getMetodos);
+
+// Cotizar el envío de un carrito
+router.post('/cotizar', enviosController.cotizarEnvio);
+
+export default router;
@@ -0,0 +1,19 @@
+// routes/pagos.routes.js
+import { Router } from 'express';
+import * as pagosController from '../controllers/pagos.controller.js';
+
+const router = Router();
+
+/**
+ * ==========================================
+ * 💳 RUTAS DE PAGOS
+ * ==========================================
+ * NOTA: El webhook es público (lo llama la pasarela), pero solo se
+ * acepta si la firma de la cabecera X-Firma-Pago es válida.
+ * Para iniciar un pago: POST /api/pedidos/:id/pagar
+ */
+
+// Avisos de la pasarela de pago
+router.post('/webhook/:proveedor', pagosController.recibirWebhook);
+
+export default router;
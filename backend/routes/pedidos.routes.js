@@ -1,7 +1,11 @@
 // routes/pedidos.routes.js
 import { Router } from 'express';
 import * as pedidosController from '../controllers/pedidos.controller.js';
-import { verificarToken } from '../middlewares/auth.middleware.js';
+import * as pagosController from '../controllers/pagos.controller.js';
+import * as facturasController from '../controllers/facturas.controller.js';
+import * as devolucionesController from '../controllers/devoluciones.controller.js';
+import { verificarToken, requireRole } from '../middlewares/auth.middleware.js';
+import { idempotencia } from '../middlewares/idempotencia.middleware.js';
 
 const router = Router();
 
@@ -12,10 +16,29 @@ const router = Router();
  * NOTA: Todas las rutas requieren autenticación
  */
 
-// Crear pedido (protegido)
-router.post('/', verificarToken, pedidosController.crearPedido);
+// Crear pedido (protegido, admite cabecera Idempotency-Key)
+router.post('/', verificarToken, idempotencia, pedidosController.crearPedido);
 
 // Obtener mis pedidos (protegido)
 router.get('/mis-pedidos', verificarToken, pedidosController.getMisPedidos);
 
+// Obtener detalle de un pedido (protegido, dueño o staff)
+// IMPORTANTE: va después de '/mis-pedidos' para que no se tome como ID
+router.get('/:id', verificarToken, pedidosController.getPedidoPorId);
+
+// Cancelar uno de mis pedidos (protegido, solo el dueño)
+router.post('/:id/cancelar', verificarToken, pedidosController.cancelarMiPedido);
+
+// Pagar uno de mis pedidos pendientes (protegido, solo el dueño)
+router.post('/:id/pagar', verificarToken, pagosController.iniciarPago);
+
+// Descargar la factura en PDF de uno de mis pedidos pagados (protegido, solo el dueño)
+router.get('/:id/factura', verificarToken, facturasController.descargarFactura);
+
+// Solicitar la devolución de líneas de uno de mis pedidos entregados (protegido, solo el dueño)
+router.post('/:id/devoluciones', verificarToken, devolucionesController.solicitarDevolucion);
+
+// Cambiar estado de un pedido (staff o admin)
+router.patch('/:id/estado', verificarToken, requireRole('staff', 'admin'), pedidosController.cambiarEstadoPedido);
+
 export default router;
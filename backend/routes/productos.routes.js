@@ -1,6 +1,7 @@
 // routes/productos.routes.js
 import { Router } from 'express';
 import * as productosController from '../controllers/productos.controller.js';
+import { verificarToken, requireRole } from '../middlewares/auth.middleware.js';
 
 const router = Router();
 
@@ -10,9 +11,22 @@ const router = Router();
  * ==========================================
  */
 
-// Obtener todos los productos
+// Obtener productos
+// Filtros: ?q=texto&categoria=Ropa&precio_min=10&precio_max=50&en_stock=true
+// Orden y paginación: ?sort=precio&orden=desc&page=2&limit=20
 router.get('/', productosController.getProductos);
 
+// Obtener categorías disponibles
+// IMPORTANTE: debe ir antes de '/:id' para que "categorias" no se tome como ID
+router.get('/categorias', productosController.getCategorias);
 
+// Obtener detalle de un producto
+router.get('/:id', productosController.getProductoPorId);
+
+// Gestión del catálogo (staff o admin)
+router.post('/', verificarToken, requireRole('staff', 'admin'), productosController.crearProducto);
+router.put('/:id', verificarToken, requireRole('staff', 'admin'), productosController.actualizarProducto);
+router.patch('/:id', verificarToken, requireRole('staff', 'admin'), productosController.actualizarProducto);
+router.delete('/:id', verificarToken, requireRole('staff', 'admin'), productosController.eliminarProducto);
 
 export default router;
@@ -0,0 +1,73 @@
+// scripts/crear-admin.js
+import bcrypt from 'bcryptjs';
+import pool from '../config/db.js';
+import * as clientesModel from '../models/clientes.model.js';
+import { validarRegistro, normalizarEmail } from '../validators/auth.validator.js';
+
+/**
+ * ==========================================
+ * 🛡️ CREAR EL PRIMER ADMIN
+ * ==========================================
+ *
+ * Solo un admin puede cambiar roles desde la API, así que el primero
+ * hay que crearlo desde la terminal:
+ *
+ *   npm run crear-admin -- <email> <nombre> [password]
+ *
+ * - Si ya existe una cuenta con ese email, la asciende a 'admin' y la
+ *   reactiva si estaba desactivada (no toca su contraseña).
+ * - Si no existe, la crea con la contraseña indicada (misma política
+ *   que el registro: validators/auth.validator.js). Mejor pasarla en
+ *   la variable ADMIN_PASSWORD para que no quede en el historial:
+ *
+ *   ADMIN_PASSWORD='...' npm run crear-admin -- admin@bazar.local "Admin"
+ */
+
+async function crearAdmin() {
+  const [emailArgumento, nombre, passwordArgumento] = process.argv.slice(2);
+  const email = normalizarEmail(emailArgumento);
+  const password = process.env.ADMIN_PASSWORD || passwordArgumento;
+
+  if (!email) {
+    console.error('Uso: npm run crear-admin -- <email> <nombre> [password]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const existente = await clientesModel.buscarPorEmail(email);
+
+  if (existente) {
+    await clientesModel.actualizarRol(existente.id, 'admin');
+    // Si estaba desactivada, la reactivamos: es la vía para recuperar el acceso
+    await clientesModel.actualizarActivo(existente.id, true);
+    console.log(`✅ La cuenta ${email} (id ${existente.id}) ahora es admin`);
+    return;
+  }
+
+  // Mismas reglas que el registro desde la API
+  const { errores, datos } = validarRegistro({ nombre, email, password });
+
+  if (errores) {
+    for (const [campo, mensaje] of Object.entries(errores)) {
+      console.error(`❌ ${campo}: ${mensaje}`);
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  const hashedPassword = await bcrypt.hash(datos.password, 10);
+  const cliente = await clientesModel.crearCliente({ ...datos, password: hashedPassword });
+  await clientesModel.actualizarRol(cliente.id, 'admin');
+
+  console.log(`✅ Admin creado: ${email} (id ${cliente.id})`);
+}
+
+try {
+  await crearAdmin();
+} catch (error) {
+  console.error('❌ Error al crear el admin:', error.message);
+  process.exitCode = 1;
+} finally {
+  // Cerramos el pool para que el proceso termine
+  await pool.end();
+}
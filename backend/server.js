@@ -57,6 +57,13 @@ import cors from 'cors';
 import productosRoutes from './routes/productos.routes.js';
 import authRoutes from './routes/auth.routes.js';
 import pedidosRoutes from './routes/pedidos.routes.js';
+import direccionesRoutes from './routes/direcciones.routes.js';
+import enviosRoutes from './routes/envios.routes.js';
+import cuponesRoutes from './routes/cupones.routes.js';
+import pagosRoutes from './routes/pagos.routes.js';
+import devolucionesRoutes from './routes/devoluciones.routes.js';
+import clientesRoutes from './routes/clientes.routes.js';
+import { iniciarEnvioPeriodico } from './services/emails.service.js';
 
 /**
  * ==========================================
@@ -81,7 +88,8 @@ const PORT = process.env.PORT || 3001;
 // OPCIÓN 1: Autorización universal (SOLO PARA DESARROLLO)
 app.use(cors({
   origin: '*', // Permite cualquier origen - útil durante desarrollo
-  credentials: false // Deshabilitado para compatibilidad con origin: '*'
+  credentials: false, // Deshabilitado para compatibilidad con origin: '*'
+  exposedHeaders: ['Content-Disposition'] // Nombre del archivo en descargas (facturas)
 }));
 
 // OPCIÓN 2: Configuración específica (RECOMENDADO PARA PRODUCCIÓN)
@@ -100,7 +108,13 @@ app.use(cors({
 // - credentials: true permite envío de cookies/tokens pero requiere origins específicos
 
 // Parser de JSON
-app.use(express.json());
+// verify guarda también el cuerpo original (Buffer) en req.cuerpoCrudo:
+// los webhooks de pago se firman sobre esos bytes exactos
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.cuerpoCrudo = buf;
+  }
+}));
 
 // Middleware de logging para desarrollo
 app.use((req, res, next) => {
@@ -124,6 +138,12 @@ app.get('/', (req, res) => {
 app.use('/api/productos', productosRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/pedidos', pedidosRoutes);
+app.use('/api/direcciones', direccionesRoutes);
+app.use('/api/envios', enviosRoutes);
+app.use('/api/cupones', cuponesRoutes);
+app.use('/api/pagos', pagosRoutes);
+app.use('/api/devoluciones', devolucionesRoutes);
+app.use('/api/clientes', clientesRoutes);
 
 // ==========================================
 // MANEJO DE ERRORES
@@ -158,6 +178,9 @@ app.listen(PORT, () => {
   console.log(`🌐 URL: http://localhost:${PORT}`);
   console.log(`🔗 API: http://localhost:${PORT}/api`);
   console.log('==========================================');
+
+  // Enviar en segundo plano los emails de la bandeja de salida
+  iniciarEnvioPeriodico();
 });
 
 export default app;
@@ -0,0 +1,115 @@
+// services/cupones.service.js
+import { aCentimos } from '../utils/dinero.js';
+
+/**
+ * ==========================================
+ * 🎟️ SERVICIO DE CUPONES DE DESCUENTO
+ * ==========================================
+ * 
+ * Lógica pura (sin base de datos) para decidir si un cupón se puede
+ * usar y cuánto descuenta. Se usa en dos sitios:
+ * - Al validar el cupón desde el carrito (POST /api/cupones/validar)
+ * - Al crear el pedido, con la fila del cupón bloqueada (pedidosModel.crear)
+ * 
+ * TIPOS DE CUPÓN:
+ * - 'porcentaje': valor = % sobre los productos a los que se aplica
+ * - 'importe': valor = euros de descuento (nunca más que esos productos)
+ * 
+ * Los precios incluyen IVA, así que el descuento también: se reparte
+ * entre las líneas para que el IVA del pedido se calcule ya rebajado.
+ * 
+ * El cupón se aplica DESPUÉS de las promociones automáticas
+ * (promociones.service.js): el mínimo y el descuento se calculan sobre
+ * el importe que queda en cada línea (campo "descuento" de la línea).
+ */
+
+/**
+ * Importe que queda en una línea tras las promociones, en céntimos
+ */
+function importeRestante(linea) {
+  return aCentimos(linea.precio) * linea.cantidad - aCentimos(linea.descuento);
+}
+
+/**
+ * Comprobar las condiciones de un cupón
+ * ----------------------------------------
+ * @param {Object} cupon - Fila de la tabla cupones
+ * @param {Object} contexto
+ *   @param {Array} contexto.lineas - [{ precio, cantidad, categoria, descuento? }]
+ *   @param {number} contexto.usosCliente - Pedidos del cliente con este cupón
+ *   @param {Date} [contexto.ahora] - Fecha de referencia (por defecto ahora)
+ * @returns {string|null} Motivo por el que no se puede usar, o null si es válido
+ */
+export function comprobarCupon(cupon, { lineas, usosCliente, ahora = new Date() }) {
+  if (!cupon || !cupon.activo) {
+    return 'El cupón no existe';
+  }
+  if (cupon.valido_desde && ahora < new Date(cupon.valido_desde)) {
+    return 'El cupón todavía no está activo';
+  }
+  if (cupon.valido_hasta && ahora > new Date(cupon.valido_hasta)) {
+    return 'El cupón ha caducado';
+  }
+  if (cupon.usos_maximos !== null && cupon.usos >= cupon.usos_maximos) {
+    return 'El cupón ha alcanzado su límite de usos';
+  }
+  if (cupon.usos_por_cliente !== null && usosCliente >= cupon.usos_por_cliente) {
+    return 'Ya has usado este cupón el máximo de veces permitido';
+  }
+
+  const subtotalCentimos = lineas.reduce((total, l) => total + importeRestante(l), 0);
+
+  if (cupon.subtotal_minimo !== null && subtotalCentimos < aCentimos(cupon.subtotal_minimo)) {
+    return `El cupón requiere un pedido mínimo de ${Number(cupon.subtotal_minimo).toFixed(2)} €`;
+  }
+  if (!lineas.some(linea => aplicaALinea(cupon, linea))) {
+    return 'El cupón no se aplica a ningún producto del carrito';
+  }
+
+  return null;
+}
+
+/**
+ * ¿Se aplica el cupón a esta línea?
+ * Sin categorías configuradas se aplica a todo el carrito.
+ */
+function aplicaALinea(cupon, linea) {
+  const categorias = cupon.categorias;
+  return !Array.isArray(categorias) || categorias.length === 0 || categorias.includes(linea.categoria);
+}
+
+/**
+ * Calcular el descuento de un cupón ya comprobado
+ * ----------------------------------------
+ * Devuelve el descuento total y su reparto por línea (en céntimos).
+ * El reparto es proporcional al importe de cada línea; los céntimos
+ * que sobran del redondeo se asignan a las primeras líneas.
+ * 
+ * @param {Object} cupon - Fila de la tabla cupones
+ * @param {Array} lineas - [{ precio, cantidad, categoria, descuento? }]
+ * @returns {Object} { descuentoCentimos, porLinea: [céntimos, ...] }
+ */
+export function calcularDescuento(cupon, lineas) {
+  const importes = lineas.map(l => (aplicaALinea(cupon, l) ? importeRestante(l) : 0));
+  const baseCentimos = importes.reduce((a, b) => a + b, 0);
+
+  const descuentoCentimos = cupon.tipo === 'porcentaje'
+    ? Math.round(baseCentimos * Number(cupon.valor) / 100)
+    : Math.min(aCentimos(cupon.valor), baseCentimos);
+
+  if (baseCentimos === 0) {
+    return { descuentoCentimos: 0, porLinea: importes.map(() => 0) };
+  }
+
+  const porLinea = importes.map(importe => Math.floor(descuentoCentimos * importe / baseCentimos));
+  let resto = descuentoCentimos - porLinea.reduce((a, b) => a + b, 0);
+
+  for (let i = 0; resto > 0 && i < porLinea.length; i++) {
+    if (importes[i] > porLinea[i]) {
+      porLinea[i]++;
+      resto--;
+    }
+  }
+
+  return { descuentoCentimos, porLinea };
+}
@@ -0,0 +1,86 @@
+// services/devoluciones.service.js
+import { aCentimos } from '../utils/dinero.js';
+
+/**
+ * ==========================================
+ * ↩️ SERVICIO DE DEVOLUCIONES (RMA)
+ * ==========================================
+ *
+ * Lógica pura (sin base de datos) de las devoluciones:
+ * - Plazo para pedir una devolución desde la entrega
+ * - Ciclo de vida de una devolución
+ * - Importe a reembolsar por las unidades devueltas
+ * - Estado de devolución del pedido (parcial o total)
+ *
+ * El reembolso es lo que se PAGÓ por esas unidades: precio con IVA
+ * menos su parte de promociones y cupón. Los gastos de envío no se
+ * devuelven.
+ */
+
+/**
+ * Días para pedir una devolución desde la entrega
+ * (variable DEVOLUCIONES_PLAZO_DIAS, por defecto 30)
+ */
+export function plazoDias() {
+  const dias = Number(process.env.DEVOLUCIONES_PLAZO_DIAS);
+  return Number.isInteger(dias) && dias > 0 ? dias : 30;
+}
+
+/**
+ * ¿Sigue abierto el plazo de devolución?
+ * @param {Date|string} fechaEntrega - Cuándo pasó el pedido a 'entregado'
+ * @param {Date} [ahora]
+ */
+export function dentroDePlazo(fechaEntrega, ahora = new Date()) {
+  const limite = new Date(fechaEntrega);
+  limite.setDate(limite.getDate() + plazoDias());
+  return ahora <= limite;
+}
+
+/**
+ * Transiciones permitidas de una devolución
+ *
+ *   solicitada ──→ aprobada ──→ recibida
+ *       │             │
+ *       └─────────────┴──→ rechazada
+ */
+export const TRANSICIONES_DEVOLUCION = {
+  solicitada: ['aprobada', 'rechazada'],
+  aprobada: ['recibida', 'rechazada'],
+  rechazada: [],
+  recibida: []
+};
+
+export const ESTADOS_DEVOLUCION = Object.keys(TRANSICIONES_DEVOLUCION);
+
+/**
+ * Importe a reembolsar por unas unidades de una línea, en céntimos
+ * ----------------------------------------
+ * Se calcula por diferencia de acumulados: lo pagado por las primeras
+ * (yaDevueltas + cantidad) unidades menos lo pagado por las primeras
+ * yaDevueltas. Así, al devolver la línea entera en varias veces, la
+ * suma de los reembolsos es exactamente lo pagado (sin céntimos perdidos
+ * por redondeo).
+ *
+ * @param {Object} linea - { precio_unitario, cantidad, descuento }
+ * @param {number} yaDevueltas - Unidades de la línea ya reembolsadas
+ * @param {number} cantidad - Unidades que se devuelven ahora
+ */
+export function importeADevolver(linea, yaDevueltas, cantidad) {
+  const pagado = aCentimos(linea.precio_unitario) * linea.cantidad - aCentimos(linea.descuento);
+  const acumulado = unidades => Math.round((pagado * unidades) / linea.cantidad);
+  return acumulado(yaDevueltas + cantidad) - acumulado(yaDevueltas);
+}
+
+/**
+ * Estado de devolución de un pedido
+ * @param {Array} lineas - [{ cantidad, devueltas }]
+ * @returns {string|null} 'total', 'parcial' o null si no se ha devuelto nada
+ */
+export function estadoDevolucionPedido(lineas) {
+  const devueltas = lineas.reduce((total, l) => total + l.devueltas, 0);
+  if (devueltas === 0) return null;
+
+  const compradas = lineas.reduce((total, l) => total + l.cantidad, 0);
+  return devueltas >= compradas ? 'total' : 'parcial';
+}
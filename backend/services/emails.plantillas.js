@@ -0,0 +1,174 @@
+// services/emails.plantillas.js
+import { datosTienda } from './facturas.service.js';
+
+/**
+ * ==========================================
+ * ✉️ PLANTILLAS DE EMAIL
+ * ==========================================
+ *
+ * Cada plantilla recibe unos datos y devuelve { asunto, html, texto }.
+ * Se envían las dos versiones: los clientes de correo muestran el HTML
+ * y usan el texto plano si no pueden (o si el usuario lo prefiere).
+ *
+ * PLANTILLAS:
+ * - bienvenida: { nombre }
+ * - pedido_confirmado: { nombre, pedido, productos }
+ * - pedido_enviado: { nombre, pedido }
+ * - pedido_entregado: { nombre, pedido, plazo_devolucion_dias }
+ * - pedido_cancelado: { nombre, pedido }
+ *
+ * IMPORTANTE: todo dato que venga del usuario (nombre, motivo...) pasa
+ * por escaparHtml() antes de meterlo en el HTML.
+ */
+
+function escaparHtml(texto) {
+  return String(texto ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function euros(importe) {
+  return `${Number(importe).toFixed(2).replace('.', ',')} €`;
+}
+
+/**
+ * Estructura común de todos los emails en HTML
+ */
+function maquetar(titulo, cuerpo) {
+  const tienda = datosTienda();
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${escaparHtml(titulo)}</title></head>
+<body style="font-family: Arial, sans-serif; color: #374151; background: #f9fafb; padding: 24px;">
+  <div style="max-width: 560px; margin: 0 auto; background: #ffffff; padding: 24px; border-radius: 8px;">
+    <h1 style="color: #3b82f6; font-size: 22px;">${escaparHtml(titulo)}</h1>
+    ${cuerpo}
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;">
+    <p style="font-size: 12px; color: #6b7280;">${escaparHtml(tienda.nombre)} · ${escaparHtml(tienda.direccion)}</p>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Pie común de todos los emails en texto plano
+ */
+function pieTexto() {
+  const tienda = datosTienda();
+  return `\n--\n${tienda.nombre} · ${tienda.direccion}\n`;
+}
+
+const PLANTILLAS = {
+  bienvenida({ nombre }) {
+    const tienda = datosTienda();
+    const asunto = `¡Bienvenido/a a ${tienda.nombre}!`;
+
+    return {
+      asunto,
+      html: maquetar(asunto, `
+        <p>Hola ${escaparHtml(nombre)},</p>
+        <p>Gracias por registrarte. Ya puedes hacer pedidos y consultar su seguimiento desde "Mis Pedidos".</p>
+      `),
+      texto: `Hola ${nombre},\n\nGracias por registrarte. Ya puedes hacer pedidos y consultar su seguimiento desde "Mis Pedidos".\n${pieTexto()}`
+    };
+  },
+
+  pedido_confirmado({ nombre, pedido, productos }) {
+    const asunto = `Pedido #${pedido.id} recibido`;
+    const rebajas = Number(pedido.descuento_promociones) + Number(pedido.descuento);
+
+    const filasHtml = productos.map(p => `
+      <tr>
+        <td style="padding: 4px 0;">${escaparHtml(p.producto_nombre)} x${p.cantidad}</td>
+        <td style="padding: 4px 0; text-align: right;">${euros(p.subtotal)}</td>
+      </tr>`).join('');
+
+    const filasTexto = productos.map(p => `- ${p.producto_nombre} x${p.cantidad}: ${euros(p.subtotal)}`).join('\n');
+
+    return {
+      asunto,
+      html: maquetar(asunto, `
+        <p>Hola ${escaparHtml(nombre)},</p>
+        <p>Hemos recibido tu pedido. Este es el resumen:</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${filasHtml}
+          ${rebajas > 0 ? `<tr><td>Descuentos</td><td style="text-align: right;">-${euros(rebajas)}</td></tr>` : ''}
+          <tr><td>Envío (${escaparHtml(pedido.metodo_envio)})</td><td style="text-align: right;">${euros(pedido.coste_envio)}</td></tr>
+          <tr><td><strong>Total (IVA incl.)</strong></td><td style="text-align: right;"><strong>${euros(pedido.total)}</strong></td></tr>
+        </table>
+        <p>Te avisaremos cuando lo enviemos.</p>
+      `),
+      texto: `Hola ${nombre},\n\nHemos recibido tu pedido #${pedido.id}. Este es el resumen:\n\n${filasTexto}\n` +
+        (rebajas > 0 ? `Descuentos: -${euros(rebajas)}\n` : '') +
+        `Envío (${pedido.metodo_envio}): ${euros(pedido.coste_envio)}\n` +
+        `Total (IVA incl.): ${euros(pedido.total)}\n\nTe avisaremos cuando lo enviemos.\n${pieTexto()}`
+    };
+  },
+
+  pedido_enviado({ nombre, pedido }) {
+    const asunto = `Tu pedido #${pedido.id} está en camino`;
+    const direccion = pedido.direccion_envio
+      ? `${pedido.direccion_envio.direccion}, ${pedido.direccion_envio.codigo_postal} ${pedido.direccion_envio.ciudad}`
+      : null;
+
+    return {
+      asunto,
+      html: maquetar(asunto, `
+        <p>Hola ${escaparHtml(nombre)},</p>
+        <p>Tu pedido #${pedido.id} ha salido de la tienda${direccion ? ` hacia <strong>${escaparHtml(direccion)}</strong>` : ''}.</p>
+      `),
+      texto: `Hola ${nombre},\n\nTu pedido #${pedido.id} ha salido de la tienda${direccion ? ` hacia ${direccion}` : ''}.\n${pieTexto()}`
+    };
+  },
+
+  pedido_entregado({ nombre, pedido, plazo_devolucion_dias }) {
+    const asunto = `Pedido #${pedido.id} entregado`;
+
+    return {
+      asunto,
+      html: maquetar(asunto, `
+        <p>Hola ${escaparHtml(nombre)},</p>
+        <p>Tu pedido #${pedido.id} se ha entregado. Puedes descargar la factura desde "Mis Pedidos".</p>
+        <p>Si algo no te convence, tienes ${plazo_devolucion_dias} días para solicitar una devolución.</p>
+      `),
+      texto: `Hola ${nombre},\n\nTu pedido #${pedido.id} se ha entregado. Puedes descargar la factura desde "Mis Pedidos".\n` +
+        `Si algo no te convence, tienes ${plazo_devolucion_dias} días para solicitar una devolución.\n${pieTexto()}`
+    };
+  },
+
+  pedido_cancelado({ nombre, pedido }) {
+    const asunto = `Pedido #${pedido.id} cancelado`;
+    const motivo = pedido.motivo_cancelacion;
+
+    return {
+      asunto,
+      html: maquetar(asunto, `
+        <p>Hola ${escaparHtml(nombre)},</p>
+        <p>Tu pedido #${pedido.id} se ha cancelado.</p>
+        ${motivo ? `<p><strong>Motivo:</strong> ${escaparHtml(motivo)}</p>` : ''}
+        <p>Si ya lo habías pagado, te devolveremos el importe (${euros(pedido.total)}).</p>
+      `),
+      texto: `Hola ${nombre},\n\nTu pedido #${pedido.id} se ha cancelado.\n` +
+        (motivo ? `Motivo: ${motivo}\n` : '') +
+        `Si ya lo habías pagado, te devolveremos el importe (${euros(pedido.total)}).\n${pieTexto()}`
+    };
+  }
+};
+
+/**
+ * Renderizar una plantilla
+ * @param {string} plantilla - Nombre de la plantilla (ver PLANTILLAS)
+ * @param {Object} datos
+ * @returns {Object} { asunto, html, texto }
+ */
+export function renderizar(plantilla, datos) {
+  const generar = PLANTILLAS[plantilla];
+  if (!generar) {
+    throw new Error(`Plantilla de email desconocida: ${plantilla}`);
+  }
+  return generar(datos);
+}
@@ -0,0 +1,161 @@
+// services/emails.service.js
+import fs from 'fs/promises';
+import path from 'path';
+import * as emailsModel from '../models/emails.model.js';
+
+/**
+ * ==========================================
+ * 📮 SERVICIO DE ENVÍO DE EMAILS
+ * ==========================================
+ *
+ * Vacía la bandeja de salida (tabla emails_salida) en segundo plano
+ * usando un "transporte", elegido con EMAIL_TRANSPORTE:
+ * - 'consola' (por defecto): escribe el email en la consola
+ * - 'archivo': guarda cada email como .txt y .html en EMAIL_DIRECTORIO
+ *   (por defecto ./correos), cómodo para revisar las plantillas
+ * - 'smtp': lo envía de verdad con nodemailer
+ *   (SMTP_HOST, SMTP_PORT, SMTP_SEGURO, SMTP_USUARIO, SMTP_PASSWORD)
+ *
+ * INTERFAZ DE UN TRANSPORTE:
+ * - enviar({ id, de, para, asunto, html, texto }) → lanza un error si falla
+ *
+ * REINTENTOS: si un envío falla se vuelve a intentar más tarde
+ * (1, 5, 15 y 60 minutos). Tras el último intento queda 'fallido'
+ * con el error guardado en ultimo_error.
+ */
+
+/**
+ * Espera antes de cada reintento, en segundos
+ */
+const ESPERAS_REINTENTO_SEGUNDOS = [60, 5 * 60, 15 * 60, 60 * 60];
+const MAX_INTENTOS = ESPERAS_REINTENTO_SEGUNDOS.length + 1;
+
+/**
+ * Emails que se reservan en cada vuelta
+ */
+const LOTE = 20;
+
+const TRANSPORTES = {
+  consola: {
+    async enviar({ de, para, asunto, texto }) {
+      console.log(`📧 [email] De: ${de} | Para: ${para} | Asunto: ${asunto}\n${texto}`);
+    }
+  },
+
+  archivo: {
+    async enviar({ id, de, para, asunto, html, texto }) {
+      const directorio = process.env.EMAIL_DIRECTORIO || 'correos';
+      const base = path.join(directorio, `${String(id).padStart(6, '0')}`);
+
+      await fs.mkdir(directorio, { recursive: true });
+      await fs.writeFile(`${base}.txt`, `De: ${de}\nPara: ${para}\nAsunto: ${asunto}\n\n${texto}`);
+      await fs.writeFile(`${base}.html`, html);
+    }
+  },
+
+  smtp: {
+    clienteSmtp: null,
+
+    async enviar({ de, para, asunto, html, texto }) {
+      // nodemailer solo se carga si de verdad se usa SMTP
+      if (!this.clienteSmtp) {
+        const { default: nodemailer } = await import('nodemailer');
+        this.clienteSmtp = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SEGURO === 'true',
+          auth: process.env.SMTP_USUARIO
+            ? { user: process.env.SMTP_USUARIO, pass: process.env.SMTP_PASSWORD }
+            : undefined
+        });
+      }
+
+      await this.clienteSmtp.sendMail({ from: de, to: para, subject: asunto, html, text: texto });
+    }
+  }
+};
+
+/**
+ * Transporte configurado (variable EMAIL_TRANSPORTE, por defecto 'consola')
+ */
+export function obtenerTransporte(nombre = process.env.EMAIL_TRANSPORTE || 'consola') {
+  const transporte = TRANSPORTES[nombre];
+  if (!transporte) {
+    throw new Error(`Transporte de email desconocido: ${nombre}`);
+  }
+  return transporte;
+}
+
+function remitente() {
+  return process.env.EMAIL_REMITENTE || 'Bazar <no-responder@bazar.local>';
+}
+
+let procesando = false;
+
+/**
+ * Enviar los emails pendientes de la bandeja de salida
+ * ----------------------------------------
+ * Nunca lanza errores: se llama desde temporizadores, donde un error
+ * sin capturar tumbaría el servidor.
+ */
+export async function enviarPendientes() {
+  // Si ya hay una vuelta en marcha, no empezamos otra a la vez
+  if (procesando) return;
+  procesando = true;
+
+  try {
+    const transporte = obtenerTransporte();
+    let emails;
+
+    do {
+      emails = await emailsModel.reservarPendientes(LOTE);
+
+      for (const email of emails) {
+        try {
+          await transporte.enviar({
+            id: email.id,
+            de: remitente(),
+            para: email.destinatario,
+            asunto: email.asunto,
+            html: email.html,
+            texto: email.texto
+          });
+          await emailsModel.marcarEnviado(email.id);
+        } catch (error) {
+          const espera = email.intentos < MAX_INTENTOS
+            ? ESPERAS_REINTENTO_SEGUNDOS[email.intentos - 1]
+            : null;
+
+          console.error(`❌ Email ${email.id} (${email.plantilla}) no enviado, intento ${email.intentos}/${MAX_INTENTOS}:`, error.message);
+          await emailsModel.registrarFallo(email.id, error.message, espera);
+        }
+      }
+    } while (emails.length === LOTE);
+
+  } catch (error) {
+    console.error('❌ Error al procesar la bandeja de salida de emails:', error.message);
+  } finally {
+    procesando = false;
+  }
+}
+
+/**
+ * Pedir un envío inmediato (tras encolar un email)
+ * setImmediate: se ejecuta cuando la petición actual ya ha respondido
+ */
+export function avisarBandejaSalida() {
+  setImmediate(enviarPendientes);
+}
+
+/**
+ * Revisar la bandeja de salida periódicamente (reintentos y emails
+ * que quedaron pendientes si el servidor se reinició)
+ * Intervalo: EMAIL_INTERVALO_MS (por defecto 30 segundos)
+ */
+export function iniciarEnvioPeriodico() {
+  const intervalo = Number(process.env.EMAIL_INTERVALO_MS) || 30000;
+
+  // unref(): el temporizador no impide que el proceso termine
+  setInterval(enviarPendientes, intervalo).unref();
+  enviarPendientes();
+}
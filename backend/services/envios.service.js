@@ -0,0 +1,95 @@
+// services/envios.service.js
+import { aCentimos } from '../utils/dinero.js';
+
+/**
+ * ==========================================
+ * 🚚 SERVICIO DE ENVÍOS
+ * ==========================================
+ * 
+ * Lógica pura (sin base de datos) para calcular el coste de envío
+ * de un pedido a partir de su método y de sus líneas.
+ * Se usa en dos sitios:
+ * - Al cotizar el carrito (POST /api/envios/cotizar)
+ * - Al crear el pedido, dentro de la transacción (pedidosModel.crear)
+ * Así el precio mostrado y el cobrado salen de la misma función.
+ * 
+ * Todos los importes se calculan en céntimos para evitar errores
+ * de redondeo con decimales.
+ */
+
+/**
+ * Resumir las líneas de un carrito/pedido
+ * @param {Array} lineas - [{ cantidad, precio, peso_kg }]
+ * @returns {Object} { subtotalCentimos, pesoTotalKg }
+ */
+export function resumirLineas(lineas) {
+  let subtotalCentimos = 0;
+  let pesoTotalKg = 0;
+
+  for (const linea of lineas) {
+    subtotalCentimos += aCentimos(linea.precio) * linea.cantidad;
+    pesoTotalKg += Number(linea.peso_kg || 0) * linea.cantidad;
+  }
+
+  return { subtotalCentimos, pesoTotalKg: Math.round(pesoTotalKg * 1000) / 1000 };
+}
+
+/**
+ * Calcular el coste de envío en céntimos
+ * ----------------------------------------
+ * - 'tarifa_plana': precio_base
+ * - 'gratis_desde': precio_base, o 0 si el subtotal llega al umbral
+ * - 'por_peso': precio_base + precio_por_kg por cada kilo (o fracción)
+ * 
+ * @param {Object} metodo - Fila de metodos_envio
+ * @param {Object} resumen - { subtotalCentimos, pesoTotalKg }
+ * @returns {number} Coste en céntimos
+ */
+export function calcularCosteEnvio(metodo, { subtotalCentimos, pesoTotalKg }) {
+  const base = aCentimos(metodo.precio_base);
+
+  switch (metodo.tipo_regla) {
+    case 'tarifa_plana':
+      return base;
+
+    case 'gratis_desde':
+      return metodo.umbral_gratis !== null && subtotalCentimos >= aCentimos(metodo.umbral_gratis)
+        ? 0
+        : base;
+
+    case 'por_peso':
+      return base + aCentimos(metodo.precio_por_kg) * Math.ceil(pesoTotalKg);
+
+    default:
+      throw new Error(`Regla de envío desconocida: ${metodo.tipo_regla}`);
+  }
+}
+
+/**
+ * Cotizar un método de envío para unas líneas
+ * Devuelve los importes ya en euros, listos para la respuesta JSON
+ * 
+ * @param {Object} metodo - Fila de metodos_envio
+ * @param {Array} lineas - [{ cantidad, precio, peso_kg }]
+ * @param {Object} [descuentos] - Rebajas en céntimos: el umbral de envío
+ *   gratis se compara con el subtotal ya descontado
+ *   @param {number} [descuentos.promociones=0] - Promociones automáticas
+ *   @param {number} [descuentos.cupon=0] - Cupón de descuento
+ */
+export function cotizar(metodo, lineas, { promociones = 0, cupon = 0 } = {}) {
+  const resumen = resumirLineas(lineas);
+  const subtotalConDescuento = resumen.subtotalCentimos - promociones - cupon;
+  const costeCentimos = calcularCosteEnvio(metodo, { ...resumen, subtotalCentimos: subtotalConDescuento });
+
+  return {
+    metodo_envio: metodo.codigo,
+    nombre: metodo.nombre,
+    requiere_direccion: Boolean(metodo.requiere_direccion),
+    peso_total_kg: resumen.pesoTotalKg,
+    subtotal: resumen.subtotalCentimos / 100,
+    descuento_promociones: promociones / 100,
+    descuento: cupon / 100,
+    coste_envio: costeCentimos / 100,
+    total: (subtotalConDescuento + costeCentimos) / 100
+  };
+}
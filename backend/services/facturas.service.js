@@ -0,0 +1,186 @@
+// services/facturas.service.js
+import { crearDocumentoPdf } from '../utils/pdf.js';
+import { aCentimos } from '../utils/dinero.js';
+import { TIPO_IVA_GENERAL } from './impuestos.service.js';
+
+/**
+ * ==========================================
+ * 🧾 SERVICIO DE FACTURAS
+ * ==========================================
+ *
+ * Construye el PDF de una factura a partir de datos ya guardados:
+ * - la factura (número, fecha y copia de los datos del cliente)
+ * - el pedido (importes, IVA, envío y descuentos)
+ * - sus líneas (precios unitarios del momento de la compra)
+ *
+ * Nada se recalcula con los precios actuales del catálogo: la
+ * factura debe coincidir siempre con lo que se cobró.
+ *
+ * DATOS DE LA TIENDA (variables de entorno):
+ * TIENDA_NOMBRE, TIENDA_NIF, TIENDA_DIRECCION, TIENDA_EMAIL
+ */
+
+export function datosTienda() {
+  return {
+    nombre: process.env.TIENDA_NOMBRE || 'Bazar',
+    nif: process.env.TIENDA_NIF || 'B00000000',
+    direccion: process.env.TIENDA_DIRECCION || 'Calle Mayor 1, 28001 Madrid',
+    email: process.env.TIENDA_EMAIL || 'facturacion@bazar.local'
+  };
+}
+
+/**
+ * 1234 céntimos → '12,34 €'
+ */
+function euros(centimos) {
+  return `${(centimos / 100).toFixed(2).replace('.', ',')} €`;
+}
+
+function recortar(texto, maximo) {
+  return texto.length > maximo ? `${texto.slice(0, maximo - 3)}...` : texto;
+}
+
+// Columnas de la tabla de líneas (x donde termina cada columna numérica)
+const MARGEN = 50;
+const DERECHA = 545;
+const COLUMNAS = { cantidad: 320, precio: 385, descuento: 445, iva: 485, importe: DERECHA };
+const LIMITE_PAGINA = 770;
+
+/**
+ * Generar el PDF de una factura
+ * @param {Object} datos
+ *   @param {Object} datos.factura - Fila de 'facturas'
+ *   @param {Object} datos.pedido - Fila de 'pedidos'
+ *   @param {Array} datos.lineas - Líneas de obtenerLineasDePedido()
+ * @returns {Buffer}
+ */
+export function generarPdfFactura({ factura, pedido, lineas }) {
+  const doc = crearDocumentoPdf();
+  const tienda = datosTienda();
+  const cliente = factura.cliente;
+  let y = 60;
+
+  // --- Cabecera: tienda a la izquierda, datos de la factura a la derecha ---
+  doc.texto(tienda.nombre, MARGEN, y, { tamano: 18, negrita: true });
+  doc.texto('FACTURA', DERECHA, y, { tamano: 16, negrita: true, alinear: 'derecha' });
+  doc.texto(`NIF: ${tienda.nif}`, MARGEN, y + 18);
+  doc.texto(`Nº ${factura.numero}`, DERECHA, y + 18, { negrita: true, alinear: 'derecha' });
+  doc.texto(tienda.direccion, MARGEN, y + 32);
+  doc.texto(`Fecha: ${new Date(factura.emitida_en).toLocaleDateString('es-ES')}`, DERECHA, y + 32, { alinear: 'derecha' });
+  doc.texto(tienda.email, MARGEN, y + 46);
+  doc.texto(`Pedido #${pedido.id}`, DERECHA, y + 46, { alinear: 'derecha' });
+
+  // --- Cliente ---
+  y = 150;
+  doc.texto('Facturar a:', MARGEN, y, { negrita: true });
+  const datosCliente = [cliente.nombre, cliente.email];
+  if (cliente.direccion) {
+    const d = cliente.direccion;
+    datosCliente.push(
+      d.direccion,
+      `${d.codigo_postal} ${d.ciudad}${d.provincia ? ` (${d.provincia})` : ''}`,
+      d.pais
+    );
+  }
+  datosCliente.filter(Boolean).forEach((linea, i) => doc.texto(linea, MARGEN, y + 14 * (i + 1)));
+
+  // --- Tabla de líneas ---
+  y = 250;
+  function cabeceraTabla() {
+    doc.texto('Producto', MARGEN, y, { negrita: true });
+    doc.texto('Cant.', COLUMNAS.cantidad, y, { negrita: true, alinear: 'derecha' });
+    doc.texto('Precio', COLUMNAS.precio, y, { negrita: true, alinear: 'derecha' });
+    doc.texto('Dto.', COLUMNAS.descuento, y, { negrita: true, alinear: 'derecha' });
+    doc.texto('IVA', COLUMNAS.iva, y, { negrita: true, alinear: 'derecha' });
+    doc.texto('Importe', COLUMNAS.importe, y, { negrita: true, alinear: 'derecha' });
+    doc.linea(MARGEN, y + 6, DERECHA, y + 6);
+    y += 22;
+  }
+
+  function fila({ concepto, cantidad = '', precio = '', descuento = '', iva, importe }) {
+    if (y > LIMITE_PAGINA) {
+      doc.nuevaPagina();
+      y = 60;
+      cabeceraTabla();
+    }
+    doc.texto(recortar(concepto, 48), MARGEN, y);
+    doc.texto(String(cantidad), COLUMNAS.cantidad, y, { alinear: 'derecha' });
+    doc.texto(precio, COLUMNAS.precio, y, { alinear: 'derecha' });
+    doc.texto(descuento, COLUMNAS.descuento, y, { alinear: 'derecha' });
+    doc.texto(`${Number(iva)} %`, COLUMNAS.iva, y, { alinear: 'derecha' });
+    doc.texto(importe, COLUMNAS.importe, y, { alinear: 'derecha' });
+    y += 16;
+  }
+
+  cabeceraTabla();
+
+  for (const linea of lineas) {
+    const descuento = aCentimos(linea.descuento);
+    fila({
+      concepto: linea.producto_nombre,
+      cantidad: linea.cantidad,
+      precio: euros(aCentimos(linea.precio_unitario)),
+      descuento: descuento > 0 ? `-${euros(descuento)}` : '',
+      iva: linea.tipo_iva,
+      importe: euros(aCentimos(linea.subtotal) - descuento)
+    });
+  }
+
+  const costeEnvio = aCentimos(pedido.coste_envio);
+  if (costeEnvio > 0) {
+    fila({
+      concepto: `Envío (${pedido.metodo_envio})`,
+      iva: TIPO_IVA_GENERAL,
+      importe: euros(costeEnvio)
+    });
+  }
+
+  // --- Totales ---
+  if (y > LIMITE_PAGINA - 150) {
+    doc.nuevaPagina();
+    y = 60;
+  }
+  doc.linea(MARGEN, y - 8, DERECHA, y - 8);
+  y += 8;
+
+  const totales = [['Subtotal', euros(aCentimos(pedido.subtotal))]];
+  if (aCentimos(pedido.descuento_promociones) > 0) {
+    totales.push(['Promociones', `-${euros(aCentimos(pedido.descuento_promociones))}`]);
+  }
+  if (aCentimos(pedido.descuento) > 0) {
+    totales.push([`Cupón ${pedido.cupon_codigo}`, `-${euros(aCentimos(pedido.descuento))}`]);
+  }
+  totales.push(['Envío', euros(costeEnvio)]);
+
+  for (const [concepto, importe] of totales) {
+    doc.texto(concepto, COLUMNAS.descuento, y, { alinear: 'derecha' });
+    doc.texto(importe, DERECHA, y, { alinear: 'derecha' });
+    y += 16;
+  }
+  doc.texto('TOTAL', COLUMNAS.descuento, y + 4, { tamano: 12, negrita: true, alinear: 'derecha' });
+  doc.texto(euros(aCentimos(pedido.total)), DERECHA, y + 4, { tamano: 12, negrita: true, alinear: 'derecha' });
+
+  // --- Desglose de IVA ---
+  y += 40;
+  doc.texto('Desglose de IVA', MARGEN, y, { negrita: true });
+  y += 16;
+  doc.texto('Tipo', MARGEN, y, { negrita: true });
+  doc.texto('Base imponible', 220, y, { negrita: true, alinear: 'derecha' });
+  doc.texto('Cuota', 300, y, { negrita: true, alinear: 'derecha' });
+  y += 14;
+
+  for (const tramo of pedido.desglose_iva || []) {
+    doc.texto(`${Number(tramo.tipo)} %`, MARGEN, y);
+    doc.texto(euros(aCentimos(tramo.base_imponible)), 220, y, { alinear: 'derecha' });
+    doc.texto(euros(aCentimos(tramo.cuota_iva)), 300, y, { alinear: 'derecha' });
+    y += 14;
+  }
+
+  doc.texto('Total', MARGEN, y, { negrita: true });
+  doc.texto(euros(aCentimos(pedido.base_imponible)), 220, y, { negrita: true, alinear: 'derecha' });
+  doc.texto(euros(aCentimos(pedido.cuota_iva)), 300, y, { negrita: true, alinear: 'derecha' });
+
+  doc.texto('Precios con IVA incluido.', MARGEN, y + 30, { tamano: 8 });
+
+  return doc.generar();
+}
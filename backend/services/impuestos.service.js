@@ -0,0 +1,122 @@
+// services/impuestos.service.js
+import { aCentimos } from '../utils/dinero.js';
+
+/**
+ * ==========================================
+ * 🧾 SERVICIO DE IMPUESTOS (IVA)
+ * ==========================================
+ * 
+ * Lógica pura para desglosar el IVA de precios y pedidos.
+ * 
+ * En España los precios al consumidor se muestran CON el IVA
+ * incluido, así que aquí no se suma el impuesto: se separa.
+ *   bruto = base_imponible + cuota_iva
+ *   base_imponible = bruto / (1 + tipo / 100)
+ * 
+ * Se redondea a céntimos en cada línea y los totales del pedido
+ * son la suma de sus líneas, así ambos siempre cuadran.
+ */
+
+/**
+ * Los precios de la tabla productos incluyen IVA
+ */
+export const PRECIOS_INCLUYEN_IVA = true;
+
+/**
+ * Tipo general: se aplica a las categorías sin fila en tipos_iva
+ * y al coste de envío
+ */
+export const TIPO_IVA_GENERAL = 21;
+
+/**
+ * Obtener el tipo de IVA de una categoría
+ * @param {Map} tipos - categoria → tipo (ver impuestos.model.js)
+ * @param {string} categoria
+ */
+export function tipoDeCategoria(tipos, categoria) {
+  return tipos.has(categoria) ? tipos.get(categoria) : TIPO_IVA_GENERAL;
+}
+
+/**
+ * Separar base imponible y cuota de un importe con IVA incluido
+ * @param {number} brutoCentimos - Importe con IVA, en céntimos
+ * @param {number} tipo - Porcentaje de IVA
+ * @returns {Object} { baseCentimos, cuotaCentimos }
+ */
+export function desglosarCentimos(brutoCentimos, tipo) {
+  const baseCentimos = Math.round(brutoCentimos / (1 + tipo / 100));
+  return { baseCentimos, cuotaCentimos: brutoCentimos - baseCentimos };
+}
+
+/**
+ * Añadir a un producto su tipo de IVA y su precio sin IVA
+ * Se usa en las respuestas del catálogo.
+ */
+export function conIva(producto, tipos) {
+  const tipo = tipoDeCategoria(tipos, producto.categoria);
+  const { baseCentimos } = desglosarCentimos(aCentimos(producto.precio), tipo);
+
+  return {
+    ...producto,
+    tipo_iva: tipo,
+    precio_sin_iva: baseCentimos / 100,
+    precio_incluye_iva: PRECIOS_INCLUYEN_IVA
+  };
+}
+
+/**
+ * Desglosar el IVA de un pedido
+ * ----------------------------------------
+ * @param {Array} lineas - [{ precio, cantidad, tipo_iva, descuento? }]
+ *   (precio con IVA; descuento en euros, el que le toca a la línea por el cupón)
+ * @param {number} [costeEnvioCentimos=0] - El envío tributa al tipo general
+ * @returns {Object}
+ *   - lineas: [{ tipo_iva, base_imponible, cuota_iva, total }] en el mismo orden
+ *     (total = importe de la línea ya descontado)
+ *   - base_imponible, cuota_iva: totales del pedido (envío incluido)
+ *   - desglose_iva: [{ tipo, base_imponible, cuota_iva }] agrupado por tipo
+ */
+export function desglosarPedido(lineas, costeEnvioCentimos = 0) {
+  const porTipo = new Map();
+
+  const acumular = (tipo, { baseCentimos, cuotaCentimos }) => {
+    const grupo = porTipo.get(tipo) || { base: 0, cuota: 0 };
+    grupo.base += baseCentimos;
+    grupo.cuota += cuotaCentimos;
+    porTipo.set(tipo, grupo);
+  };
+
+  const lineasDesglosadas = lineas.map(({ precio, cantidad, tipo_iva, descuento = 0 }) => {
+    const brutoCentimos = aCentimos(precio) * cantidad - aCentimos(descuento);
+    const desglose = desglosarCentimos(brutoCentimos, tipo_iva);
+    acumular(tipo_iva, desglose);
+
+    return {
+      tipo_iva,
+      base_imponible: desglose.baseCentimos / 100,
+      cuota_iva: desglose.cuotaCentimos / 100,
+      total: brutoCentimos / 100
+    };
+  });
+
+  if (costeEnvioCentimos > 0) {
+    acumular(TIPO_IVA_GENERAL, desglosarCentimos(costeEnvioCentimos, TIPO_IVA_GENERAL));
+  }
+
+  let baseCentimos = 0;
+  let cuotaCentimos = 0;
+  const desglose = [...porTipo]
+    .sort(([a], [b]) => b - a)
+    .map(([tipo, { base, cuota }]) => {
+      baseCentimos += base;
+      cuotaCentimos += cuota;
+      return { tipo, base_imponible: base / 100, cuota_iva: cuota / 100 };
+    });
+
+  return {
+    lineas: lineasDesglosadas,
+    base_imponible: baseCentimos / 100,
+    cuota_iva: cuotaCentimos / 100,
+    desglose_iva: desglose
+  };
+}
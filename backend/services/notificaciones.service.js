@@ -0,0 +1,86 @@
+// services/notificaciones.service.js
+import * as emailsModel from '../models/emails.model.js';
+import * as clientesModel from '../models/clientes.model.js';
+import * as pedidosModel from '../models/pedidos.model.js';
+import { renderizar } from './emails.plantillas.js';
+import { avisarBandejaSalida } from './emails.service.js';
+import { plazoDias } from './devoluciones.service.js';
+
+/**
+ * ==========================================
+ * 🔔 NOTIFICACIONES AL CLIENTE
+ * ==========================================
+ *
+ * Los controladores llaman a estas funciones cuando pasa algo que el
+ * cliente debe saber. Cada una renderiza la plantilla y deja el email
+ * en la bandeja de salida; el envío se hace después, en segundo plano.
+ *
+ * NUNCA lanzan errores: si algo falla se registra en consola y la
+ * petición del cliente sigue adelante (el pedido ya está creado;
+ * un email que no sale no debe convertirlo en un error 500).
+ * Por eso se pueden llamar sin await.
+ */
+
+/**
+ * Plantilla que corresponde a cada nuevo estado del pedido
+ * (los estados que no aparecen no generan email)
+ */
+const PLANTILLA_POR_ESTADO = {
+  enviado: 'pedido_enviado',
+  entregado: 'pedido_entregado',
+  cancelado: 'pedido_cancelado'
+};
+
+async function encolar(destinatario, plantilla, datos) {
+  const { asunto, html, texto } = renderizar(plantilla, datos);
+  await emailsModel.encolar({ destinatario, plantilla, asunto, html, texto });
+  avisarBandejaSalida();
+}
+
+/**
+ * Email de bienvenida tras el registro
+ * @param {Object} cliente - { nombre, email }
+ */
+export async function notificarBienvenida({ nombre, email }) {
+  try {
+    await encolar(email, 'bienvenida', { nombre });
+  } catch (error) {
+    console.error('❌ No se pudo preparar el email de bienvenida:', error);
+  }
+}
+
+/**
+ * Email de confirmación de un pedido recién creado
+ */
+export async function notificarPedidoCreado(pedidoId) {
+  try {
+    const pedido = await pedidosModel.obtenerPedidoPorId(pedidoId);
+    const cliente = await clientesModel.obtenerPorId(pedido.cliente_id);
+    const productos = await pedidosModel.obtenerLineasDePedido(pedidoId);
+
+    await encolar(cliente.email, 'pedido_confirmado', { nombre: cliente.nombre, pedido, productos });
+  } catch (error) {
+    console.error(`❌ No se pudo preparar el email del pedido ${pedidoId}:`, error);
+  }
+}
+
+/**
+ * Email por un cambio de estado del pedido (enviado, entregado, cancelado)
+ */
+export async function notificarCambioEstado(pedidoId, estado) {
+  const plantilla = PLANTILLA_POR_ESTADO[estado];
+  if (!plantilla) return;
+
+  try {
+    const pedido = await pedidosModel.obtenerPedidoPorId(pedidoId);
+    const cliente = await clientesModel.obtenerPorId(pedido.cliente_id);
+
+    await encolar(cliente.email, plantilla, {
+      nombre: cliente.nombre,
+      pedido,
+      plazo_devolucion_dias: plazoDias()
+    });
+  } catch (error) {
+    console.error(`❌ No se pudo preparar el email del pedido ${pedidoId} (${estado}):`, error);
+  }
+}
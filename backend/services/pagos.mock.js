@@ -0,0 +1,124 @@
+// services/pagos.mock.js
+import crypto from 'crypto';
+import { firmar, verificarFirma } from '../utils/firmas.js';
+import { crearError } from '../utils/errores.js';
+
+/**
+ * ==========================================
+ * 🧪 PASARELA DE PAGO SIMULADA (mock)
+ * ==========================================
+ * 
+ * Implementa la interfaz de proveedor de pagos.service.js sin salir
+ * del ordenador: en lugar de una pasarela real, se llama a sí misma.
+ * Al crear un intento programa un webhook FIRMADO contra nuestro
+ * propio endpoint (POST /api/pagos/webhook/mock), así el flujo
+ * completo se prueba igual que con una pasarela de verdad.
+ * 
+ * ESCENARIOS (body de POST /api/pedidos/:id/pagar → escenario):
+ * - 'exito': el pago se confirma en un momento
+ * - 'rechazo': la "tarjeta" se rechaza
+ * - 'retrasado': se confirma tras PAGOS_MOCK_RETRASO_MS (10 s por defecto)
+ * 
+ * SOLO PARA DESARROLLO: el cliente elige si el pago sale bien, así que
+ * pagos.service.js no lo deja usar con NODE_ENV=production.
+ * 
+ * VARIABLES DE ENTORNO:
+ * - PAGOS_WEBHOOK_SECRETO: secreto para firmar (obligatorio, como
+ *   JWT_SECRET: un secreto escrito en el código lo conoce cualquiera)
+ * - PAGOS_WEBHOOK_URL: URL base del backend (por defecto localhost:PORT)
+ */
+
+export const nombre = 'mock';
+
+export const escenarios = ['exito', 'rechazo', 'retrasado'];
+
+const RETRASO_CORTO_MS = 1000;
+
+function secreto() {
+  const valor = process.env.PAGOS_WEBHOOK_SECRETO;
+  if (!valor) {
+    throw new Error('Falta la variable PAGOS_WEBHOOK_SECRETO para firmar los webhooks de pago');
+  }
+  return valor;
+}
+
+function urlWebhook() {
+  const base = process.env.PAGOS_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}`;
+  return `${base}/api/pagos/webhook/${nombre}`;
+}
+
+/**
+ * Enviar un webhook firmado, como haría la pasarela real
+ */
+async function enviarWebhook(evento) {
+  const cuerpo = JSON.stringify(evento);
+
+  try {
+    const respuesta = await fetch(urlWebhook(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Firma-Pago': firmar(cuerpo, secreto())
+      },
+      body: cuerpo
+    });
+    console.log(`🧪 Webhook mock ${evento.tipo} (${evento.referencia}) → ${respuesta.status}`);
+  } catch (error) {
+    console.error('❌ No se pudo enviar el webhook del pago simulado:', error.message);
+  }
+}
+
+/**
+ * Crear un intento de pago simulado
+ * @returns {Object} { referencia, datos }
+ */
+export async function crearIntento({ importe, moneda, opciones = {} }) {
+  // Sin secreto no podríamos firmar el webhook: mejor fallar ya
+  secreto();
+
+  const escenario = opciones.escenario || 'exito';
+  const referencia = `mock_${crypto.randomUUID()}`;
+
+  const retraso = escenario === 'retrasado'
+    ? Number(process.env.PAGOS_MOCK_RETRASO_MS) || 10000
+    : RETRASO_CORTO_MS;
+
+  const evento = {
+    id_evento: `evt_${crypto.randomUUID()}`,
+    tipo: escenario === 'rechazo' ? 'pago.fallido' : 'pago.confirmado',
+    referencia,
+    importe,
+    moneda,
+    motivo: escenario === 'rechazo' ? 'Tarjeta rechazada (simulado)' : null
+  };
+
+  // unref(): el temporizador no impide que el proceso termine
+  setTimeout(() => enviarWebhook(evento), retraso).unref();
+
+  return {
+    referencia,
+    datos: { escenario, confirmacion_estimada_ms: retraso }
+  };
+}
+
+/**
+ * Verificar y traducir un webhook del mock
+ */
+export function verificarWebhook(cuerpoCrudo, cabeceras) {
+  verificarFirma(cuerpoCrudo, cabeceras['x-firma-pago'], secreto());
+
+  const evento = JSON.parse(cuerpoCrudo);
+
+  if (!evento.id_evento || !evento.referencia || !['pago.confirmado', 'pago.fallido'].includes(evento.tipo)) {
+    throw crearError(400, 'Evento de pago no reconocido');
+  }
+
+  return {
+    id_evento: evento.id_evento,
+    tipo: evento.tipo,
+    referencia: evento.referencia,
+    importe: evento.importe,
+    moneda: evento.moneda,
+    motivo: evento.motivo || null
+  };
+}
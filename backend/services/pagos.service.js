@@ -0,0 +1,64 @@
+// services/pagos.service.js
+import * as mock from './pagos.mock.js';
+
+/**
+ * ==========================================
+ * 💳 SERVICIO DE PAGOS
+ * ==========================================
+ * 
+ * Punto único para hablar con la pasarela de pago. El resto del
+ * backend no sabe qué pasarela se usa: solo llama a obtenerProveedor().
+ * 
+ * INTERFAZ DE UN PROVEEDOR (ver pagos.mock.js como ejemplo):
+ * - nombre: 'mock', 'stripe'...
+ * - crearIntento({ pagoId, pedidoId, importe, moneda, opciones })
+ *     → { referencia, datos }
+ *     Crea el intento de pago en la pasarela. "referencia" es el ID que
+ *     la pasarela usará después en sus webhooks.
+ * - verificarWebhook(cuerpoCrudo, cabeceras)
+ *     → { id_evento, tipo: 'pago.confirmado' | 'pago.fallido', referencia,
+ *         importe, moneda, motivo }
+ *     Comprueba la firma del webhook (lanza 400 si no es válida)
+ *     y lo traduce a nuestro formato de evento. importe y moneda son
+ *     lo que la pasarela dice haber cobrado.
+ * - escenarios (opcional): valores admitidos en opciones.escenario
+ * 
+ * Para añadir una pasarela real: crear su módulo con esta interfaz
+ * y registrarlo en PROVEEDORES.
+ */
+
+const PROVEEDORES = {
+  [mock.nombre]: mock
+};
+
+/**
+ * Proveedores que solo existen para desarrollo: con NODE_ENV=production
+ * no se pueden usar ni reciben webhooks
+ */
+const SOLO_DESARROLLO = [mock.nombre];
+
+function permitido(nombre) {
+  return process.env.NODE_ENV !== 'production' || !SOLO_DESARROLLO.includes(nombre);
+}
+
+/**
+ * Proveedor configurado (variable PAGOS_PROVEEDOR, por defecto 'mock')
+ */
+export function obtenerProveedor(nombre = process.env.PAGOS_PROVEEDOR || 'mock') {
+  const proveedor = PROVEEDORES[nombre];
+  if (!proveedor) {
+    throw new Error(`Proveedor de pagos desconocido: ${nombre}`);
+  }
+  if (!permitido(nombre)) {
+    throw new Error(`El proveedor de pagos '${nombre}' es solo para desarrollo: configura PAGOS_PROVEEDOR en producción`);
+  }
+  return proveedor;
+}
+
+/**
+ * Buscar un proveedor por el nombre que llega en la URL del webhook
+ * Devuelve undefined si no existe (o no se puede usar en este entorno)
+ */
+export function buscarProveedor(nombre) {
+  return Object.hasOwn(PROVEEDORES, nombre) && permitido(nombre) ? PROVEEDORES[nombre] : undefined;
+}
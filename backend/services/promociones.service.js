@@ -0,0 +1,156 @@
+// services/promociones.service.js
+import { aCentimos } from '../utils/dinero.js';
+
+/**
+ * ==========================================
+ * 🏷️ MOTOR DE PROMOCIONES AUTOMÁTICAS
+ * ==========================================
+ * 
+ * Lógica pura (sin base de datos) que aplica las promociones vigentes
+ * a las líneas de un carrito. No necesitan código: si el carrito cumple
+ * la regla, el descuento se aplica solo. Se usa en:
+ * - La cotización del carrito (POST /api/envios/cotizar)
+ * - La validación de cupones (POST /api/cupones/validar)
+ * - La creación del pedido (pedidosModel.crear)
+ * 
+ * TIPOS DE PROMOCIÓN (columna tipo + parametros JSON):
+ * - 'lleva_x_paga_y': { categoria, lleva: 3, paga: 2 }
+ *     Por cada "lleva" unidades de la categoría, las más baratas
+ *     hasta completar (lleva - paga) son gratis. Ej: 3x2 en Libros.
+ * - 'porcentaje_categoria': { categoria, porcentaje: 10 }
+ *     Ej: 10 % en Electrónica (con valido_desde/hasta para "este finde").
+ * - 'regalo': { producto_id, regalo_id, cantidad: 1 }
+ *     Por cada unidad de producto_id, "cantidad" unidades de regalo_id
+ *     gratis. El regalo tiene que estar en el carrito (no se añade solo).
+ * 
+ * PRECEDENCIA Y ACUMULACIÓN:
+ * 1. Se evalúan por prioridad (número menor primero) y luego por id.
+ * 2. Cada promoción descuenta sobre lo que queda de la línea tras
+ *    las promociones anteriores (nunca deja una línea por debajo de 0).
+ * 3. Una promoción NO acumulable "cierra" las líneas que rebaja:
+ *    ninguna promoción posterior se les aplica.
+ *    Una promoción acumulable deja las líneas abiertas.
+ * 4. Los cupones se aplican DESPUÉS, sobre el importe ya rebajado.
+ */
+
+/**
+ * Descuento en céntimos que una promoción da a cada línea
+ * @param {Object} promocion - Fila de promociones (parametros ya parseado)
+ * @param {Array} lineas - [{ producto_id, categoria, precio, cantidad }]
+ * @param {Array<boolean>} abiertas - Líneas a las que aún se puede aplicar
+ * @returns {Array<number>} Céntimos por línea (sin limitar al restante)
+ */
+function descuentosDePromocion(promocion, lineas, abiertas) {
+  const p = promocion.parametros || {};
+  const descuentos = lineas.map(() => 0);
+
+  switch (promocion.tipo) {
+    case 'porcentaje_categoria':
+      lineas.forEach((linea, i) => {
+        if (abiertas[i] && linea.categoria === p.categoria) {
+          descuentos[i] = Math.round(aCentimos(linea.precio) * linea.cantidad * Number(p.porcentaje) / 100);
+        }
+      });
+      break;
+
+    case 'lleva_x_paga_y': {
+      const lleva = Number(p.lleva);
+      const gratisPorGrupo = lleva - Number(p.paga);
+      if (!(lleva > 0 && gratisPorGrupo > 0)) break;
+
+      // Índices de las líneas de la categoría, de la más barata a la más cara
+      const indices = lineas
+        .map((linea, i) => i)
+        .filter(i => abiertas[i] && lineas[i].categoria === p.categoria)
+        .sort((a, b) => aCentimos(lineas[a].precio) - aCentimos(lineas[b].precio));
+
+      const unidades = indices.reduce((total, i) => total + lineas[i].cantidad, 0);
+      let gratis = Math.floor(unidades / lleva) * gratisPorGrupo;
+
+      for (const i of indices) {
+        if (gratis === 0) break;
+        const unidadesGratis = Math.min(gratis, lineas[i].cantidad);
+        descuentos[i] = unidadesGratis * aCentimos(lineas[i].precio);
+        gratis -= unidadesGratis;
+      }
+      break;
+    }
+
+    case 'regalo': {
+      const requeridas = lineas
+        .filter(linea => linea.producto_id === Number(p.producto_id))
+        .reduce((total, linea) => total + linea.cantidad, 0);
+      let gratis = requeridas * (Number(p.cantidad) || 1);
+
+      lineas.forEach((linea, i) => {
+        if (gratis > 0 && abiertas[i] && linea.producto_id === Number(p.regalo_id)) {
+          const unidadesGratis = Math.min(gratis, linea.cantidad);
+          descuentos[i] = unidadesGratis * aCentimos(linea.precio);
+          gratis -= unidadesGratis;
+        }
+      });
+      break;
+    }
+
+    default:
+      // Tipo desconocido: se ignora en lugar de romper el carrito
+      break;
+  }
+
+  return descuentos;
+}
+
+/**
+ * Aplicar las promociones vigentes a un carrito
+ * ----------------------------------------
+ * @param {Array} promociones - Filas de promociones vigentes
+ * @param {Array} lineas - [{ producto_id, categoria, precio, cantidad, ... }]
+ * @returns {Object}
+ *   - lineas: copia de las líneas con
+ *       descuento (euros, total de promociones de la línea) y
+ *       promociones: [{ promocion_id, nombre, descuento }]
+ *   - descuentoCentimos: total descontado por promociones
+ *   - aplicadas: [{ promocion_id, nombre, descuento }] resumen del carrito
+ */
+export function aplicarPromociones(promociones, lineas) {
+  const ordenadas = [...promociones].sort((a, b) => a.prioridad - b.prioridad || a.id - b.id);
+
+  const restante = lineas.map(l => aCentimos(l.precio) * l.cantidad);
+  const abiertas = lineas.map(() => true);
+  const porLinea = lineas.map(() => []);
+  const aplicadas = [];
+
+  for (const promocion of ordenadas) {
+    const descuentos = descuentosDePromocion(promocion, lineas, abiertas);
+    let totalPromocion = 0;
+
+    descuentos.forEach((centimos, i) => {
+      const aplicado = Math.min(centimos, restante[i]);
+      if (aplicado <= 0) return;
+
+      restante[i] -= aplicado;
+      totalPromocion += aplicado;
+      porLinea[i].push({ promocion_id: promocion.id, nombre: promocion.nombre, descuento: aplicado / 100 });
+
+      if (!promocion.acumulable) {
+        abiertas[i] = false;
+      }
+    });
+
+    if (totalPromocion > 0) {
+      aplicadas.push({ promocion_id: promocion.id, nombre: promocion.nombre, descuento: totalPromocion / 100 });
+    }
+  }
+
+  const lineasConPromociones = lineas.map((linea, i) => ({
+    ...linea,
+    descuento: (aCentimos(linea.precio) * linea.cantidad - restante[i]) / 100,
+    promociones: porLinea[i]
+  }));
+
+  return {
+    lineas: lineasConPromociones,
+    descuentoCentimos: aplicadas.reduce((total, a) => total + aCentimos(a.descuento), 0),
+    aplicadas
+  };
+}
@@ -0,0 +1,127 @@
+// services/sesiones.service.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import * as sesionesModel from '../models/sesiones.model.js';
+import { crearError } from '../utils/errores.js';
+
+/**
+ * ==========================================
+ * 🔑 SESIONES: ACCESS TOKEN + REFRESH TOKEN
+ * ==========================================
+ *
+ * Cada login entrega dos tokens:
+ * - token (access token): JWT de vida corta (JWT_EXPIRES_IN, por defecto
+ *   15 minutos). Va en 'Authorization: Bearer' en cada petición.
+ * - refresh_token: texto aleatorio de vida larga (REFRESH_TOKEN_DIAS, por
+ *   defecto 30 días). Solo sirve para pedir un access token nuevo en
+ *   POST /api/auth/refresh, y cada uso lo cambia por otro (rotación).
+ *
+ * Si roban un access token, caduca enseguida. Si roban un refresh token,
+ * en cuanto lo usen el ladrón o el usuario, el otro presentará uno ya
+ * usado y la sesión entera se revoca (ver models/sesiones.model.js).
+ */
+
+/**
+ * Duración del access token (formato de jsonwebtoken: '15m', '1h'...)
+ */
+function duracionAccessToken() {
+  return process.env.JWT_EXPIRES_IN || '15m';
+}
+
+/**
+ * Días de validez de cada refresh token
+ */
+function diasRefreshToken() {
+  const dias = Number(process.env.REFRESH_TOKEN_DIAS);
+  return Number.isInteger(dias) && dias > 0 ? dias : 30;
+}
+
+/**
+ * Hash con el que se guarda (y se busca) un refresh token
+ * SHA-256 basta: el token es aleatorio y largo, no una contraseña
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generarRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Firmar un access token
+ * - ver: versión de sesión de la cuenta. Al cerrar todas las sesiones
+ *   sube en la base de datos y este token deja de valer.
+ * @param {Object} cliente - { id, rol, version_sesion }
+ */
+function firmarAccessToken(cliente) {
+  return jwt.sign(
+    { cliente_id: cliente.id, rol: cliente.rol, ver: cliente.version_sesion ?? 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: duracionAccessToken() }
+  );
+}
+
+/**
+ * Abrir una sesión nueva (login o registro)
+ * @param {Object} cliente - { id, rol, version_sesion }
+ * @returns {Object} { token, refresh_token }
+ */
+export async function abrirSesion(cliente) {
+  const refreshToken = generarRefreshToken();
+
+  await sesionesModel.crear({
+    clienteId: cliente.id,
+    familia: crypto.randomUUID(),
+    tokenHash: hashToken(refreshToken),
+    dias: diasRefreshToken()
+  });
+
+  return {
+    token: firmarAccessToken(cliente),
+    refresh_token: refreshToken
+  };
+}
+
+/**
+ * Renovar una sesión con su refresh token
+ * @returns {Object} { token, refresh_token, usuario }
+ * @throws 400 si no llega el token; 401 si no se puede renovar
+ */
+export async function renovarSesion(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw crearError(400, 'Falta el refresh token', {
+      errores: { refresh_token: 'Este campo es obligatorio' }
+    });
+  }
+
+  const nuevoToken = generarRefreshToken();
+  const cliente = await sesionesModel.rotar(hashToken(refreshToken), hashToken(nuevoToken), diasRefreshToken());
+
+  return {
+    token: firmarAccessToken(cliente),
+    refresh_token: nuevoToken,
+    usuario: {
+      id: cliente.id,
+      nombre: cliente.nombre,
+      email: cliente.email,
+      rol: cliente.rol
+    }
+  };
+}
+
+/**
+ * Cerrar la sesión de este dispositivo
+ * (sin token no hay nada que cerrar: no es un error)
+ */
+export async function cerrarSesion(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return;
+  await sesionesModel.cerrar(hashToken(refreshToken));
+}
+
+/**
+ * Cerrar las sesiones de todos los dispositivos de un cliente
+ */
+export async function cerrarTodasLasSesiones(clienteId, motivo) {
+  await sesionesModel.cerrarTodas(clienteId, motivo);
+}
@@ -0,0 +1,10 @@
+// utils/dinero.js
+
+/**
+ * Pasar un importe en euros (número o string DECIMAL de MySQL) a céntimos
+ * Los cálculos con dinero se hacen en céntimos enteros para evitar
+ * errores de redondeo con decimales (0.1 + 0.2 !== 0.3).
+ */
+export function aCentimos(importe) {
+  return Math.round(Number(importe || 0) * 100);
+}
@@ -0,0 +1,47 @@
+// utils/errores.js
+
+/**
+ * ==========================================
+ * ⚠️ ERRORES CON CÓDIGO HTTP
+ * ==========================================
+ * 
+ * Los modelos lanzan estos errores cuando una operación no se puede
+ * completar por una regla de negocio (no por un fallo del servidor).
+ * Los controladores los convierten en la respuesta JSON adecuada.
+ * 
+ * EJEMPLO:
+ * throw crearError(409, 'Stock insuficiente', { productos: [...] });
+ */
+
+/**
+ * Crear un Error con status HTTP y datos extra para la respuesta
+ * @param {number} status - Código HTTP (400, 404, 409...)
+ * @param {string} message - Mensaje para el cliente
+ * @param {Object} detalles - Campos extra que se añaden a la respuesta JSON
+ */
+export function crearError(status, message, detalles = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.detalles = detalles;
+  return error;
+}
+
+/**
+ * Responder a un error capturado en un controlador
+ * - Errores creados con crearError → su status y mensaje
+ * - Cualquier otro error → 500 genérico
+ */
+export function responderError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.detalles
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: 'Error interno del servidor'
+  });
+}
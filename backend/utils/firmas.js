@@ -0,0 +1,63 @@
+// utils/firmas.js
+import crypto from 'crypto';
+import { crearError } from './errores.js';
+
+/**
+ * ==========================================
+ * ✍️ FIRMA DE WEBHOOKS (HMAC)
+ * ==========================================
+ * 
+ * Una pasarela de pago avisa de los cobros llamando a nuestro backend.
+ * Cualquiera podría llamar a esa URL, así que cada aviso va firmado
+ * con un secreto que solo conocen la pasarela y el backend.
+ */
+
+/**
+ * Margen de tiempo aceptado para la marca de tiempo de una firma
+ * (evita que alguien reenvíe un webhook antiguo capturado)
+ */
+const TOLERANCIA_FIRMA_SEGUNDOS = 5 * 60;
+
+/**
+ * Firmar el cuerpo de un webhook
+ * ----------------------------------------
+ * Formato de la cabecera (parecido al de Stripe):
+ *   t=<segundos unix>,v1=<HMAC-SHA256 en hex de "t.cuerpo">
+ * 
+ * @param {string|Buffer} cuerpo - Cuerpo exacto que se envía
+ * @param {string} secreto - Secreto compartido con la pasarela
+ * @param {number} [marcaTiempo] - Segundos unix (por defecto ahora)
+ */
+export function firmar(cuerpo, secreto, marcaTiempo = Math.floor(Date.now() / 1000)) {
+  const hmac = crypto.createHmac('sha256', secreto)
+    .update(`${marcaTiempo}.${cuerpo}`)
+    .digest('hex');
+  return `t=${marcaTiempo},v1=${hmac}`;
+}
+
+/**
+ * Comprobar la firma de un webhook
+ * Lanza un error 400 si falta, no coincide o está caducada.
+ */
+export function verificarFirma(cuerpo, cabecera, secreto) {
+  const partes = Object.fromEntries(
+    String(cabecera || '').split(',').map(parte => parte.trim().split('='))
+  );
+  const marcaTiempo = Number(partes.t);
+
+  if (!Number.isInteger(marcaTiempo) || !partes.v1) {
+    throw crearError(400, 'Firma del webhook ausente o mal formada');
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - marcaTiempo) > TOLERANCIA_FIRMA_SEGUNDOS) {
+    throw crearError(400, 'Firma del webhook caducada');
+  }
+
+  const esperada = Buffer.from(firmar(cuerpo, secreto, marcaTiempo).split('v1=')[1], 'hex');
+  const recibida = Buffer.from(partes.v1, 'hex');
+
+  // timingSafeEqual: compara sin revelar por el tiempo cuántos bytes coinciden
+  if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) {
+    throw crearError(400, 'Firma del webhook no válida');
+  }
+}
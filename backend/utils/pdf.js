@@ -0,0 +1,169 @@
+// utils/pdf.js
+
+/**
+ * ==========================================
+ * 📄 GENERADOR DE PDF MÍNIMO
+ * ==========================================
+ *
+ * Un PDF es un archivo de texto con "objetos" numerados (catálogo,
+ * páginas, fuentes, contenido) y al final una tabla (xref) con la
+ * posición en bytes de cada objeto. Para una factura solo necesitamos
+ * texto y líneas, así que lo escribimos a mano sin dependencias.
+ *
+ * - Tamaño A4, coordenadas en puntos (1/72 de pulgada)
+ * - Las coordenadas "y" se cuentan DESDE ARRIBA (en PDF van desde abajo:
+ *   la conversión se hace aquí dentro)
+ * - Fuentes Helvetica y Helvetica-Bold (incluidas en cualquier lector)
+ *   con codificación WinAnsi: admite tildes, ñ y el símbolo €
+ *
+ * EJEMPLO:
+ * const doc = crearDocumentoPdf();
+ * doc.texto('Factura F2026-000001', 50, 60, { tamano: 18, negrita: true });
+ * doc.linea(50, 70, 545, 70);
+ * const buffer = doc.generar();
+ */
+
+export const ANCHO_A4 = 595.28;
+export const ALTO_A4 = 841.89;
+
+/**
+ * Anchos de Helvetica (en milésimas del tamaño de letra) de los
+ * caracteres más comunes. Sirven para alinear importes a la derecha;
+ * el resto de caracteres usa un ancho medio.
+ */
+const ANCHOS = {
+  ' ': 278, ',': 278, '.': 278, ':': 278, '-': 333, '%': 889, '€': 556, '/': 278, '#': 556
+};
+const ANCHO_CIFRA = 556;
+const ANCHO_MEDIO = 520;
+
+/**
+ * Ancho aproximado de un texto en puntos
+ */
+export function anchoTexto(texto, tamano) {
+  let ancho = 0;
+  for (const caracter of String(texto)) {
+    ancho += /[0-9]/.test(caracter) ? ANCHO_CIFRA : (ANCHOS[caracter] ?? ANCHO_MEDIO);
+  }
+  return (ancho * tamano) / 1000;
+}
+
+/**
+ * Pasar un texto a bytes WinAnsi y escaparlo para un string PDF
+ * Los caracteres que la fuente no tiene se sustituyen por '?'
+ */
+function codificarTexto(texto) {
+  const bytes = [];
+
+  for (const caracter of String(texto)) {
+    const codigo = caracter.codePointAt(0);
+
+    if (caracter === '€') {
+      bytes.push(0x80);
+    } else if (codigo < 0x20 || (codigo >= 0x7f && codigo < 0xa0) || codigo > 0xff) {
+      bytes.push(0x3f);
+    } else {
+      // ( ) y \ tienen significado especial dentro de un string PDF
+      if (caracter === '(' || caracter === ')' || caracter === '\\') bytes.push(0x5c);
+      bytes.push(codigo);
+    }
+  }
+
+  return Buffer.from(bytes).toString('latin1');
+}
+
+function numero(valor) {
+  return Number(valor.toFixed(2)).toString();
+}
+
+/**
+ * Crear un documento PDF vacío (con una primera página)
+ * @returns {Object} { texto, linea, nuevaPagina, generar }
+ */
+export function crearDocumentoPdf() {
+  const paginas = [[]];
+
+  function paginaActual() {
+    return paginas[paginas.length - 1];
+  }
+
+  return {
+    /**
+     * Escribir texto
+     * @param {string} texto
+     * @param {number} x - Desde la izquierda
+     * @param {number} y - Desde arriba (línea base del texto)
+     * @param {Object} [opciones]
+     *   @param {number} [opciones.tamano=10]
+     *   @param {boolean} [opciones.negrita=false]
+     *   @param {string} [opciones.alinear='izquierda'] - 'izquierda' | 'derecha'
+     *     (con 'derecha', x es donde TERMINA el texto)
+     */
+    texto(texto, x, y, { tamano = 10, negrita = false, alinear = 'izquierda' } = {}) {
+      const inicio = alinear === 'derecha' ? x - anchoTexto(texto, tamano) : x;
+      paginaActual().push(
+        `BT /${negrita ? 'F2' : 'F1'} ${tamano} Tf ${numero(inicio)} ${numero(ALTO_A4 - y)} Td (${codificarTexto(texto)}) Tj ET`
+      );
+    },
+
+    /**
+     * Dibujar una línea recta
+     */
+    linea(x1, y1, x2, y2, { grosor = 0.5 } = {}) {
+      paginaActual().push(
+        `${grosor} w ${numero(x1)} ${numero(ALTO_A4 - y1)} m ${numero(x2)} ${numero(ALTO_A4 - y2)} l S`
+      );
+    },
+
+    /**
+     * Empezar una página nueva
+     */
+    nuevaPagina() {
+      paginas.push([]);
+    },
+
+    /**
+     * Construir el archivo PDF
+     * @returns {Buffer}
+     */
+    generar() {
+      // Objetos fijos: 1 catálogo, 2 árbol de páginas, 3 y 4 fuentes.
+      // Después, por cada página: su objeto página y su contenido.
+      const objetos = [];
+      const idsPaginas = paginas.map((_, i) => 5 + i * 2);
+
+      objetos[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objetos[2] = `<< /Type /Pages /Kids [${idsPaginas.map(id => `${id} 0 R`).join(' ')}] /Count ${paginas.length} >>`;
+      objetos[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objetos[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+      paginas.forEach((operaciones, i) => {
+        const id = idsPaginas[i];
+        const contenido = operaciones.join('\n');
+
+        objetos[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${ANCHO_A4} ${ALTO_A4}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${id + 1} 0 R >>`;
+        objetos[id + 1] = `<< /Length ${Buffer.byteLength(contenido, 'latin1')} >>\nstream\n${contenido}\nendstream`;
+      });
+
+      // Todo se escribe en latin1: cada carácter es exactamente un byte,
+      // así las posiciones de la tabla xref son correctas
+      let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const posiciones = [];
+
+      for (let id = 1; id < objetos.length; id++) {
+        posiciones[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objetos[id]}\nendobj\n`;
+      }
+
+      const inicioXref = Buffer.byteLength(pdf, 'latin1');
+      pdf += `xref\n0 ${objetos.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objetos.length; id++) {
+        pdf += `${String(posiciones[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      pdf += `trailer\n<< /Size ${objetos.length} /Root 1 0 R >>\nstartxref\n${inicioXref}\n%%EOF\n`;
+
+      return Buffer.from(pdf, 'latin1');
+    }
+  };
+}
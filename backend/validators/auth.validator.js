@@ -0,0 +1,148 @@
+// validators/auth.validator.js
+
+/**
+ * ==========================================
+ * ✅ VALIDACIÓN DE REGISTRO Y LOGIN
+ * ==========================================
+ *
+ * Mismo formato que el resto de validadores:
+ * {
+ *   errores: { campo: 'mensaje' } | null,
+ *   datos: { ...campos ya normalizados }
+ * }
+ *
+ * El email siempre se guarda y se busca normalizado (sin espacios y en
+ * minúsculas): 'Test@Example.com ' y 'test@example.com' son la misma cuenta.
+ */
+
+/**
+ * Política de contraseñas
+ * - PASSWORD_MAX: bcrypt solo usa los primeros 72 bytes; más allá
+ *   se ignorarían sin avisar, así que no los aceptamos
+ */
+export const PASSWORD_MIN = 8;
+export const PASSWORD_MAX = 72;
+
+const NOMBRE_MIN = 2;
+const NOMBRE_MAX = 100;
+const EMAIL_MAX = 100; // Tamaño de la columna clientes.email
+
+/**
+ * Formato básico de email: algo@dominio.ext, sin espacios
+ * (la comprobación definitiva sería enviar un email de verificación)
+ */
+const FORMATO_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalizar un email: recortar espacios y pasar a minúsculas
+ */
+export function normalizarEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Comprobar la política de contraseñas
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+export function comprobarPassword(password, { email = '' } = {}) {
+  if (typeof password !== 'string' || password === '') {
+    return 'La contraseña es obligatoria';
+  }
+  if (password.length < PASSWORD_MIN) {
+    return `Debe tener al menos ${PASSWORD_MIN} caracteres`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX) {
+    return `No puede superar ${PASSWORD_MAX} caracteres`;
+  }
+  if (!/\p{L}/u.test(password) || !/\d/.test(password)) {
+    return 'Debe contener al menos una letra y un número';
+  }
+  if (email && password.toLowerCase() === email) {
+    return 'No puede ser igual al email';
+  }
+  return null;
+}
+
+/**
+ * Validar los datos de registro
+ * --------------------------------
+ * - nombre: obligatorio, entre 2 y 100 caracteres (se recorta)
+ * - email: obligatorio, formato válido, se normaliza
+ * - password: política de contraseñas (NO se recorta: los espacios cuentan)
+ */
+export function validarRegistro(body) {
+  const errores = {};
+  const datos = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errores: { body: 'El cuerpo de la petición debe ser un objeto JSON' }, datos };
+  }
+
+  const nombre = typeof body.nombre === 'string' ? body.nombre.trim() : '';
+  if (!nombre) {
+    errores.nombre = 'El nombre es obligatorio';
+  } else if (nombre.length < NOMBRE_MIN) {
+    errores.nombre = `Debe tener al menos ${NOMBRE_MIN} caracteres`;
+  } else if (nombre.length > NOMBRE_MAX) {
+    errores.nombre = `No puede superar ${NOMBRE_MAX} caracteres`;
+  } else {
+    datos.nombre = nombre;
+  }
+
+  const email = normalizarEmail(body.email);
+  if (!email) {
+    errores.email = 'El email es obligatorio';
+  } else if (email.length > EMAIL_MAX) {
+    errores.email = `No puede superar ${EMAIL_MAX} caracteres`;
+  } else if (!FORMATO_EMAIL.test(email)) {
+    errores.email = 'El formato del email no es válido';
+  } else {
+    datos.email = email;
+  }
+
+  const errorPassword = comprobarPassword(body.password, { email });
+  if (errorPassword) {
+    errores.password = errorPassword;
+  } else {
+    datos.password = body.password;
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos
+  };
+}
+
+/**
+ * Validar los datos de login
+ * --------------------------------
+ * Solo comprueba que lleguen email y password: la política de
+ * contraseñas NO se aplica aquí (las cuentas antiguas pueden tener
+ * contraseñas que hoy no la cumplirían y deben poder entrar).
+ */
+export function validarLogin(body) {
+  const errores = {};
+  const datos = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errores: { body: 'El cuerpo de la petición debe ser un objeto JSON' }, datos };
+  }
+
+  const email = normalizarEmail(body.email);
+  if (!email) {
+    errores.email = 'El email es obligatorio';
+  } else {
+    datos.email = email;
+  }
+
+  if (typeof body.password !== 'string' || body.password === '') {
+    errores.password = 'La contraseña es obligatoria';
+  } else {
+    datos.password = body.password;
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos
+  };
+}
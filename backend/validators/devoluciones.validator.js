@@ -0,0 +1,130 @@
+// validators/devoluciones.validator.js
+import { ESTADOS_DEVOLUCION } from '../services/devoluciones.service.js';
+
+/**
+ * ==========================================
+ * ✅ VALIDACIÓN DE DEVOLUCIONES
+ * ==========================================
+ *
+ * Mismo formato que el resto de validadores:
+ * {
+ *   errores: { campo: 'mensaje' } | null,
+ *   datos: { ...campos ya normalizados }
+ * }
+ *
+ * Aquí solo se comprueba la forma de los datos. Que las líneas sean
+ * del pedido y queden unidades por devolver lo comprueba el modelo,
+ * con el pedido bloqueado.
+ */
+
+/**
+ * Validar una solicitud de devolución
+ * --------------------------------
+ * - lineas: array con al menos una línea { linea_id, cantidad }
+ *   (linea_id es el "id" de cada producto en el detalle del pedido)
+ * - las líneas repetidas se fusionan sumando cantidades
+ * - motivo: opcional, texto de máximo 255 caracteres
+ *
+ * Los errores usan la ruta del campo: "lineas[1].cantidad"
+ */
+export function validarSolicitudDevolucion(body) {
+  const errores = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errores: { body: 'El cuerpo de la petición debe ser un objeto JSON' }, datos: {} };
+  }
+
+  if (!Array.isArray(body.lineas) || body.lineas.length === 0) {
+    return { errores: { lineas: 'Indica al menos una línea del pedido a devolver' }, datos: {} };
+  }
+
+  // Map linea_id → cantidad acumulada
+  const lineas = new Map();
+
+  body.lineas.forEach((linea, i) => {
+    if (!linea || typeof linea !== 'object' || Array.isArray(linea)) {
+      errores[`lineas[${i}]`] = 'Cada línea debe ser un objeto { linea_id, cantidad }';
+      return;
+    }
+
+    const lineaId = Number(linea.linea_id);
+    const cantidad = Number(linea.cantidad);
+    let valida = true;
+
+    if (linea.linea_id === null || linea.linea_id === '' || !Number.isInteger(lineaId) || lineaId <= 0) {
+      errores[`lineas[${i}].linea_id`] = 'Debe ser un número entero positivo';
+      valida = false;
+    }
+
+    if (linea.cantidad === null || linea.cantidad === '' || !Number.isInteger(cantidad) || cantidad < 1) {
+      errores[`lineas[${i}].cantidad`] = 'Debe ser un número entero mayor que 0';
+      valida = false;
+    }
+
+    if (valida) {
+      lineas.set(lineaId, (lineas.get(lineaId) || 0) + cantidad);
+    }
+  });
+
+  const { motivo } = body;
+  if (motivo !== undefined && motivo !== null && (typeof motivo !== 'string' || motivo.length > 255)) {
+    errores.motivo = 'El motivo debe ser un texto de máximo 255 caracteres';
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos: {
+      lineas: [...lineas].map(([linea_id, cantidad]) => ({ linea_id, cantidad })),
+      motivo: typeof motivo === 'string' ? motivo.trim() || null : null
+    }
+  };
+}
+
+/**
+ * Devoluciones por página en el listado del staff
+ */
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 50;
+
+/**
+ * Validar los filtros del listado de devoluciones (staff)
+ * - estado: opcional, uno de ESTADOS_DEVOLUCION
+ * - page, limit: paginación (limit máximo LIMITE_MAXIMO)
+ */
+export function validarFiltrosDevoluciones(query = {}) {
+  const errores = {};
+  const datos = { page: 1, limit: LIMITE_POR_DEFECTO };
+
+  const texto = (valor) => (typeof valor === 'string' ? valor.trim() : '');
+
+  if (texto(query.estado)) {
+    if (!ESTADOS_DEVOLUCION.includes(texto(query.estado))) {
+      errores.estado = `Debe ser uno de: ${ESTADOS_DEVOLUCION.join(', ')}`;
+    } else {
+      datos.estado = texto(query.estado);
+    }
+  }
+
+  if (texto(query.page)) {
+    const page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errores.page = 'Debe ser un número entero mayor o igual que 1';
+    } else {
+      datos.page = page;
+    }
+  }
+
+  if (texto(query.limit)) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_MAXIMO) {
+      errores.limit = `Debe ser un número entero entre 1 y ${LIMITE_MAXIMO}`;
+    } else {
+      datos.limit = limit;
+    }
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos
+  };
+}
@@ -0,0 +1,78 @@
+// validators/direcciones.validator.js
+
+/**
+ * ==========================================
+ * ✅ VALIDACIÓN DE DIRECCIONES DE ENVÍO
+ * ==========================================
+ * 
+ * Mismo formato que el resto de validadores:
+ * {
+ *   errores: { campo: 'mensaje' } | null,
+ *   datos: { ...campos ya normalizados }
+ * }
+ */
+
+/**
+ * Campos de texto de una dirección: [campo, obligatorio, longitud máxima]
+ */
+const CAMPOS = [
+  ['destinatario', true, 100],
+  ['direccion', true, 200],
+  ['ciudad', true, 100],
+  ['codigo_postal', true, 10],
+  ['provincia', false, 100],
+  ['pais', false, 60],
+  ['telefono', false, 20]
+];
+
+/**
+ * Validar una dirección de envío
+ * --------------------------------
+ * - Los campos de texto se recortan (trim)
+ * - codigo_postal: 5 dígitos si el país es España
+ * - predeterminada: booleano opcional
+ */
+export function validarDireccion(body) {
+  const errores = {};
+  const datos = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errores: { body: 'El cuerpo de la petición debe ser un objeto JSON' }, datos };
+  }
+
+  for (const [campo, obligatorio, maximo] of CAMPOS) {
+    const valor = body[campo];
+
+    if (valor === undefined || valor === null || valor === '') {
+      if (obligatorio) errores[campo] = 'Este campo es obligatorio';
+      continue;
+    }
+
+    if (typeof valor !== 'string' || !valor.trim()) {
+      errores[campo] = 'Debe ser un texto no vacío';
+    } else if (valor.trim().length > maximo) {
+      errores[campo] = `No puede superar ${maximo} caracteres`;
+    } else {
+      datos[campo] = valor.trim();
+    }
+  }
+
+  datos.pais = datos.pais || 'España';
+
+  if (datos.codigo_postal && datos.pais === 'España' && !/^\d{5}$/.test(datos.codigo_postal)) {
+    errores.codigo_postal = 'Debe tener 5 dígitos';
+  }
+
+  if (body.predeterminada !== undefined) {
+    if (typeof body.predeterminada !== 'boolean') {
+      errores.predeterminada = 'Debe ser true o false';
+    } else {
+      datos.predeterminada = body.predeterminada;
+    }
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos
+  };
+}
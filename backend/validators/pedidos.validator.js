@@ -0,0 +1,195 @@
+// validators/pedidos.validator.js
+import { ESTADOS } from '../models/pedidos.model.js';
+
+/**
+ * ==========================================
+ * ✅ VALIDACIÓN DE PEDIDOS
+ * ==========================================
+ * 
+ * Comprueba el cuerpo de POST /api/pedidos antes de abrir
+ * ninguna transacción. Mismo formato que el resto de validadores:
+ * {
+ *   errores: { campo: 'mensaje' } | null,
+ *   datos: { ...campos ya normalizados }
+ * }
+ */
+
+/**
+ * Máximo de unidades de un mismo producto por pedido
+ */
+const CANTIDAD_MAXIMA = 1000;
+
+/**
+ * Validar el cuerpo de un pedido
+ * --------------------------------
+ * - productos debe ser un array con al menos una línea
+ * - cada línea: { producto_id: entero > 0, cantidad: entero entre 1 y 1000 }
+ * - las líneas repetidas del mismo producto se fusionan sumando cantidades
+ * - direccion_id: opcional, entero > 0 (si falta se usa la predeterminada)
+ * - metodo_envio: opcional, código del método de envío (ej. 'express')
+ * - codigo_cupon: opcional, se normaliza a mayúsculas (ej. 'VERANO10')
+ * 
+ * Los errores usan la ruta del campo: "productos[1].cantidad"
+ */
+export function validarPedido(body) {
+  const errores = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errores: { body: 'El cuerpo de la petición debe ser un objeto JSON' }, datos: {} };
+  }
+
+  const { productos } = body;
+
+  if (!Array.isArray(productos)) {
+    return { errores: { productos: 'Debe ser un array de productos' }, datos: {} };
+  }
+
+  if (productos.length === 0) {
+    return { errores: { productos: 'El pedido debe contener al menos un producto' }, datos: {} };
+  }
+
+  // Map producto_id → { cantidad acumulada, índice de su primera línea }
+  // (un Map conserva el orden de aparición)
+  const lineas = new Map();
+
+  productos.forEach((linea, i) => {
+    if (!linea || typeof linea !== 'object' || Array.isArray(linea)) {
+      errores[`productos[${i}]`] = 'Cada línea debe ser un objeto { producto_id, cantidad }';
+      return;
+    }
+
+    const productoId = Number(linea.producto_id);
+    const cantidad = Number(linea.cantidad);
+    let valida = true;
+
+    if (linea.producto_id === null || linea.producto_id === '' || !Number.isInteger(productoId) || productoId <= 0) {
+      errores[`productos[${i}].producto_id`] = 'Debe ser un número entero positivo';
+      valida = false;
+    }
+
+    if (linea.cantidad === null || linea.cantidad === '' || !Number.isInteger(cantidad) || cantidad < 1) {
+      errores[`productos[${i}].cantidad`] = 'Debe ser un número entero mayor que 0';
+      valida = false;
+    }
+
+    if (valida) {
+      const existente = lineas.get(productoId);
+      if (existente) {
+        existente.cantidad += cantidad;
+      } else {
+        lineas.set(productoId, { cantidad, indice: i });
+      }
+    }
+  });
+
+  for (const { cantidad, indice } of lineas.values()) {
+    if (cantidad > CANTIDAD_MAXIMA) {
+      errores[`productos[${indice}].cantidad`] = `No se pueden pedir más de ${CANTIDAD_MAXIMA} unidades de un producto`;
+    }
+  }
+
+  let direccionId;
+  if (body.direccion_id !== undefined && body.direccion_id !== null) {
+    direccionId = Number(body.direccion_id);
+    if (!Number.isInteger(direccionId) || direccionId <= 0) {
+      errores.direccion_id = 'Debe ser un número entero positivo';
+    }
+  }
+
+  let metodoEnvio;
+  if (body.metodo_envio !== undefined && body.metodo_envio !== null) {
+    metodoEnvio = typeof body.metodo_envio === 'string' ? body.metodo_envio.trim() : '';
+    if (!/^[a-z0-9_-]{1,30}$/.test(metodoEnvio)) {
+      errores.metodo_envio = 'Debe ser el código de un método de envío';
+    }
+  }
+
+  let codigoCupon;
+  if (body.codigo_cupon !== undefined && body.codigo_cupon !== null && body.codigo_cupon !== '') {
+    codigoCupon = typeof body.codigo_cupon === 'string' ? body.codigo_cupon.trim().toUpperCase() : '';
+    if (!/^[A-Z0-9_-]{1,30}$/.test(codigoCupon)) {
+      errores.codigo_cupon = 'El código del cupón solo admite letras, números, "-" y "_" (máximo 30)';
+    }
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos: {
+      productos: [...lineas].map(([producto_id, { cantidad }]) => ({ producto_id, cantidad })),
+      direccion_id: direccionId,
+      metodo_envio: metodoEnvio,
+      codigo_cupon: codigoCupon
+    }
+  };
+}
+
+const LIMITE_POR_DEFECTO = 10;
+const LIMITE_MAXIMO = 50;
+
+/**
+ * Comprobar que un texto es una fecha real con formato YYYY-MM-DD
+ */
+function esFechaValida(texto) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(texto)) return false;
+  const fecha = new Date(`${texto}T00:00:00Z`);
+  return !Number.isNaN(fecha.getTime()) && fecha.toISOString().startsWith(texto);
+}
+
+/**
+ * Validar los filtros del historial de pedidos (req.query)
+ * ----------------------------------------------------------
+ * - estado: uno de los estados del pedido
+ * - desde / hasta: fechas YYYY-MM-DD (ambas inclusive)
+ * - page / limit: paginación (por defecto 1 y 10, límite máximo 50)
+ */
+export function validarFiltrosPedidos(query = {}) {
+  const errores = {};
+  const datos = { page: 1, limit: LIMITE_POR_DEFECTO };
+
+  const texto = (valor) => (typeof valor === 'string' ? valor.trim() : '');
+
+  if (texto(query.estado)) {
+    if (!ESTADOS.includes(texto(query.estado))) {
+      errores.estado = `Debe ser uno de: ${ESTADOS.join(', ')}`;
+    } else {
+      datos.estado = texto(query.estado);
+    }
+  }
+
+  for (const campo of ['desde', 'hasta']) {
+    if (texto(query[campo])) {
+      if (!esFechaValida(texto(query[campo]))) {
+        errores[campo] = 'Debe ser una fecha con formato YYYY-MM-DD';
+      } else {
+        datos[campo] = texto(query[campo]);
+      }
+    }
+  }
+
+  if (datos.desde && datos.hasta && datos.desde > datos.hasta) {
+    errores.hasta = 'Debe ser igual o posterior a desde';
+  }
+
+  if (texto(query.page)) {
+    const page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errores.page = 'Debe ser un número entero mayor o igual que 1';
+    } else {
+      datos.page = page;
+    }
+  }
+
+  if (texto(query.limit)) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_MAXIMO) {
+      errores.limit = `Debe ser un número entero entre 1 y ${LIMITE_MAXIMO}`;
+    } else {
+      datos.limit = limit;
+    }
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos
+  };
+}
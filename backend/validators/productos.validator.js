@@ -0,0 +1,236 @@
+// validators/productos.validator.js
+
+/**
+ * ==========================================
+ * ✅ VALIDACIÓN DE PRODUCTOS
+ * ==========================================
+ * 
+ * Comprueba los datos que llegan en req.body antes de
+ * tocar la base de datos. Cada función devuelve:
+ * {
+ *   errores: { campo: 'mensaje' } | null,
+ *   datos: { ...campos ya normalizados }
+ * }
+ */
+
+/**
+ * Validar datos de un producto
+ * ------------------------------
+ * - parcial = false → todos los campos obligatorios deben venir (POST / PUT)
+ * - parcial = true  → solo se validan los campos presentes (PATCH)
+ */
+export function validarProducto(body, { parcial = false } = {}) {
+  const errores = {};
+  const datos = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errores: { body: 'El cuerpo de la petición debe ser un objeto JSON' }, datos };
+  }
+
+  const presente = (campo) => body[campo] !== undefined;
+
+  // nombre: obligatorio, texto no vacío, máximo 100 caracteres
+  if (presente('nombre')) {
+    const nombre = typeof body.nombre === 'string' ? body.nombre.trim() : '';
+    if (!nombre) {
+      errores.nombre = 'El nombre es obligatorio';
+    } else if (nombre.length > 100) {
+      errores.nombre = 'El nombre no puede superar 100 caracteres';
+    } else {
+      datos.nombre = nombre;
+    }
+  } else if (!parcial) {
+    errores.nombre = 'El nombre es obligatorio';
+  }
+
+  // descripcion: opcional, texto
+  if (presente('descripcion')) {
+    if (body.descripcion !== null && typeof body.descripcion !== 'string') {
+      errores.descripcion = 'La descripción debe ser texto';
+    } else {
+      datos.descripcion = body.descripcion;
+    }
+  }
+
+  // precio: obligatorio, número mayor que 0
+  if (presente('precio')) {
+    const precio = Number(body.precio);
+    if (body.precio === null || body.precio === '' || !Number.isFinite(precio) || precio <= 0) {
+      errores.precio = 'El precio debe ser un número mayor que 0';
+    } else {
+      datos.precio = Math.round(precio * 100) / 100;
+    }
+  } else if (!parcial) {
+    errores.precio = 'El precio es obligatorio';
+  }
+
+  // stock: obligatorio, entero mayor o igual que 0
+  if (presente('stock')) {
+    const stock = Number(body.stock);
+    if (body.stock === null || body.stock === '' || !Number.isInteger(stock) || stock < 0) {
+      errores.stock = 'El stock debe ser un número entero mayor o igual que 0';
+    } else {
+      datos.stock = stock;
+    }
+  } else if (!parcial) {
+    errores.stock = 'El stock es obligatorio';
+  }
+
+  // peso_kg: opcional, número mayor o igual que 0 (para calcular el envío)
+  if (presente('peso_kg')) {
+    const peso = Number(body.peso_kg);
+    if (body.peso_kg === null || body.peso_kg === '' || !Number.isFinite(peso) || peso < 0) {
+      errores.peso_kg = 'El peso debe ser un número mayor o igual que 0';
+    } else {
+      datos.peso_kg = Math.round(peso * 1000) / 1000;
+    }
+  }
+
+  // categoria: obligatoria, texto no vacío, máximo 50 caracteres
+  if (presente('categoria')) {
+    const categoria = typeof body.categoria === 'string' ? body.categoria.trim() : '';
+    if (!categoria) {
+      errores.categoria = 'La categoría es obligatoria';
+    } else if (categoria.length > 50) {
+      errores.categoria = 'La categoría no puede superar 50 caracteres';
+    } else {
+      datos.categoria = categoria;
+    }
+  } else if (!parcial) {
+    errores.categoria = 'La categoría es obligatoria';
+  }
+
+  // imagen_url: opcional, texto de máximo 500 caracteres
+  if (presente('imagen_url')) {
+    if (body.imagen_url !== null && typeof body.imagen_url !== 'string') {
+      errores.imagen_url = 'La URL de la imagen debe ser texto';
+    } else if (body.imagen_url && body.imagen_url.length > 500) {
+      errores.imagen_url = 'La URL de la imagen no puede superar 500 caracteres';
+    } else {
+      datos.imagen_url = body.imagen_url;
+    }
+  }
+
+  // activo: opcional, booleano (permite reactivar un producto)
+  if (presente('activo')) {
+    if (typeof body.activo !== 'boolean') {
+      errores.activo = 'El campo activo debe ser true o false';
+    } else {
+      datos.activo = body.activo;
+    }
+  }
+
+  if (parcial && Object.keys(errores).length === 0 && Object.keys(datos).length === 0) {
+    errores.body = 'No se ha enviado ningún campo para actualizar';
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos
+  };
+}
+
+/**
+ * Columnas por las que se permite ordenar el catálogo
+ */
+const ORDENES_PERMITIDOS = ['precio', 'nombre', 'creado_en'];
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+
+/**
+ * Validar los parámetros de búsqueda del catálogo (req.query)
+ * --------------------------------------------------------------
+ * - q: texto a buscar en nombre y descripción
+ * - categoria: categoría exacta
+ * - precio_min / precio_max: rango de precios
+ * - en_stock: true → solo con stock, false → solo agotados
+ * - sort: precio | nombre | creado_en (por defecto nombre)
+ * - orden: asc | desc (por defecto asc)
+ * - page / limit: paginación (por defecto 1 y 20, límite máximo 100)
+ */
+export function validarFiltrosCatalogo(query = {}) {
+  const errores = {};
+  const datos = {
+    sort: 'nombre',
+    orden: 'asc',
+    page: 1,
+    limit: LIMITE_POR_DEFECTO
+  };
+
+  const texto = (valor) => (typeof valor === 'string' ? valor.trim() : '');
+
+  if (texto(query.q)) {
+    datos.q = texto(query.q);
+  }
+
+  if (texto(query.categoria)) {
+    datos.categoria = texto(query.categoria);
+  }
+
+  for (const campo of ['precio_min', 'precio_max']) {
+    if (texto(query[campo])) {
+      const valor = Number(query[campo]);
+      if (!Number.isFinite(valor) || valor < 0) {
+        errores[campo] = 'Debe ser un número mayor o igual que 0';
+      } else {
+        datos[campo] = valor;
+      }
+    }
+  }
+
+  if (datos.precio_min !== undefined && datos.precio_max !== undefined && datos.precio_min > datos.precio_max) {
+    errores.precio_max = 'Debe ser mayor o igual que precio_min';
+  }
+
+  if (texto(query.en_stock)) {
+    const valor = texto(query.en_stock).toLowerCase();
+    if (['true', '1'].includes(valor)) {
+      datos.en_stock = true;
+    } else if (['false', '0'].includes(valor)) {
+      datos.en_stock = false;
+    } else {
+      errores.en_stock = 'Debe ser true o false';
+    }
+  }
+
+  if (texto(query.sort)) {
+    if (!ORDENES_PERMITIDOS.includes(texto(query.sort))) {
+      errores.sort = `Debe ser uno de: ${ORDENES_PERMITIDOS.join(', ')}`;
+    } else {
+      datos.sort = texto(query.sort);
+    }
+  }
+
+  if (texto(query.orden)) {
+    const orden = texto(query.orden).toLowerCase();
+    if (!['asc', 'desc'].includes(orden)) {
+      errores.orden = 'Debe ser asc o desc';
+    } else {
+      datos.orden = orden;
+    }
+  }
+
+  if (texto(query.page)) {
+    const page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errores.page = 'Debe ser un número entero mayor o igual que 1';
+    } else {
+      datos.page = page;
+    }
+  }
+
+  if (texto(query.limit)) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_MAXIMO) {
+      errores.limit = `Debe ser un número entero entre 1 y ${LIMITE_MAXIMO}`;
+    } else {
+      datos.limit = limit;
+    }
+  }
+
+  return {
+    errores: Object.keys(errores).length > 0 ? errores : null,
+    datos
+  };
+}
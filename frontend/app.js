@@ -78,19 +78,73 @@ let estado = {
   // Formato: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
   // Origen: Respuesta del endpoint POST /api/auth/login
   // Uso: Se envía en header Authorization: Bearer <token>
+  // Caduca pronto (15 minutos): fetchAutenticado() lo renueva solo
   token: null,
   
+  // 🔄 REFRESH TOKEN
+  // null = sin autenticar | string = token para renovar la sesión
+  // Origen: login, registro y POST /api/auth/refresh (cada renovación trae uno nuevo)
+  // Uso: Solo se envía a /api/auth/refresh y /api/auth/logout
+  refreshToken: null,
+  
   // 📦 CATÁLOGO DE PRODUCTOS DISPONIBLES
   // Array vacío = aún no cargado | Array con objetos = productos del servidor
-  // Estructura: [{ id: 1, nombre: "Producto", precio: 29.99, stock: 10 }]
+  // Estructura: [{ id: 1, nombre: "Producto", precio: 29.99, stock: 10, tipo_iva: 21 }]
+  // Los precios incluyen IVA (precio_incluye_iva: true)
   // Origen: Respuesta del endpoint GET /api/productos
   productos: [],
   
+  // 🏷️ CATEGORÍAS DEL CATÁLOGO Y FILTRO ACTIVO
+  // Estructura: [{ categoria: "Libros", total_productos: 2 }]
+  // Origen: Respuesta del endpoint GET /api/productos/categorias
+  // categoriaActiva: null = todas las categorías
+  categorias: [],
+  categoriaActiva: null,
+  
+  // 📄 PAGINACIÓN DEL CATÁLOGO (el backend devuelve 20 productos por página)
+  // null = aún no cargado | { pagina: 1, limite: 20, total: 45, total_paginas: 3 }
+  // Origen: campo 'paginacion' de GET /api/productos
+  paginacionProductos: null,
+  
   // 🛒 CARRITO DE COMPRAS DEL USUARIO
   // Array de productos seleccionados con cantidades
-  // Estructura: [{ id: 1, nombre: "Producto", precio: 29.99, cantidad: 2, stock: 10 }]
+  // Estructura: [{ id: 1, nombre: "Producto", precio: 29.99, cantidad: 2, stock: 10, tipo_iva: 21 }]
   // Flujo: Frontend → Backend cuando se crea pedido (POST /api/pedidos)
-  carrito: []
+  carrito: [],
+  
+  // 🔁 CLAVE DE IDEMPOTENCIA DEL INTENTO DE COMPRA ACTUAL
+  // null = aún no se ha intentado comprar este carrito
+  // Se envía en la cabecera Idempotency-Key de POST /api/pedidos.
+  // Si el mismo carrito se envía dos veces (doble clic, reintento),
+  // el backend reconoce la clave y NO crea un segundo pedido.
+  // Se borra cada vez que el carrito cambia.
+  claveCheckout: null,
+  
+  // 📄 PAGINACIÓN DE "MIS PEDIDOS" (el backend devuelve 10 pedidos por página, los más recientes primero)
+  // null = aún no cargado | { pagina: 1, limite: 10, total: 23, total_paginas: 3 }
+  // Origen: campo 'paginacion' de GET /api/pedidos/mis-pedidos
+  paginacionPedidos: null,
+  
+  // 📍 LIBRETA DE DIRECCIONES DEL USUARIO
+  // Estructura: [{ id: 1, destinatario: "Juan", direccion: "...", ciudad: "...", predeterminada: 1 }]
+  // Origen: Respuesta del endpoint GET /api/direcciones
+  // direccionSeleccionada: ID elegido en el selector del carrito
+  direcciones: [],
+  direccionSeleccionada: null,
+  
+  // 🚚 OPCIONES DE ENVÍO DEL CARRITO ACTUAL
+  // Estructura: [{ metodo_envio: "estandar", nombre: "...", coste_envio: 4.95, requiere_direccion: true,
+  //               descuento_promociones: 12.50, promociones: [{ nombre: "3x2 en Libros", descuento: 12.50 }] }]
+  // Origen: Respuesta del endpoint POST /api/envios/cotizar
+  // Se recalculan cada vez que cambia el carrito
+  cotizacionesEnvio: [],
+  metodoEnvioSeleccionado: 'estandar',
+  
+  // 🎟️ CUPÓN APLICADO AL CARRITO
+  // null = sin cupón | { codigo_cupon: "VERANO10", descuento: 5.00, ... }
+  // Origen: Respuesta del endpoint POST /api/cupones/validar
+  // Se vuelve a validar cada vez que cambia el carrito
+  cupon: null
 };
 
 // ==============================================
@@ -124,6 +178,14 @@ let estado = {
  * ENDPOINTS QUE REQUIEREN AUTENTICACIÓN EN NUESTRO BACKEND:
  * - POST /api/pedidos (crear pedido)
  * - GET /api/pedidos/mis-pedidos (obtener mis pedidos)
+ * - GET /api/pedidos/:id (detalle y seguimiento de un pedido)
+ * - GET/POST /api/direcciones (libreta de direcciones)
+ * - POST /api/pedidos/:id/cancelar (cancelar uno de mis pedidos)
+ * - POST /api/pedidos/:id/pagar (pagar uno de mis pedidos pendientes)
+ * - GET /api/pedidos/:id/factura (factura en PDF de un pedido pagado)
+ * - POST /api/pedidos/:id/devoluciones (devolver productos de un pedido entregado)
+ * - POST /api/cupones/validar (comprobar un cupón de descuento)
+ * - POST /api/auth/logout-todos (cerrar sesión en todos los dispositivos)
  * 
  * @returns {Object} Objeto con cabeceras HTTP listas para fetch()
  * 
@@ -150,6 +212,111 @@ function getAuthHeaders() {
   return headers;
 }
 
+/**
+ * 🔄 FUNCIÓN: fetchAutenticado(url, opciones)
+ * 
+ * PROPÓSITO EDUCATIVO:
+ * fetch() para endpoints protegidos. Añade las cabeceras de getAuthHeaders()
+ * y, si el backend responde 401 porque el access token ha caducado, renueva
+ * la sesión con el refresh token y repite la petición UNA vez.
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: POST /api/auth/refresh → { token, refresh_token }
+ * El refresh token se cambia en cada renovación (rotación): hay que guardar
+ * siempre el último. Si se presentara uno viejo, el backend lo toma como un
+ * robo y cierra la sesión.
+ * 
+ * Si la sesión no se puede renovar (caducada, cerrada en todos los
+ * dispositivos, cuenta desactivada...) se limpia y se pide login.
+ * 
+ * @param {string} url - URL completa del endpoint
+ * @param {Object} opciones - Las mismas de fetch(); 'headers' se añaden a las de autenticación
+ * @returns {Promise<Response>}
+ */
+async function fetchAutenticado(url, opciones = {}) {
+  const hacerPeticion = () => fetch(url, {
+    ...opciones,
+    headers: { ...getAuthHeaders(), ...opciones.headers }
+  });
+  
+  const tokenEnviado = estado.token;
+  const respuesta = await hacerPeticion();
+  
+  if (respuesta.status !== 401 || !localStorage.getItem('refreshToken')) {
+    return respuesta;
+  }
+  
+  // Otra pestaña ya renovó la sesión mientras esperábamos: basta con su token
+  const tokenGuardado = localStorage.getItem('token');
+  if (tokenGuardado && tokenGuardado !== tokenEnviado) {
+    estado.token = tokenGuardado;
+    estado.refreshToken = localStorage.getItem('refreshToken');
+    return hacerPeticion();
+  }
+  
+  const renovada = await renovarSesion();
+  
+  if (!renovada) {
+    limpiarSesion();
+    alert('🔒 Tu sesión ha caducado. Inicia sesión de nuevo.');
+    return respuesta;
+  }
+  
+  // Segundo intento, ya con el access token nuevo
+  return hacerPeticion();
+}
+
+/**
+ * Renovación en curso (compartida)
+ * Si varias peticiones reciben 401 a la vez, todas esperan a la MISMA
+ * renovación: enviar dos veces el mismo refresh token cerraría la sesión.
+ */
+let renovacionEnCurso = null;
+
+/**
+ * Renovar la sesión con el refresh token
+ * El token se lee de localStorage justo antes de enviarlo, no de estado:
+ * si otra pestaña ya lo rotó, el de memoria está usado y enviarlo
+ * parecería un robo (el backend revocaría la sesión).
+ * @returns {Promise<boolean>} true si hay tokens nuevos
+ */
+function renovarSesion() {
+  if (!renovacionEnCurso) {
+    renovacionEnCurso = (async () => {
+      try {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+          return false;
+        }
+        
+        const respuesta = await fetch(`${URL_API}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken })
+        });
+        
+        const datos = await respuesta.json();
+        
+        if (!respuesta.ok) {
+          console.warn('🔒 No se pudo renovar la sesión:', datos.message);
+          return false;
+        }
+        
+        guardarSesion(datos.token, datos.usuario, datos.refresh_token);
+        console.log('🔄 Sesión renovada');
+        return true;
+      } catch (error) {
+        console.error('❌ Error al renovar la sesión:', error);
+        return false;
+      } finally {
+        renovacionEnCurso = null;
+      }
+    })();
+  }
+  
+  return renovacionEnCurso;
+}
+
 /**
  * 🔍 FUNCIÓN: estaLogueado()
  * 
@@ -201,7 +368,7 @@ function estaLogueado() {
  * 5. CAPA DE INTERFAZ: Actualizar vista al usuario
  * 
  * RELACIÓN CON BACKEND:
- * - Los productos vienen del endpoint GET /api/productos
+ * - Los datos del producto se piden al endpoint GET /api/productos/:id
  * - La validación de stock se hace en frontend Y backend (doble validación)
  * - Cuando se crea el pedido, el backend vuelve a verificar stock
  * - El carrito se envía completo al endpoint POST /api/pedidos
@@ -218,7 +385,7 @@ function estaLogueado() {
  * @param {number} productoId - ID del producto a agregar
  * @param {number} cantidad - Cantidad a agregar (por defecto 1)
  */
-function agregarAlCarrito(productoId, cantidad = 1) {
+async function agregarAlCarrito(productoId, cantidad = 1) {
   // ============================================
   // 🔒 CAPA 1: VERIFICACIÓN DE AUTENTICACIÓN
   // ============================================
@@ -246,18 +413,16 @@ function agregarAlCarrito(productoId, cantidad = 1) {
   // ============================================
   
   /**
-   * EXPLICACIÓN: Búsqueda del producto en el catálogo local
+   * EXPLICACIÓN: Consulta del producto al backend
    * 
-   * ¿Por qué buscar en estado.productos y no hacer fetch?
-   * - Los productos ya están cargados en memoria (más rápido)
-   * - Evitamos peticiones innecesarias al servidor
-   * - Garantizamos que trabajamos con datos consistentes
+   * ¿Por qué hacer fetch y no buscar solo en estado.productos?
+   * - La lista en memoria puede estar desactualizada (stock, precio)
+   * - El producto puede haberse desactivado desde que cargamos el catálogo
+   * - El backend responde 404 si el producto ya no está disponible
    * 
-   * MÉTODO find():
-   * Devuelve el PRIMER elemento que cumple la condición
-   * undefined si no encuentra nada
+   * Con la respuesta refrescamos también el catálogo local.
    */
-  const producto = estado.productos.find(p => p.id === productoId);
+  const producto = await obtenerProductoDetalle(productoId);
   if (!producto) {
     alert('❌ Producto no encontrado');
     return;
@@ -319,7 +484,9 @@ function agregarAlCarrito(productoId, cantidad = 1) {
     }
     
     // Actualizar cantidad directamente (modifica el objeto existente)
+    // y refrescar el stock con el dato recién recibido del servidor
     productoEnCarrito.cantidad = nuevaCantidad;
+    productoEnCarrito.stock = producto.stock;
     console.log(`📦 Cantidad actualizada: ${producto.nombre} x${nuevaCantidad}`);
     
   } else {
@@ -342,7 +509,8 @@ function agregarAlCarrito(productoId, cantidad = 1) {
       nombre: producto.nombre,
       precio: producto.precio,
       cantidad: cantidad,
-      stock: producto.stock
+      stock: producto.stock,
+      tipo_iva: producto.tipo_iva
     });
     console.log(`➕ Producto agregado al carrito: ${producto.nombre} x${cantidad}`);
   }
@@ -360,10 +528,50 @@ function agregarAlCarrito(productoId, cantidad = 1) {
    * mostrarCarrito(): Regenera el HTML del carrito
    * actualizarBotonCarrito(): Actualiza contador en navegación
    */
+  estado.claveCheckout = null; // Carrito distinto → nuevo intento de compra
   mostrarCarrito();
   actualizarBotonCarrito();
 }
 
+/**
+ * 🔍 FUNCIÓN: obtenerProductoDetalle(productoId)
+ * 
+ * EXPLICACIÓN DIDÁCTICA:
+ * Pide al backend los datos actuales de un producto y actualiza
+ * la copia que tenemos en estado.productos.
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: GET /api/productos/:id (público)
+ * 📁 CONTROLADOR: productos.controller.js → getProductoPorId()
+ * 📊 MODELO: productos.model.js → obtenerPorId()
+ * 
+ * @param {number} productoId - ID del producto a consultar
+ * @returns {Object|null} Producto actualizado o null si no existe o no está activo
+ */
+async function obtenerProductoDetalle(productoId) {
+  try {
+    const respuesta = await fetch(`${URL_API}/productos/${productoId}`);
+    const datos = await respuesta.json();
+    
+    if (!respuesta.ok) {
+      console.error('❌ Error al obtener producto:', datos.message);
+      return null;
+    }
+    
+    // Sustituir la copia local por los datos frescos del servidor
+    const producto = datos.data;
+    const index = estado.productos.findIndex(p => p.id === producto.id);
+    if (index !== -1) {
+      estado.productos[index] = producto;
+    }
+    
+    return producto;
+  } catch (error) {
+    console.error('❌ Error de conexión al obtener producto:', error);
+    return null;
+  }
+}
+
 /**
  * 🗑️ FUNCIÓN: quitarDelCarrito(productoId)
  * 
@@ -394,6 +602,7 @@ function quitarDelCarrito(productoId) {
     
     // splice(posición, cantidad) elimina elementos del array
     estado.carrito.splice(index, 1);
+    estado.claveCheckout = null; // Carrito distinto → nuevo intento de compra
     
     // Actualizar interfaz para mostrar cambios
     mostrarCarrito();
@@ -437,16 +646,17 @@ function cambiarCantidad(productoId, nuevaCantidad) {
     
     // Actualizar cantidad y refrescar interfaz
     productoEnCarrito.cantidad = nuevaCantidad;
+    estado.claveCheckout = null; // Carrito distinto → nuevo intento de compra
     mostrarCarrito();
     actualizarBotonCarrito();
   }
 }
 
 /**
- * 💰 FUNCIÓN: calcularTotal()
+ * 💰 FUNCIÓN: calcularSubtotal()
  * 
  * EXPLICACIÓN DIDÁCTICA:
- * Función pura que calcula el precio total del carrito.
+ * Función pura que calcula el precio de los productos del carrito.
  * Excelente ejemplo del método reduce() para sumar arrays.
  * 
  * MÉTODO reduce() EXPLICADO:
@@ -455,16 +665,171 @@ function cambiarCantidad(productoId, nuevaCantidad) {
  * - Mantiene resultado acumulado entre iteraciones
  * - Devuelve valor final acumulado
  * 
- * FÓRMULA: total = Σ(precio × cantidad) para cada producto
+ * FÓRMULA: subtotal = Σ(precio × cantidad) para cada producto
  * 
- * @returns {number} Precio total del carrito
+ * @returns {number} Precio de los productos del carrito
  */
-function calcularTotal() {
+function calcularSubtotal() {
   return estado.carrito.reduce((total, item) => {
     return total + (item.precio * item.cantidad);
   }, 0); // 0 es el valor inicial del acumulador
 }
 
+/**
+ * 🧾 FUNCIÓN: calcularIvaIncluido()
+ * 
+ * Los precios del catálogo YA incluyen el IVA. Esta función no lo suma:
+ * calcula qué parte del precio de los productos es impuesto.
+ * 
+ * FÓRMULA POR LÍNEA (en céntimos, igual que el backend):
+ *   base = bruto / (1 + tipo / 100)   → redondeado
+ *   iva  = bruto - base
+ * 
+ * @returns {number} IVA contenido en los productos del carrito
+ */
+function calcularIvaIncluido() {
+  const centimos = estado.carrito.reduce((total, item) => {
+    const bruto = Math.round(item.precio * 100) * item.cantidad;
+    const base = Math.round(bruto / (1 + (item.tipo_iva || 0) / 100));
+    return total + (bruto - base);
+  }, 0);
+  return centimos / 100;
+}
+
+/**
+ * 🚚 FUNCIÓN: obtenerEnvioSeleccionado()
+ * 
+ * Devuelve la cotización del método de envío elegido
+ * (o undefined si aún no ha llegado la respuesta del backend).
+ */
+function obtenerEnvioSeleccionado() {
+  return estado.cotizacionesEnvio.find(c => c.metodo_envio === estado.metodoEnvioSeleccionado);
+}
+
+/**
+ * 💰 FUNCIÓN: calcularTotal()
+ * 
+ * FÓRMULA: total = subtotal - promociones - descuento del cupón + coste de envío
+ * 
+ * Las promociones automáticas (3x2, regalos...) también las calcula
+ * el backend y llegan en la misma cotización que el envío.
+ * 
+ * El coste de envío NO se calcula aquí: lo cotiza el backend
+ * (POST /api/envios/cotizar) con los mismos precios, pesos y reglas
+ * que usará al crear el pedido. Así el total mostrado coincide
+ * con el que se cobra.
+ * 
+ * @returns {number} Precio total del carrito con envío
+ */
+function calcularTotal() {
+  const envio = obtenerEnvioSeleccionado();
+  const descuento = estado.cupon ? estado.cupon.descuento : 0;
+  if (!envio) {
+    return calcularSubtotal() - descuento;
+  }
+  return calcularSubtotal() - envio.descuento_promociones - descuento + envio.coste_envio;
+}
+
+/**
+ * 🎟️ FUNCIÓN: aplicarCupon(codigo)
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: POST /api/cupones/validar (requiere autenticación)
+ * 📁 CONTROLADOR: cupones.controller.js → validarCupon()
+ * ⚙️ SERVICIO: cupones.service.js → comprobarCupon(), calcularDescuento()
+ * 
+ * Validar NO gasta el cupón: solo calcula el descuento para el carrito
+ * actual. El backend lo vuelve a comprobar (y lo gasta) al crear el pedido.
+ * 
+ * @param {string} codigo - Código escrito por el usuario
+ */
+async function aplicarCupon(codigo) {
+  const mensaje = document.getElementById('cuponMensaje');
+  
+  try {
+    const respuesta = await fetchAutenticado(`${URL_API}/cupones/validar`, {
+      method: 'POST',
+      body: JSON.stringify({
+        codigo_cupon: codigo,
+        productos: estado.carrito.map(item => ({ producto_id: item.id, cantidad: item.cantidad }))
+      })
+    });
+    const datos = await respuesta.json();
+    
+    if (respuesta.ok) {
+      estado.cupon = datos.data;
+      mensaje.textContent = `✅ ${datos.message}: -€${datos.data.descuento.toFixed(2)}`;
+    } else {
+      // El cupón deja de valer (caducado, mínimo no alcanzado...)
+      estado.cupon = null;
+      mensaje.textContent = `❌ ${datos.errores?.codigo_cupon || datos.message}`;
+    }
+  } catch (error) {
+    console.error('❌ Error de conexión al validar cupón:', error);
+  }
+  
+  estado.claveCheckout = null; // Otro descuento → nuevo intento de compra
+  mostrarEnvio();
+  cotizarEnvio(); // El envío gratis depende del subtotal ya descontado
+}
+
+/**
+ * 🎟️ FUNCIÓN: quitarCupon()
+ */
+function quitarCupon() {
+  estado.cupon = null;
+  estado.claveCheckout = null;
+  document.getElementById('cuponMensaje').textContent = '';
+  document.getElementById('cuponInput').value = '';
+  mostrarEnvio();
+  cotizarEnvio();
+}
+
+/**
+ * 🚚 FUNCIÓN: cotizarEnvio()
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: POST /api/envios/cotizar (público)
+ * 📁 CONTROLADOR: envios.controller.js → cotizarEnvio()
+ * ⚙️ SERVICIO: envios.service.js → cotizar()
+ * 
+ * Envía las líneas del carrito (sin precios) y recibe el coste
+ * de cada método de envío. Solo repinta los totales, no el carrito.
+ */
+async function cotizarEnvio() {
+  if (estado.carrito.length === 0) {
+    estado.cotizacionesEnvio = [];
+    return;
+  }
+  
+  try {
+    const respuesta = await fetch(`${URL_API}/envios/cotizar`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        productos: estado.carrito.map(item => ({ producto_id: item.id, cantidad: item.cantidad })),
+        codigo_cupon: estado.cupon ? estado.cupon.codigo_cupon : undefined
+      })
+    });
+    const datos = await respuesta.json();
+    
+    if (respuesta.ok) {
+      estado.cotizacionesEnvio = datos.data;
+      
+      // Si el método elegido ya no está disponible, usar el primero
+      if (!obtenerEnvioSeleccionado() && datos.data.length > 0) {
+        estado.metodoEnvioSeleccionado = datos.data[0].metodo_envio;
+      }
+      
+      mostrarEnvio();
+    } else {
+      console.error('❌ Error al cotizar envío:', datos.message);
+    }
+  } catch (error) {
+    console.error('❌ Error de conexión al cotizar envío:', error);
+  }
+}
+
 /**
  * 🧹 FUNCIÓN: vaciarCarrito()
  * 
@@ -479,6 +844,8 @@ function calcularTotal() {
  */
 function vaciarCarrito() {
   estado.carrito = [];
+  estado.claveCheckout = null;
+  estado.cupon = null;
   mostrarCarrito();
   actualizarBotonCarrito();
   console.log('🗑️ Carrito vaciado');
@@ -568,6 +935,20 @@ async function crearPedido() {
     return;
   }
   
+  /**
+   * VERIFICACIÓN 3: Dirección de envío
+   * 
+   * El backend guarda una copia de la dirección elegida en el pedido.
+   * La recogida en tienda no necesita dirección.
+   */
+  const envio = obtenerEnvioSeleccionado();
+  const necesitaDireccion = !envio || envio.requiere_direccion;
+  
+  if (necesitaDireccion && !estado.direccionSeleccionada) {
+    alert('⚠️ Añade una dirección de envío antes de crear el pedido');
+    return;
+  }
+  
   try {
     console.log('🛍️ Creando pedido...');
     
@@ -598,6 +979,23 @@ async function crearPedido() {
     
     console.log('📋 Productos a enviar:', productosParaPedido);
     
+    // ========================================
+    // 🔁 CLAVE DE IDEMPOTENCIA
+    // ========================================
+    
+    /**
+     * EXPLICACIÓN: ¿Qué pasa si el usuario hace doble clic?
+     * 
+     * Sin protección, cada clic crearía un pedido. Por eso generamos
+     * UNA clave por intento de compra (crypto.randomUUID()) y la
+     * reutilizamos mientras el carrito no cambie. El backend
+     * (idempotencia.middleware.js) ve la clave repetida y devuelve
+     * la respuesta del primer pedido en lugar de crear otro.
+     */
+    if (!estado.claveCheckout) {
+      estado.claveCheckout = crypto.randomUUID();
+    }
+    
     // ========================================
     // 🌐 PETICIÓN HTTP AL BACKEND
     // ========================================
@@ -610,17 +1008,24 @@ async function crearPedido() {
      * HEADERS: 
      *   - Content-Type: application/json (tipo de datos)
      *   - Authorization: Bearer <token> (autenticación JWT)
-     * BODY: { productos: [...] } (datos del pedido)
+     *   - Idempotency-Key: <uuid> (evita pedidos duplicados)
+     * BODY: { productos: [...], direccion_id: 3, metodo_envio: "estandar", codigo_cupon: "VERANO10" }
      * 
      * RELACIÓN CON BACKEND:
      * Esta petición llega al controlador pedidos.controller.js
      * que valida el token JWT y procesa los datos.
      */
-    const respuesta = await fetch(`${URL_API}/pedidos`, {
+    const respuesta = await fetchAutenticado(`${URL_API}/pedidos`, {
       method: 'POST',
-      headers: getAuthHeaders(), // Incluye Authorization + Content-Type
+      headers: {
+        // fetchAutenticado añade Authorization + Content-Type
+        'Idempotency-Key': estado.claveCheckout  // Misma clave en cada reintento
+      },
       body: JSON.stringify({
-        productos: productosParaPedido
+        productos: productosParaPedido,
+        direccion_id: necesitaDireccion ? estado.direccionSeleccionada : undefined,
+        metodo_envio: estado.metodoEnvioSeleccionado,
+        codigo_cupon: estado.cupon ? estado.cupon.codigo_cupon : undefined
       })
     });
     
@@ -648,19 +1053,26 @@ async function crearPedido() {
        *     cliente_id: 45,
        *     estado: "pendiente",
        *     productos: [...],
+       *     subtotal: 85.02,
+       *     metodo_envio: "estandar",
+       *     coste_envio: 4.95,
+       *     cupon_codigo: null,
+       *     descuento: 0,
+       *     total: 89.97,
        *     total_productos: 5
        *   }
        * }
        */
       alert(`✅ ¡Pedido creado exitosamente! 
       Número de pedido: ${datos.data.id}
-      Total de productos: ${datos.data.total_productos}`);
+      Total de productos: ${datos.data.total_productos}
+      Importe: €${Number(datos.data.total).toFixed(2)}`);
       
       // 🧹 LIMPIAR ESTADO TRAS ÉXITO
       vaciarCarrito(); // Carrito se vacía porque ya se convirtió en pedido
       
       // 🔄 ACTUALIZAR LISTA DE PEDIDOS
-      cargarMisPedidos(); // Recarga la lista para mostrar el nuevo pedido
+      cargarMisPedidos(1); // Primera página: ahí aparece el pedido nuevo
       
     } else {
       // ========================================
@@ -671,11 +1083,13 @@ async function crearPedido() {
        * CÓDIGOS DE ERROR POSIBLES DEL BACKEND:
        * - 401: Token inválido o expirado
        * - 400: Datos inválidos (productos vacíos, etc.)
+       * - 409: Stock insuficiente (el mensaje indica qué productos fallan)
+       * - 400 con errores.codigo_cupon: el cupón ya no se puede usar
        * - 500: Error interno del servidor
        * 
        * Mostramos el mensaje del backend o un mensaje genérico
        */
-      alert(datos.message || 'Error al crear el pedido');
+      alert(datos.errores?.codigo_cupon || datos.message || 'Error al crear el pedido');
     }
     
   } catch (error) {
@@ -718,8 +1132,11 @@ async function crearPedido() {
  * - Petición GET autenticada (solo headers, sin body)
  * - Validación de sesión antes de hacer petición
  * - Manejo de respuesta con múltiples niveles de datos
+ * - Paginación: ?page=2 pide la segunda página
+ * 
+ * @param {number} pagina - Página a cargar (por defecto, la que se está viendo)
  */
-async function cargarMisPedidos() {
+async function cargarMisPedidos(pagina = estado.paginacionPedidos?.pagina || 1) {
   // Solo ejecutar si el usuario está autenticado
   if (!estaLogueado()) {
     return;
@@ -734,9 +1151,7 @@ async function cargarMisPedidos() {
      * - Headers incluyen Authorization con JWT token
      * - Backend usa token para identificar al cliente
      */
-    const respuesta = await fetch(`${URL_API}/pedidos/mis-pedidos`, {
-      headers: getAuthHeaders() // Solo headers, no method ni body
-    });
+    const respuesta = await fetchAutenticado(`${URL_API}/pedidos/mis-pedidos?page=${pagina}`);
     
     const datos = await respuesta.json();
     console.log('📥 Mis pedidos:', datos);
@@ -752,15 +1167,18 @@ async function cargarMisPedidos() {
        *       id: 123,
        *       cliente_id: 45,
        *       estado: "pendiente",
+       *       total: 59.98,
        *       fecha: "2023-12-04T...",
        *       productos: [
-       *         { producto_id: 1, producto_nombre: "...", cantidad: 2, producto_precio: 29.99 }
+       *         { producto_id: 1, producto_nombre: "...", cantidad: 2, precio_unitario: 29.99, subtotal: 59.98 }
        *       ]
        *     }
        *   ]
        * }
        */
+      estado.paginacionPedidos = datos.paginacion || null;
       mostrarPedidos(datos.data); // Delegar visualización a función especializada
+      mostrarPaginador('pedidosPaginacion', estado.paginacionPedidos, 'cargarMisPedidos');
     } else {
       console.error('Error al cargar pedidos:', datos.message);
     }
@@ -769,6 +1187,412 @@ async function cargarMisPedidos() {
     console.error('❌ Error al cargar pedidos:', error);
   }
 }
+
+// ==============================================
+// 📍 LIBRETA DE DIRECCIONES
+// ==============================================
+
+/**
+ * 📍 FUNCIÓN: cargarDirecciones()
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: GET /api/direcciones (requiere autenticación)
+ * 📁 CONTROLADOR: direcciones.controller.js → getDirecciones()
+ * 📊 MODELO: direcciones.model.js → listar()
+ * 
+ * El backend devuelve primero la dirección predeterminada,
+ * así que si no hay ninguna elegida seleccionamos la primera.
+ */
+async function cargarDirecciones() {
+  if (!estaLogueado()) {
+    return;
+  }
+  
+  try {
+    const respuesta = await fetchAutenticado(`${URL_API}/direcciones`);
+    const datos = await respuesta.json();
+    
+    if (respuesta.ok) {
+      estado.direcciones = datos.data;
+      
+      // Mantener la elegida si sigue existiendo; si no, la predeterminada
+      const sigueExistiendo = estado.direcciones.some(d => d.id === estado.direccionSeleccionada);
+      if (!sigueExistiendo) {
+        estado.direccionSeleccionada = estado.direcciones.length > 0 ? estado.direcciones[0].id : null;
+        estado.claveCheckout = null; // Otra dirección → nuevo intento de compra
+      }
+      
+      mostrarDirecciones();
+    } else {
+      console.error('❌ Error al cargar direcciones:', datos.message);
+    }
+  } catch (error) {
+    console.error('❌ Error de conexión al cargar direcciones:', error);
+  }
+}
+
+/**
+ * Mostrar las direcciones en el selector del carrito
+ * ==========================================
+ */
+function mostrarDirecciones() {
+  const select = document.getElementById('direccionSelect');
+  if (!select) return;
+  
+  if (estado.direcciones.length === 0) {
+    select.innerHTML = '<option value="">Sin direcciones: añade una nueva</option>';
+    return;
+  }
+  
+  select.innerHTML = estado.direcciones.map(d => `
+    <option value="${d.id}" ${d.id === estado.direccionSeleccionada ? 'selected' : ''}>
+      ${d.predeterminada ? '⭐ ' : ''}${d.destinatario} · ${d.direccion}, ${d.codigo_postal} ${d.ciudad}
+    </option>
+  `).join('');
+}
+
+/**
+ * 💾 FUNCIÓN: guardarDireccion(direccion)
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: POST /api/direcciones
+ * 📁 CONTROLADOR: direcciones.controller.js → crearDireccion()
+ * 
+ * Si el backend devuelve errores por campo (400), los mostramos juntos.
+ * 
+ * @param {Object} direccion - { destinatario, direccion, ciudad, codigo_postal, ... }
+ * @returns {boolean} true si se guardó
+ */
+async function guardarDireccion(direccion) {
+  try {
+    const respuesta = await fetchAutenticado(`${URL_API}/direcciones`, {
+      method: 'POST',
+      body: JSON.stringify(direccion)
+    });
+    const datos = await respuesta.json();
+    
+    if (respuesta.ok) {
+      // La nueva dirección pasa a ser la elegida para este pedido
+      estado.direccionSeleccionada = datos.data.id;
+      estado.claveCheckout = null; // Otra dirección → nuevo intento de compra
+      await cargarDirecciones();
+      return true;
+    }
+    
+    const detalles = datos.errores ? '\n' + Object.values(datos.errores).join('\n') : '';
+    alert(`❌ ${datos.message || 'No se pudo guardar la dirección'}${detalles}`);
+    return false;
+  } catch (error) {
+    console.error('❌ Error al guardar dirección:', error);
+    alert('Error de conexión al guardar la dirección');
+    return false;
+  }
+}
+
+/**
+ * 🚫 FUNCIÓN: cancelarPedido(pedidoId)
+ * 
+ * EXPLICACIÓN DIDÁCTICA:
+ * Permite al cliente cancelar uno de sus pedidos mientras siga
+ * 'pendiente' o 'pagado'. Pide un motivo opcional con prompt().
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: POST /api/pedidos/:id/cancelar
+ * 📁 CONTROLADOR: pedidos.controller.js → cancelarMiPedido()
+ * 📊 MODELO: pedidos.model.js → actualizarEstado()
+ * 
+ * El backend comprueba que el pedido es nuestro y que todavía se
+ * puede cancelar, y devuelve las unidades al stock.
+ * 
+ * @param {number} pedidoId - ID del pedido a cancelar
+ */
+async function cancelarPedido(pedidoId) {
+  if (!confirm(`¿Seguro que quieres cancelar el pedido #${pedidoId}?`)) {
+    return;
+  }
+  
+  // prompt() devuelve null si el usuario pulsa "Cancelar"
+  const motivo = prompt('Motivo de la cancelación (opcional):');
+  
+  try {
+    const respuesta = await fetchAutenticado(`${URL_API}/pedidos/${pedidoId}/cancelar`, {
+      method: 'POST',
+      body: JSON.stringify({ motivo: motivo || null })
+    });
+    
+    const datos = await respuesta.json();
+    
+    if (respuesta.ok) {
+      alert(`✅ Pedido #${pedidoId} cancelado`);
+      // Recargar pedidos y catálogo (el stock ha vuelto a la tienda)
+      cargarMisPedidos();
+      cargarProductos();
+    } else {
+      alert(`❌ ${datos.message || 'No se pudo cancelar el pedido'}`);
+    }
+  } catch (error) {
+    console.error('❌ Error al cancelar pedido:', error);
+    alert('Error de conexión al cancelar el pedido');
+  }
+}
+
+/**
+ * 💳 FUNCIÓN: pagarPedido(pedidoId)
+ * 
+ * EXPLICACIÓN DIDÁCTICA:
+ * Inicia el pago de un pedido pendiente. El pago NO se confirma en
+ * esta respuesta: la pasarela avisa al backend con un webhook y es
+ * entonces cuando el pedido pasa a 'pagado'. Por eso recargamos los
+ * pedidos pasados unos segundos.
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: POST /api/pedidos/:id/pagar
+ * 📁 CONTROLADOR: pagos.controller.js → iniciarPago()
+ * 📊 MODELO: pagos.model.js → reservarPago()
+ * 
+ * Con la pasarela simulada (mock) se puede elegir el resultado:
+ * 'exito', 'rechazo' o 'retrasado'.
+ * 
+ * @param {number} pedidoId - ID del pedido a pagar
+ */
+async function pagarPedido(pedidoId) {
+  const escenario = prompt(
+    'Pasarela de prueba: escribe exito, rechazo o retrasado',
+    'exito'
+  );
+  
+  // prompt() devuelve null si el usuario pulsa "Cancelar"
+  if (escenario === null) {
+    return;
+  }
+  
+  try {
+    const respuesta = await fetchAutenticado(`${URL_API}/pedidos/${pedidoId}/pagar`, {
+      method: 'POST',
+      body: JSON.stringify({ escenario: escenario.trim() || 'exito' })
+    });
+    
+    const datos = await respuesta.json();
+    
+    if (respuesta.ok) {
+      alert(`💳 ${datos.message}`);
+      // El webhook llega en unos segundos: entonces el pedido ya estará pagado
+      setTimeout(cargarMisPedidos, 3000);
+    } else {
+      alert(`❌ ${datos.message || 'No se pudo iniciar el pago'}`);
+    }
+  } catch (error) {
+    console.error('❌ Error al pagar pedido:', error);
+    alert('Error de conexión al pagar el pedido');
+  }
+}
+
+/**
+ * 🧾 FUNCIÓN: descargarFactura(pedidoId)
+ * 
+ * EXPLICACIÓN DIDÁCTICA:
+ * La factura es un PDF protegido con el token, así que no basta con
+ * un enlace <a href>: el navegador no enviaría la cabecera Authorization.
+ * Lo pedimos con fetch(), lo convertimos en un Blob y creamos una URL
+ * temporal (URL.createObjectURL) para descargarlo.
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: GET /api/pedidos/:id/factura
+ * 📁 CONTROLADOR: facturas.controller.js → descargarFactura()
+ * 📊 MODELO: facturas.model.js → obtenerOEmitir()
+ * 
+ * @param {number} pedidoId - ID del pedido
+ */
+async function descargarFactura(pedidoId) {
+  try {
+    const respuesta = await fetchAutenticado(`${URL_API}/pedidos/${pedidoId}/factura`);
+    
+    if (!respuesta.ok) {
+      // Los errores llegan en JSON, no en PDF
+      const datos = await respuesta.json();
+      alert(`❌ ${datos.message || 'No se pudo descargar la factura'}`);
+      return;
+    }
+    
+    // El nombre del archivo viene en la cabecera Content-Disposition
+    const disposicion = respuesta.headers.get('Content-Disposition') || '';
+    const nombre = disposicion.match(/filename="(.+)"/)?.[1] || `factura-${pedidoId}.pdf`;
+    
+    const url = URL.createObjectURL(await respuesta.blob());
+    const enlace = document.createElement('a');
+    enlace.href = url;
+    enlace.download = nombre;
+    enlace.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('❌ Error al descargar factura:', error);
+    alert('Error de conexión al descargar la factura');
+  }
+}
+
+/**
+ * ↩️ FUNCIÓN: solicitarDevolucion(pedidoId)
+ * 
+ * EXPLICACIÓN DIDÁCTICA:
+ * Permite devolver algunas unidades de un pedido entregado. Primero
+ * pedimos el detalle del pedido (para saber el "id" de cada línea) y
+ * preguntamos con prompt() cuántas unidades de cada producto devolver.
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: POST /api/pedidos/:id/devoluciones
+ * 📁 CONTROLADOR: devoluciones.controller.js → solicitarDevolucion()
+ * 📊 MODELO: devoluciones.model.js → crear()
+ * 
+ * El backend comprueba el plazo de devolución y que no se devuelvan
+ * más unidades de las compradas. El dinero se reembolsa cuando la
+ * tienda recibe los productos.
+ * 
+ * @param {number} pedidoId - ID del pedido
+ */
+async function solicitarDevolucion(pedidoId) {
+  try {
+    const respuestaPedido = await fetchAutenticado(`${URL_API}/pedidos/${pedidoId}`);
+    const pedido = await respuestaPedido.json();
+    
+    if (!respuestaPedido.ok) {
+      alert(`❌ ${pedido.message || 'No se pudo cargar el pedido'}`);
+      return;
+    }
+    
+    const lineas = [];
+    
+    for (const producto of pedido.data.productos) {
+      const respuesta = prompt(
+        `¿Cuántas unidades de "${producto.producto_nombre}" quieres devolver? (0 a ${producto.cantidad})`,
+        '0'
+      );
+      
+      // prompt() devuelve null si el usuario pulsa "Cancelar": abandonamos
+      if (respuesta === null) return;
+      
+      const cantidad = Number(respuesta);
+      if (cantidad > 0) {
+        lineas.push({ linea_id: producto.id, cantidad });
+      }
+    }
+    
+    if (lineas.length === 0) {
+      alert('No has elegido ningún producto para devolver');
+      return;
+    }
+    
+    const motivo = prompt('Motivo de la devolución (opcional):');
+    
+    const respuesta = await fetchAutenticado(`${URL_API}/pedidos/${pedidoId}/devoluciones`, {
+      method: 'POST',
+      body: JSON.stringify({ lineas, motivo: motivo || null })
+    });
+    
+    const datos = await respuesta.json();
+    
+    if (respuesta.ok) {
+      alert(`✅ ${datos.message}`);
+      cargarMisPedidos();
+    } else {
+      // Mostrar el primer error concreto si lo hay (ej. "lineas[0].cantidad")
+      const detalle = datos.errores ? Object.values(datos.errores)[0] : '';
+      alert(`❌ ${datos.message || 'No se pudo solicitar la devolución'}${detalle ? `: ${detalle}` : ''}`);
+    }
+  } catch (error) {
+    console.error('❌ Error al solicitar devolución:', error);
+    alert('Error de conexión al solicitar la devolución');
+  }
+}
+
+/**
+ * 📍 FUNCIÓN: verSeguimiento(pedidoId)
+ * 
+ * EXPLICACIÓN DIDÁCTICA:
+ * Abre (o cierra) la línea de tiempo de un pedido. En lugar de recargar
+ * todo el historial, pide al backend SOLO ese pedido.
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: GET /api/pedidos/:id
+ * 📁 CONTROLADOR: pedidos.controller.js → getPedidoPorId()
+ * 📊 MODELO: pedidos.model.js → obtenerHistorial()
+ * 
+ * La respuesta incluye data.historial: cada cambio de estado con
+ * su fecha, quién lo hizo (cliente, staff o sistema) y una nota.
+ * 
+ * @param {number} pedidoId - ID del pedido
+ */
+async function verSeguimiento(pedidoId) {
+  const contenedor = document.getElementById(`seguimiento-${pedidoId}`);
+  if (!contenedor) return;
+  
+  // Si ya está abierto, lo cerramos
+  if (!contenedor.classList.contains('hidden')) {
+    contenedor.classList.add('hidden');
+    return;
+  }
+  
+  try {
+    const respuesta = await fetchAutenticado(`${URL_API}/pedidos/${pedidoId}`);
+    const datos = await respuesta.json();
+    
+    if (!respuesta.ok) {
+      alert(`❌ ${datos.message || 'No se pudo cargar el seguimiento'}`);
+      return;
+    }
+    
+    const actores = { cliente: '👤 Tú', staff: '🏪 Tienda', sistema: '⚙️ Sistema' };
+    const motivosReembolso = { cancelacion: 'cancelación del pedido', pago_tardio: 'pago recibido tras cancelar' };
+    
+    contenedor.innerHTML = `
+      <h5>Seguimiento:</h5>
+      <ol class="timeline">
+        ${datos.data.historial.map(paso => `
+          <li class="timeline-paso">
+            <span class="pedido-estado estado-${paso.estado_nuevo}">${paso.estado_nuevo}</span>
+            <span class="timeline-fecha">${new Date(paso.fecha).toLocaleString()}</span>
+            <span class="timeline-actor">${actores[paso.actor_tipo] || paso.actor_tipo}</span>
+            ${paso.nota ? `<p class="timeline-nota">${paso.nota}</p>` : ''}
+          </li>
+        `).join('')}
+      </ol>
+      ${datos.data.devoluciones.length > 0 ? `
+        <h5>Devoluciones:</h5>
+        ${datos.data.devoluciones.map(devolucion => `
+          <div class="devolucion">
+            <p>
+              <strong>Devolución #${devolucion.id}</strong>
+              <span class="pedido-estado estado-${devolucion.estado}">${devolucion.estado}</span>
+            </p>
+            ${devolucion.lineas.map(l => `<p>${l.producto_nombre} x${l.cantidad} · €${l.importe.toFixed(2)}</p>`).join('')}
+            ${devolucion.reembolso ? `<p><strong>Reembolso:</strong> €${devolucion.reembolso.importe.toFixed(2)} (${devolucion.reembolso.estado})</p>` : ''}
+            <ol class="timeline">
+              ${devolucion.historial.map(paso => `
+                <li class="timeline-paso">
+                  <span class="pedido-estado estado-${paso.estado_nuevo}">${paso.estado_nuevo}</span>
+                  <span class="timeline-fecha">${new Date(paso.fecha).toLocaleString()}</span>
+                  <span class="timeline-actor">${actores[paso.actor_tipo] || paso.actor_tipo}</span>
+                  ${paso.nota ? `<p class="timeline-nota">${paso.nota}</p>` : ''}
+                </li>
+              `).join('')}
+            </ol>
+          </div>
+        `).join('')}
+      ` : ''}
+      ${datos.data.reembolsos.length > 0 ? `
+        <h5>Reembolsos:</h5>
+        ${datos.data.reembolsos.map(reembolso => `
+          <p>€${reembolso.importe.toFixed(2)} por ${motivosReembolso[reembolso.motivo] || reembolso.motivo} (${reembolso.estado})</p>
+        `).join('')}
+      ` : ''}
+    `;
+    contenedor.classList.remove('hidden');
+    
+  } catch (error) {
+    console.error('❌ Error al cargar seguimiento:', error);
+    alert('Error de conexión al cargar el seguimiento');
+  }
+}
+
 // ==============================================
 // 🎨 FUNCIONES DE INTERFAZ VISUAL
 // ==============================================
@@ -782,9 +1606,9 @@ async function cargarMisPedidos() {
  * 
  * RELACIÓN CON BACKEND:
  * 📡 ENDPOINT: GET /api/productos (público, no requiere autenticación)
- * 📁 CONTROLADOR: productos.controller.js → obtenerTodos()
- * 📊 MODELO: productos.model.js → obtenerTodos()
- * 💾 CONSULTA SQL: SELECT * FROM productos
+ * 📁 CONTROLADOR: productos.controller.js → getProductos()
+ * 📊 MODELO: productos.model.js → buscar()
+ * 💾 CONSULTA SQL: SELECT ... FROM productos WHERE ... LIMIT (una página)
  * 
  * FLUJO DE DATOS:
  * 1. Frontend solicita catálogo al backend
@@ -798,17 +1622,28 @@ async function cargarMisPedidos() {
  * - Manejo de respuestas asíncronas con async/await
  * - Actualización de estado global tras obtener datos
  * - Separación entre obtener datos y mostrar interfaz
+ * - Paginación: el backend devuelve una página (?page=2) y el total
+ * 
+ * @param {number} pagina - Página a cargar (por defecto, la que se está viendo)
  */
-async function cargarProductos() {
+async function cargarProductos(pagina = estado.paginacionProductos?.pagina || 1) {
   try {
     console.log('� Cargando productos del catálogo...');
     
-    const respuesta = await fetch(`${URL_API}/productos`);
+    // Página a pedir y, si hay una categoría seleccionada, solo esa (?categoria=Ropa)
+    const parametros = new URLSearchParams({ page: pagina });
+    if (estado.categoriaActiva) {
+      parametros.set('categoria', estado.categoriaActiva);
+    }
+    
+    const respuesta = await fetch(`${URL_API}/productos?${parametros}`);
     const datos = await respuesta.json();
     
     if (respuesta.ok) {
       estado.productos = datos.data || datos;
+      estado.paginacionProductos = datos.paginacion || null;
       mostrarProductos(estado.productos);
+      mostrarPaginador('productosPaginacion', estado.paginacionProductos, 'cargarProductos');
       console.log(`✅ ${estado.productos.length} productos cargados`);
     } else {
       console.error("❌ Error al cargar productos:", datos.message);
@@ -819,6 +1654,98 @@ async function cargarProductos() {
   }
 }
 
+/**
+ * 🏷️ FUNCIÓN: cargarCategorias()
+ * 
+ * RELACIÓN CON BACKEND:
+ * 📡 ENDPOINT: GET /api/productos/categorias (público)
+ * 📁 CONTROLADOR: productos.controller.js → getCategorias()
+ * 📊 MODELO: productos.model.js → obtenerCategorias()
+ */
+async function cargarCategorias() {
+  try {
+    const respuesta = await fetch(`${URL_API}/productos/categorias`);
+    const datos = await respuesta.json();
+    
+    if (respuesta.ok) {
+      estado.categorias = datos.data;
+      mostrarCategorias();
+    } else {
+      console.error('❌ Error al cargar categorías:', datos.message);
+    }
+  } catch (error) {
+    console.error('❌ Error de conexión al cargar categorías:', error);
+  }
+}
+
+/**
+ * Mostrar pestañas de categorías
+ * ==========================================
+ * Primera pestaña "Todas" + una pestaña por categoría con su contador
+ */
+function mostrarCategorias() {
+  const contenedor = document.getElementById('categoriasTabs');
+  if (!contenedor) return;
+  
+  const totalProductos = estado.categorias.reduce((total, c) => total + Number(c.total_productos), 0);
+  
+  const pestañas = [
+    { categoria: null, etiqueta: `Todas (${totalProductos})` },
+    ...estado.categorias.map(c => ({ categoria: c.categoria, etiqueta: `${c.categoria} (${c.total_productos})` }))
+  ];
+  
+  contenedor.innerHTML = pestañas.map(p => `
+    <button class="categoria-tab ${p.categoria === estado.categoriaActiva ? 'activa' : ''}"
+            onclick='filtrarPorCategoria(${JSON.stringify(p.categoria)})'>
+      ${p.etiqueta}
+    </button>
+  `).join('');
+}
+
+/**
+ * Cambiar la categoría seleccionada y recargar el catálogo
+ * ==========================================
+ * @param {string|null} categoria - Categoría a mostrar (null = todas)
+ */
+async function filtrarPorCategoria(categoria) {
+  estado.categoriaActiva = categoria;
+  mostrarCategorias();
+  // Otra categoría: se vuelve a la primera página
+  await cargarProductos(1);
+}
+
+/**
+ * Mostrar los botones de paginación de una lista
+ * ==========================================
+ * « Anterior · Página 2 de 5 · Siguiente »
+ * Si todo cabe en una página no se muestra nada.
+ * 
+ * @param {string} contenedorId - ID del elemento donde se pinta
+ * @param {Object|null} paginacion - Campo 'paginacion' de la respuesta del backend
+ * @param {string} funcion - Nombre de la función que carga una página (recibe el número)
+ */
+function mostrarPaginador(contenedorId, paginacion, funcion) {
+  const contenedor = document.getElementById(contenedorId);
+  if (!contenedor) return;
+  
+  if (!paginacion || paginacion.total_paginas <= 1) {
+    contenedor.innerHTML = '';
+    return;
+  }
+  
+  const { pagina, total_paginas } = paginacion;
+  
+  contenedor.innerHTML = `
+    <button class="btn btn-outline btn-small" onclick="${funcion}(${pagina - 1})" ${pagina <= 1 ? 'disabled' : ''}>
+      « Anterior
+    </button>
+    <span>Página ${pagina} de ${total_paginas} (${paginacion.total} en total)</span>
+    <button class="btn btn-outline btn-small" onclick="${funcion}(${pagina + 1})" ${pagina >= total_paginas ? 'disabled' : ''}>
+      Siguiente »
+    </button>
+  `;
+}
+
 /**
  * Mostrar productos en el HTML
  * ==========================================
@@ -845,7 +1772,7 @@ function mostrarProductos(productos) {
       <img src="foto.png" class="product-image" alt="${producto.nombre}">
       <h3>${producto.nombre}</h3>
       <p>${producto.descripcion}</p>
-      <p class="product-price"><strong>€${producto.precio}</strong></p>
+      <p class="product-price"><strong>€${producto.precio}</strong> <small>IVA incl.</small></p>
       <p class="product-stock">Stock: ${producto.stock}</p>
       
       ${logueado ? 
@@ -878,7 +1805,6 @@ function mostrarCarrito() {
   const carritoVacio = document.getElementById('carritoVacio');
   const carritoProductos = document.getElementById('carritoProductos');
   const carritoTotal = document.getElementById('carritoTotal');
-  const totalAmount = document.getElementById('totalAmount');
   
   if (estado.carrito.length === 0) {
     // Carrito vacío
@@ -896,7 +1822,7 @@ function mostrarCarrito() {
       <div class="carrito-item">
         <div class="item-info">
           <h4>${item.nombre}</h4>
-          <p class="item-price">€${item.precio} c/u</p>
+          <p class="item-price">€${item.precio} c/u · IVA ${item.tipo_iva}% incl.</p>
         </div>
         <div class="item-controls">
           <button onclick="cambiarCantidad(${item.id}, ${item.cantidad - 1})" class="btn btn-small">-</button>
@@ -910,9 +1836,48 @@ function mostrarCarrito() {
       </div>
     `).join('');
     
-    // Actualizar total
-    totalAmount.textContent = `€${calcularTotal().toFixed(2)}`;
+    // Pintar los totales ya y pedir al backend el descuento y el coste
+    // de envío (aplicarCupon() y cotizarEnvio() los repintan al responder)
+    mostrarEnvio();
+    if (estado.cupon) {
+      aplicarCupon(estado.cupon.codigo_cupon); // El descuento depende del carrito
+    } else {
+      cotizarEnvio();
+    }
+  }
+}
+
+/**
+ * Mostrar métodos de envío y totales del carrito
+ * ==========================================
+ */
+function mostrarEnvio() {
+  const select = document.getElementById('metodoEnvioSelect');
+  const direccionEnvio = document.getElementById('direccionEnvio');
+  const envio = obtenerEnvioSeleccionado();
+  
+  if (select) {
+    select.innerHTML = estado.cotizacionesEnvio.map(c => `
+      <option value="${c.metodo_envio}" ${c.metodo_envio === estado.metodoEnvioSeleccionado ? 'selected' : ''}>
+        ${c.nombre} · ${c.coste_envio === 0 ? 'Gratis' : `€${c.coste_envio.toFixed(2)}`}
+      </option>
+    `).join('');
   }
+  
+  // La recogida en tienda no necesita dirección
+  if (direccionEnvio) {
+    direccionEnvio.classList.toggle('hidden', Boolean(envio) && !envio.requiere_direccion);
+  }
+  
+  document.getElementById('subtotalAmount').textContent = `€${calcularSubtotal().toFixed(2)}`;
+  document.getElementById('ivaAmount').textContent = `€${calcularIvaIncluido().toFixed(2)}`;
+  const promociones = envio ? envio.promociones : [];
+  document.getElementById('promocionesInfo').innerHTML = promociones.map(p => `
+    <span>🏷️ ${p.nombre}: -€${p.descuento.toFixed(2)}</span>
+  `).join('');
+  document.getElementById('descuentoAmount').textContent = estado.cupon ? `-€${estado.cupon.descuento.toFixed(2)}` : '—';
+  document.getElementById('envioAmount').textContent = envio ? `€${envio.coste_envio.toFixed(2)}` : '—';
+  document.getElementById('totalAmount').textContent = `€${calcularTotal().toFixed(2)}`;
 }
 
 /**
@@ -931,30 +1896,70 @@ function mostrarPedidos(pedidos) {
     pedidosList.classList.remove('hidden');
     
     pedidosList.innerHTML = pedidos.map(pedido => {
-      const totalPedido = pedido.productos.reduce((total, prod) => {
-        return total + (prod.producto_precio * prod.cantidad);
-      }, 0);
+      // Usamos los importes guardados en el pedido, no los precios actuales
+      const totalPedido = Number(pedido.total);
       
       return `
         <div class="pedido-card">
           <div class="pedido-header">
             <h4>Pedido #${pedido.id}</h4>
             <span class="pedido-estado estado-${pedido.estado}">${pedido.estado}</span>
+            ${pedido.estado_devolucion ? `
+              <span class="pedido-estado estado-${pedido.estado_devolucion}">
+                ${pedido.estado_devolucion === 'total' ? 'devuelto' : 'devuelto en parte'}
+              </span>
+            ` : ''}
           </div>
           <div class="pedido-info">
             <p><strong>Fecha:</strong> ${new Date(pedido.fecha).toLocaleDateString()}</p>
-            <p><strong>Total:</strong> €${totalPedido.toFixed(2)}</p>
+            ${pedido.metodo_envio ? `<p><strong>Método de envío:</strong> ${pedido.metodo_envio} (€${Number(pedido.coste_envio).toFixed(2)})</p>` : ''}
+            ${Number(pedido.descuento_promociones) > 0 ? `<p><strong>Promociones:</strong> -€${Number(pedido.descuento_promociones).toFixed(2)}</p>` : ''}
+            ${pedido.cupon_codigo ? `<p><strong>Cupón ${pedido.cupon_codigo}:</strong> -€${Number(pedido.descuento).toFixed(2)}</p>` : ''}
+            <p><strong>Base imponible:</strong> €${Number(pedido.base_imponible).toFixed(2)}</p>
+            ${(pedido.desglose_iva || []).map(d => `
+              <p><strong>IVA ${d.tipo}%:</strong> €${Number(d.cuota_iva).toFixed(2)}</p>
+            `).join('')}
+            <p><strong>Total${pedido.precios_incluyen_iva ? ' (IVA incl.)' : ''}:</strong> €${totalPedido.toFixed(2)}</p>
+            ${pedido.direccion_envio ? `<p><strong>Envío:</strong> ${pedido.direccion_envio.destinatario}, ${pedido.direccion_envio.direccion}, ${pedido.direccion_envio.codigo_postal} ${pedido.direccion_envio.ciudad}</p>` : ''}
+            ${pedido.motivo_cancelacion ? `<p><strong>Motivo de cancelación:</strong> ${pedido.motivo_cancelacion}</p>` : ''}
           </div>
           <div class="pedido-productos">
             <h5>Productos:</h5>
             ${pedido.productos.map(prod => `
               <div class="pedido-producto">
-                <span>${prod.producto_nombre}</span>
+                <span>${prod.producto_nombre}${(prod.promociones || []).map(p => ` <small>🏷️ ${p.nombre}</small>`).join('')}</span>
                 <span>x${prod.cantidad}</span>
-                <span>€${(prod.producto_precio * prod.cantidad).toFixed(2)}</span>
+                <span>€${Number(prod.subtotal).toFixed(2)}</span>
               </div>
             `).join('')}
           </div>
+          <div class="pedido-acciones">
+            <button onclick="verSeguimiento(${pedido.id})" class="btn btn-outline btn-small">
+              📍 Seguimiento
+            </button>
+            ${pedido.estado === 'pendiente' ? `
+              <button onclick="pagarPedido(${pedido.id})" class="btn btn-primary btn-small">
+                💳 Pagar
+              </button>
+            ` : ''}
+            ${['pagado', 'enviado', 'entregado'].includes(pedido.estado) ? `
+              <button onclick="descargarFactura(${pedido.id})" class="btn btn-outline btn-small">
+                🧾 Factura
+              </button>
+            ` : ''}
+            ${pedido.estado === 'entregado' && pedido.estado_devolucion !== 'total' ? `
+              <button onclick="solicitarDevolucion(${pedido.id})" class="btn btn-outline btn-small">
+                ↩️ Devolver
+              </button>
+            ` : ''}
+            ${['pendiente', 'pagado'].includes(pedido.estado) ? `
+              <button onclick="cancelarPedido(${pedido.id})" class="btn btn-danger btn-small">
+                🚫 Cancelar pedido
+              </button>
+            ` : ''}
+          </div>
+          <!-- Línea de tiempo (se rellena con verSeguimiento) -->
+          <div id="seguimiento-${pedido.id}" class="pedido-seguimiento hidden"></div>
         </div>
       `;
     }).join('');
@@ -979,10 +1984,12 @@ function actualizarNavegacion() {
           🛒 Carrito (0)
         </span>
         <button id="logoutButton" class="btn btn-outline">Cerrar sesión</button>
+        <button id="logoutTodosButton" class="btn btn-outline" title="Cierra también la sesión en otros navegadores">Cerrar en todos</button>
       `;
       
-      // Configurar evento de logout
+      // Configurar eventos de logout
       document.getElementById('logoutButton').addEventListener('click', cerrarSesion);
+      document.getElementById('logoutTodosButton').addEventListener('click', cerrarSesionEnTodos);
       
     } else {
       authNav.innerHTML = `<span class="login-prompt">🔒 Inicia sesión para poder comprar</span>`;
@@ -1024,12 +2031,14 @@ function scrollToLogin() {
  * Guardar sesión en memoria + localStorage
  * ==========================================
  */
-function guardarSesion(token, usuario) {
+function guardarSesion(token, usuario, refreshToken) {
   estado.token = token;
   estado.usuario = usuario;
+  estado.refreshToken = refreshToken;
 
   localStorage.setItem('token', token);
   localStorage.setItem('user', JSON.stringify(usuario));
+  localStorage.setItem('refreshToken', refreshToken);
 
   console.log('💾 Sesión guardada para:', usuario.nombre);
 }
@@ -1037,16 +2046,73 @@ function guardarSesion(token, usuario) {
 /**
  * Cerrar sesión
  * ==========================================
+ * Avisa al backend para que revoque el refresh token (así no sirve
+ * aunque alguien lo haya copiado) y limpia la sesión del navegador.
+ * No esperamos la respuesta: la sesión local se cierra igualmente.
  */
 function cerrarSesion() {
+  // De localStorage: es el último token de la familia aunque lo rotara otra pestaña
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (refreshToken) {
+    fetch(`${URL_API}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: refreshToken })
+    }).catch(error => console.error('❌ Error al cerrar sesión en el servidor:', error));
+  }
+
+  limpiarSesion();
+}
+
+/**
+ * Cerrar sesión en todos los dispositivos
+ * ==========================================
+ * 📡 ENDPOINT: POST /api/auth/logout-todos
+ * Revoca todos los refresh tokens de la cuenta y los access tokens
+ * que ya se habían emitido (también los de otros navegadores)
+ */
+async function cerrarSesionEnTodos() {
+  if (!confirm('¿Cerrar la sesión en todos tus dispositivos?')) {
+    return;
+  }
+
+  try {
+    const respuesta = await fetchAutenticado(`${URL_API}/auth/logout-todos`, {
+      method: 'POST'
+    });
+
+    if (respuesta.ok) {
+      limpiarSesion();
+      alert('✅ Se han cerrado todas tus sesiones');
+    } else if (estaLogueado()) {
+      const datos = await respuesta.json();
+      alert(`❌ ${datos.message || 'No se pudieron cerrar las sesiones'}`);
+    }
+  } catch (error) {
+    console.error('❌ Error al cerrar todas las sesiones:', error);
+    alert('❌ No se pudo conectar con el servidor');
+  }
+}
+
+/**
+ * Limpiar la sesión del navegador (sin avisar al backend)
+ * ==========================================
+ */
+function limpiarSesion() {
   estado.token = null;
   estado.usuario = null;
+  estado.refreshToken = null;
 
   localStorage.removeItem('token');
   localStorage.removeItem('user');
+  localStorage.removeItem('refreshToken');
 
-  // Limpiar carrito al cerrar sesión
+  // Limpiar carrito, cupón y direcciones al cerrar sesión
   estado.carrito = [];
+  estado.cupon = null;
+  estado.direcciones = [];
+  estado.direccionSeleccionada = null;
+  estado.paginacionPedidos = null;
 
   console.log('👋 Sesión cerrada');
   mostrarInterfaz();
@@ -1063,6 +2129,7 @@ function cargarSesionGuardada() {
   if (tokenGuardado && usuarioGuardado) {
     try {
       estado.token = tokenGuardado;
+      estado.refreshToken = localStorage.getItem('refreshToken');
       estado.usuario = JSON.parse(usuarioGuardado);
       console.log('👤 Sesión restaurada:', estado.usuario.nombre);
     } catch (err) {
@@ -1072,6 +2139,37 @@ function cargarSesionGuardada() {
   }
 }
 
+/**
+ * Sincronizar la sesión con otras pestañas
+ * ==========================================
+ * El evento 'storage' salta cuando OTRA pestaña del mismo sitio cambia
+ * localStorage (renueva los tokens, inicia o cierra sesión). Copiamos
+ * sus valores a estado para no seguir usando tokens ya rotados.
+ */
+function sincronizarSesion(evento) {
+  if (evento.key !== null && !['token', 'user', 'refreshToken'].includes(evento.key)) {
+    return;
+  }
+
+  const estabaLogueado = estaLogueado();
+
+  estado.token = localStorage.getItem('token');
+  estado.refreshToken = localStorage.getItem('refreshToken');
+  try {
+    estado.usuario = JSON.parse(localStorage.getItem('user'));
+  } catch {
+    estado.usuario = null;
+  }
+
+  if (estabaLogueado && !estaLogueado()) {
+    // La otra pestaña cerró sesión: aquí también (carrito, direcciones...)
+    limpiarSesion();
+  } else if (!estabaLogueado && estaLogueado()) {
+    console.log('👤 Sesión iniciada en otra pestaña:', estado.usuario.nombre);
+    mostrarInterfaz();
+  }
+}
+
 /**
  * Iniciar sesión (LOGIN)
  * ==========================================
@@ -1090,7 +2188,7 @@ async function iniciarSesion(email, password) {
     console.log('📥 Respuesta login:', respuesta.status, datos);
 
     if (respuesta.ok) {
-      guardarSesion(datos.token, datos.usuario);
+      guardarSesion(datos.token, datos.usuario, datos.refresh_token);
       mostrarInterfaz();
       alert(`✅ ¡Bienvenido, ${datos.usuario.nombre}! Ya puedes agregar productos al carrito.`);
     } else {
@@ -1120,11 +2218,13 @@ async function registrarUsuario(nombre, email, password) {
     console.log('📥 Respuesta registro:', respuesta.status, datos);
 
     if (respuesta.ok) {
-      guardarSesion(datos.token, datos.usuario);
+      guardarSesion(datos.token, datos.usuario, datos.refresh_token);
       mostrarInterfaz();
       alert(`✅ ¡Cuenta creada exitosamente! Bienvenido, ${datos.usuario.nombre}`);
     } else {
-      alert(`❌ ${datos.message || 'Error al registrarse'}`);
+      // 400 con errores por campo (nombre, email, password): los mostramos todos
+      const detalles = datos.errores ? '\n' + Object.values(datos.errores).join('\n') : '';
+      alert(`❌ ${datos.message || 'Error al registrarse'}${detalles}`);
     }
   } catch (error) {
     console.error('❌ Error registro:', error);
@@ -1165,8 +2265,9 @@ function mostrarInterfaz() {
   if (pedidosSection) {
     if (logueado) {
       pedidosSection.classList.remove('hidden');
-      // Cargar pedidos automáticamente
+      // Cargar pedidos y direcciones automáticamente
       cargarMisPedidos();
+      cargarDirecciones();
     } else {
       pedidosSection.classList.add('hidden');
     }
@@ -1194,6 +2295,12 @@ function configurarEventos() {
   const showRegister = document.getElementById('showRegister');
   const showLogin = document.getElementById('showLogin');
   const crearPedidoBtn = document.getElementById('crearPedidoBtn');
+  const direccionSelect = document.getElementById('direccionSelect');
+  const metodoEnvioSelect = document.getElementById('metodoEnvioSelect');
+  const aplicarCuponBtn = document.getElementById('aplicarCuponBtn');
+  const quitarCuponBtn = document.getElementById('quitarCuponBtn');
+  const nuevaDireccionBtn = document.getElementById('nuevaDireccionBtn');
+  const direccionForm = document.getElementById('direccionForm');
 
   // 🔑 FORMULARIO DE LOGIN
   if (loginForm) {
@@ -1239,6 +2346,55 @@ function configurarEventos() {
   if (crearPedidoBtn) {
     crearPedidoBtn.addEventListener('click', crearPedido);
   }
+  
+  // 📍 SELECTOR Y FORMULARIO DE DIRECCIONES
+  if (direccionSelect) {
+    direccionSelect.addEventListener('change', () => {
+      estado.direccionSeleccionada = Number(direccionSelect.value) || null;
+      estado.claveCheckout = null; // Otra dirección → nuevo intento de compra
+    });
+  }
+  
+  if (metodoEnvioSelect) {
+    metodoEnvioSelect.addEventListener('change', () => {
+      estado.metodoEnvioSeleccionado = metodoEnvioSelect.value;
+      estado.claveCheckout = null; // Otro método de envío → nuevo intento de compra
+      mostrarEnvio();
+    });
+  }
+  
+  if (aplicarCuponBtn) {
+    aplicarCuponBtn.addEventListener('click', () => {
+      const codigo = document.getElementById('cuponInput').value.trim();
+      if (codigo) aplicarCupon(codigo);
+    });
+  }
+  
+  if (quitarCuponBtn) {
+    quitarCuponBtn.addEventListener('click', quitarCupon);
+  }
+  
+  if (nuevaDireccionBtn && direccionForm) {
+    nuevaDireccionBtn.addEventListener('click', () => {
+      direccionForm.classList.toggle('hidden');
+    });
+    
+    direccionForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const guardada = await guardarDireccion({
+        destinatario: document.getElementById('dirDestinatario').value,
+        direccion: document.getElementById('dirDireccion').value,
+        ciudad: document.getElementById('dirCiudad').value,
+        codigo_postal: document.getElementById('dirCodigoPostal').value,
+        provincia: document.getElementById('dirProvincia').value,
+        telefono: document.getElementById('dirTelefono').value
+      });
+      if (guardada) {
+        direccionForm.reset();
+        direccionForm.classList.add('hidden');
+      }
+    });
+  }
 }
 
 // ==============================================
@@ -1252,7 +2408,7 @@ function configurarEventos() {
  * ORDEN DE INICIALIZACIÓN:
  * 1. Cargar sesión guardada (si existe)
  * 2. Configurar eventos de formularios
- * 3. Cargar productos del catálogo
+ * 3. Cargar categorías y productos del catálogo
  * 4. Mostrar interfaz según estado de autenticación
  */
 document.addEventListener('DOMContentLoaded', async () => {
@@ -1261,13 +2417,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   try {
     // 1. 👤 Restaurar sesión del usuario si existe
     cargarSesionGuardada();
+    window.addEventListener('storage', sincronizarSesion);
     console.log('✅ Sesión verificada');
     
     // 2. 🎛️ Configurar eventos de formularios y botones
     configurarEventos();
     console.log('✅ Eventos configurados');
     
-    // 3. 📦 Cargar productos del catálogo
+    // 3. 📦 Cargar categorías y productos del catálogo
+    await cargarCategorias();
     await cargarProductos();
     console.log('✅ Productos cargados');
     